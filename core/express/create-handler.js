@@ -66,11 +66,20 @@
  * @property {Object} [meta] - Object containing data that can be used to augment the content of the actual request meta.
  */
 
+/**
+ * File sent as the response to a request.
+ * @typedef {Object} ResponseFile
+ * @property {String} content_type - Content type of the file, e.g. text/csv.
+ * @property {String} file_name - Name the file is downloaded under.
+ * @property {String|Buffer} content - Content of the file.
+ */
+
 /**
  * Object representing the result of a handler function.
  * @typedef {Object} HandlerResult
  * @property {import('./enums').HTTPStatusCode} status - HTTP Status code.
  * @property {*} [data] - Actual data to be returned as the response to the endpoint request.
+ * @property {ResponseFile} [file] - File sent as the response body, as an attachment, in place of the JSON response.
  * @property {boolean} [endHandlerChain=false] - Boolean value that defaults to false. If set to true and there are still items in the handler chain, the execution will not proceed to execute other handlers.
  * @property {boolean} [skipNextMiddlewareHandler=false] - Boolean value that defaults to false and indicates whether or not the next middleware handler in the handler chain should be executed or not.
  * @property {boolean} [skipOtherMiddlewareHandlers=false] - Boolean value that defaults to false and is similar in function to the endHandlerChain property in that if set to true, it ensures no other middlewarehandler in the handler chain is executed.
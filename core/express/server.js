@@ -222,11 +222,23 @@ function Server(serverConfig = {}) {
         }
 
         responseComponents.statusCode = result.status || 200;
-        responseComponents.body.status = 'success';
-        responseComponents.body.message = result.message;
-        responseComponents.body.data = result.data || {};
 
-        expressResponse.status(responseComponents.statusCode).json(responseComponents.body);
+        if (result.file) {
+          // a file is sent as it is, to be downloaded, instead of in the JSON body
+          expressResponse
+            .status(responseComponents.statusCode)
+            .set({
+              'Content-Type': result.file.content_type,
+              'Content-Disposition': `attachment; filename="${result.file.file_name}"`,
+            })
+            .send(result.file.content);
+        } else {
+          responseComponents.body.status = 'success';
+          responseComponents.body.message = result.message;
+          responseComponents.body.data = result.data || {};
+
+          expressResponse.status(responseComponents.statusCode).json(responseComponents.body);
+        }
       } catch (error) {
         const statusCode = !error.isApplicationError
           ? 500
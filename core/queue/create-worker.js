@@ -26,7 +26,7 @@ function createWorker(workerConfig) {
   } = workerConfig;
   const queue = createQueue({ ...(config.defaultQueueOpts || {}), ...queueOptions });
 
-  if (!queue) return { scheduleJob: () => {} };
+  if (!queue) return { scheduleJob: () => {}, removeRepeatableJob: () => {} };
 
   if (typeof processor !== 'function') {
     throw new Error('Processor must be a function');
@@ -79,7 +79,15 @@ function createWorker(workerConfig) {
     });
   }
 
-  return { scheduleJob };
+  /**
+   * Stops a repeatable job from being scheduled again
+   * @param {import('bull').CronRepeatOptions & {jobId?: string}} repeat - The repeat options the job was scheduled with, plus its jobId
+   */
+  function removeRepeatableJob(repeat) {
+    return queue.removeRepeatable(processorName, repeat);
+  }
+
+  return { scheduleJob, removeRepeatableJob };
 }
 
 module.exports = createWorker;
@@ -0,0 +1,18 @@
+const { createHandler } = require('@app-core/server');
+const cancelStandingOrder = require('@app/services/payment-processor/cancel-standing-order');
+
+module.exports = createHandler({
+  path: '/standing-orders/:id/cancel',
+  method: 'post',
+  middlewares: [],
+
+  async handler(rc, helpers) {
+    const response = await cancelStandingOrder({ id: rc.params.id });
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      message: 'Standing order cancelled successfully',
+      data: response,
+    };
+  },
+});
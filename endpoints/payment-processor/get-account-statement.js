@@ -0,0 +1,39 @@
+const { createHandler } = require('@app-core/server');
+const getAccountStatement = require('@app/services/payment-processor/get-account-statement');
+
+module.exports = createHandler({
+  path: '/accounts/:id/statement',
+  method: 'get',
+  middlewares: [],
+
+  async handler(rc, helpers) {
+    const response = await getAccountStatement({
+      account_id: rc.params.id,
+      from: rc.query.from,
+      to: rc.query.to,
+      format: rc.query.format,
+    });
+
+    let result;
+
+    if (response.format === 'csv') {
+      // sent as a file to download rather than inside the JSON response
+      result = {
+        status: helpers.http_statuses.HTTP_200_OK,
+        file: {
+          content_type: response.content_type,
+          file_name: response.file_name,
+          content: response.content,
+        },
+      };
+    } else {
+      result = {
+        status: helpers.http_statuses.HTTP_200_OK,
+        message: 'Account statement generated successfully',
+        data: response,
+      };
+    }
+
+    return result;
+  },
+});
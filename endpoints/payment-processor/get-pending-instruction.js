@@ -0,0 +1,18 @@
+const { createHandler } = require('@app-core/server');
+const getPendingInstruction = require('@app/services/payment-processor/get-pending-instruction');
+
+module.exports = createHandler({
+  path: '/payment-instructions/:id',
+  method: 'get',
+  middlewares: [],
+
+  async handler(rc, helpers) {
+    const response = await getPendingInstruction({ id: rc.params.id });
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      message: 'Pending instruction fetched successfully',
+      data: response,
+    };
+  },
+});
@@ -0,0 +1,18 @@
+const { createHandler } = require('@app-core/server');
+const getStandingOrder = require('@app/services/payment-processor/get-standing-order');
+
+module.exports = createHandler({
+  path: '/standing-orders/:id',
+  method: 'get',
+  middlewares: [],
+
+  async handler(rc, helpers) {
+    const response = await getStandingOrder({ id: rc.params.id });
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      message: 'Standing order fetched successfully',
+      data: response,
+    };
+  },
+});
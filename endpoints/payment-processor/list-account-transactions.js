@@ -0,0 +1,27 @@
+const { createHandler } = require('@app-core/server');
+const listAccountTransactions = require('@app/services/payment-processor/list-account-transactions');
+
+module.exports = createHandler({
+  path: '/accounts/:id/transactions',
+  method: 'get',
+  middlewares: [],
+
+  async handler(rc, helpers) {
+    const response = await listAccountTransactions({
+      account_id: rc.params.id,
+      // query strings arrive as text
+      limit: rc.query.limit !== undefined ? Number(rc.query.limit) : undefined,
+      cursor: rc.query.cursor,
+      from: rc.query.from,
+      to: rc.query.to,
+      currency: rc.query.currency,
+      status: rc.query.status,
+    });
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      message: 'Account transactions fetched successfully',
+      data: response,
+    };
+  },
+});
@@ -0,0 +1,21 @@
+const { createHandler } = require('@app-core/server');
+const listStandingOrders = require('@app/services/payment-processor/list-standing-orders');
+
+module.exports = createHandler({
+  path: '/standing-orders',
+  method: 'get',
+  middlewares: [],
+
+  async handler(rc, helpers) {
+    const response = await listStandingOrders({
+      status: rc.query.status,
+      debit_account: rc.query.debit_account,
+    });
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      message: 'Standing orders fetched successfully',
+      data: response,
+    };
+  },
+});
@@ -1,5 +1,57 @@
 const { createHandler } = require('@app-core/server');
+const { ERROR_CODE } = require('@app-core/errors');
 const parsedInstruction = require('@app/services/payment-processor/parse-instruction');
+const claimIdempotencyKey = require('@app/services/payment-processor/claim-idempotency-key');
+const completeIdempotencyKey = require('@app/services/payment-processor/complete-idempotency-key');
+const releaseIdempotencyKey = require('@app/services/payment-processor/release-idempotency-key');
+
+// Business rule failures the request is refused on. They are not auth errors, so they do not
+// go by the app-wide error code mapping.
+const FORBIDDEN_ERROR_CODES = [ERROR_CODE.INACTIVEACCT, ERROR_CODE.LIMITERR];
+
+function buildHandlerResult(response, helpers) {
+  // Default to success
+  let statusCode = helpers.http_statuses.HTTP_200_OK;
+  let message = 'Instruction processed successfully';
+
+  if (response && response.summary) {
+    // Batch requests only fail as a whole when no instruction went through
+    const { total, failed, rolled_back: rolledBack } = response.summary;
+    const applied = total - failed - rolledBack;
+    statusCode =
+      total > 0 && applied === 0
+        ? helpers.http_statuses.HTTP_400_BAD_REQUEST
+        : helpers.http_statuses.HTTP_200_OK;
+    message = response.rolled_back
+      ? 'Atomic batch failed and was rolled back'
+      : `${applied} of ${total} instruction(s) processed`;
+  } else if (response && response.status === 'failed') {
+    // All validation/parsing failures return 400, limit breaches and inactive accounts 403
+    statusCode = FORBIDDEN_ERROR_CODES.includes(response.error_code)
+      ? helpers.http_statuses.HTTP_403_FORBIDDEN
+      : helpers.http_statuses.HTTP_400_BAD_REQUEST;
+
+    message = response.status_reason || 'Instruction processing failed';
+  } else if (response && response.status === 'pending') {
+    statusCode = helpers.http_statuses.HTTP_200_OK;
+    message = response.status_reason || 'Instruction scheduled for execution';
+  } else if (response && response.status === 'pending_review') {
+    statusCode = helpers.http_statuses.HTTP_200_OK;
+    message = response.status_reason || 'Instruction held for review';
+  } else if (response && response.status === 'scheduled') {
+    statusCode = helpers.http_statuses.HTTP_200_OK;
+    message = response.status_reason || 'Standing order created';
+  } else if (response && response.status === 'successful') {
+    statusCode = helpers.http_statuses.HTTP_200_OK;
+    message = response.status_reason || 'Instruction executed successfully';
+  }
+
+  return {
+    status: statusCode,
+    message,
+    data: response,
+  };
+}
 
 module.exports = createHandler({
   path: '/payment-instructions',
@@ -8,30 +60,31 @@ module.exports = createHandler({
 
   async handler(requestComponent, helpers) {
     const payload = requestComponent.body;
+    const idempotencyKey = requestComponent.headers['idempotency-key'];
+    // the risk checks look at where the instruction came from
+    const options = { requestProperties: requestComponent.properties };
 
-    const response = await parsedInstruction(payload);
-
-    // Default to success
-    let statusCode = helpers.http_statuses.HTTP_200_OK;
-    let message = 'Instruction processed successfully';
+    // a dry run changes nothing, so there is nothing to protect from a retry
+    if (!idempotencyKey || (payload && payload.dry_run === true)) {
+      return buildHandlerResult(await parsedInstruction(payload, options), helpers);
+    }
 
-    if (response && response.status === 'failed') {
-      // All validation/parsing failures return 400
-      statusCode = helpers.http_statuses.HTTP_400_BAD_REQUEST;
+    const claim = await claimIdempotencyKey({ key: idempotencyKey, payload: payload || {} });
+    if (claim.replayed) {
+      return claim.response;
+    }
 
-      message = response.status_reason || 'Instruction processing failed';
-    } else if (response && response.status === 'pending') {
-      statusCode = helpers.http_statuses.HTTP_200_OK;
-      message = response.status_reason || 'Instruction scheduled for execution';
-    } else if (response && response.status === 'successful') {
-      statusCode = helpers.http_statuses.HTTP_200_OK;
-      message = response.status_reason || 'Instruction executed successfully';
+    let result;
+    try {
+      result = buildHandlerResult(await parsedInstruction(payload, options), helpers);
+    } catch (error) {
+      // errors are not stored, so the client can retry with the same key
+      await releaseIdempotencyKey({ key: idempotencyKey });
+      throw error;
     }
 
-    return {
-      status: statusCode,
-      message,
-      data: response,
-    };
+    await completeIdempotencyKey({ key: idempotencyKey, ...result });
+
+    return result;
   },
 });
@@ -0,0 +1,18 @@
+const { createHandler } = require('@app-core/server');
+const pauseStandingOrder = require('@app/services/payment-processor/pause-standing-order');
+
+module.exports = createHandler({
+  path: '/standing-orders/:id/pause',
+  method: 'post',
+  middlewares: [],
+
+  async handler(rc, helpers) {
+    const response = await pauseStandingOrder({ id: rc.params.id });
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      message: 'Standing order paused successfully',
+      data: response,
+    };
+  },
+});
@@ -0,0 +1,18 @@
+const { createHandler } = require('@app-core/server');
+const resumeStandingOrder = require('@app/services/payment-processor/resume-standing-order');
+
+module.exports = createHandler({
+  path: '/standing-orders/:id/resume',
+  method: 'post',
+  middlewares: [],
+
+  async handler(rc, helpers) {
+    const response = await resumeStandingOrder({ id: rc.params.id });
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      message: 'Standing order resumed successfully',
+      data: response,
+    };
+  },
+});
@@ -0,0 +1,18 @@
+const { createHandler } = require('@app-core/server');
+const reviewPendingInstruction = require('@app/services/payment-processor/review-pending-instruction');
+
+module.exports = createHandler({
+  path: '/payment-instructions/:id/review',
+  method: 'post',
+  middlewares: [],
+
+  async handler(rc, helpers) {
+    const response = await reviewPendingInstruction({ ...rc.body, id: rc.params.id });
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      message: 'Pending instruction reviewed successfully',
+      data: response,
+    };
+  },
+});
@@ -1,17 +1,83 @@
 const PaymentMessages = {
-  INVALID_AMOUNT: 'Amount must be a positive integer',
+  INVALID_AMOUNT: 'Amount must be a positive number',
   CURRENCY_MISMATCH: 'Account currency mismatch',
-  UNSUPPORTED_CURRENCY: 'Only NGN, USD, GBP, and GHS are supported',
+  UNSUPPORTED_CURRENCY: 'Unsupported currency',
   INSUFFICIENT_FUNDS: 'Insufficient funds in debit account',
+  ACCOUNT_FROZEN: 'Account is frozen',
+  ACCOUNT_DEBIT_BLOCKED: 'Account is blocked from debits',
+  ACCOUNT_CREDIT_BLOCKED: 'Account is blocked from credits',
+  ACCOUNT_CLOSED: 'Account is closed',
+  ACCOUNT_DORMANT: 'Account is dormant and cannot be debited',
   SAME_ACCOUNT_ERROR: 'Debit and credit accounts cannot be the same',
   ACCOUNT_NOT_FOUND: 'Account not found',
   INVALID_ACCOUNT_ID: 'Invalid account ID format',
   INVALID_DATE_FORMAT: 'Date must be in YYYY-MM-DD format',
+  INVALID_TIME_FORMAT:
+    'Time must be in HH:MM or HH:MM:SS format with an optional Z or ±HH:MM offset',
+  INVALID_TIMEZONE: 'Invalid timezone',
+  INVALID_DATE_RANGE: 'Invalid date range',
+  STATEMENT_TOO_LARGE: 'Statement has too many transactions, request a shorter date range',
   MISSING_KEYWORD: 'Missing required keyword',
   INVALID_KEYWORD_ORDER: 'Invalid keyword order',
   MALFORMED_INSTRUCTION: 'Malformed instruction',
   TRANSACTION_SUCCESSFUL: 'Transaction executed successfully',
   TRANSACTION_PENDING: 'Transaction scheduled for future execution',
+  TRANSACTION_ROLLED_BACK: 'Transaction rolled back because the atomic batch failed',
+  TRANSACTION_REVERSED: 'Transaction reversed successfully',
+  TRANSACTION_REFUNDED: 'Transaction refunded successfully',
+  TRANSACTION_NOT_FOUND: 'Transaction not found',
+  TRANSACTION_NOT_REVERSIBLE: 'Only debit and credit transactions can be reversed or refunded',
+  TRANSACTION_ALREADY_REVERSED: 'Transaction has already been fully reversed or refunded',
+  REFUND_EXCEEDS_ORIGINAL: 'Refund amount exceeds the amount left to refund',
+  TRANSACTION_CHANGED: 'Transaction was reversed or refunded by another request',
+  INSTRUCTION_INPUT_REQUIRED: "Provide either 'instruction' or 'instructions', but not both",
+  ACCOUNT_SOURCE_REQUIRED: "Provide either 'accounts' or 'account_ids', but not both",
+  INVALID_FEE_RULES: 'Invalid fee rule configuration',
+  INVALID_LIMIT_CONFIG: 'Invalid transaction limit configuration',
+  INVALID_PHRASING_CONFIG: 'Invalid instruction phrasing configuration',
+  INVALID_CALENDAR_CONFIG: 'Invalid settlement calendar configuration',
+  NON_BUSINESS_DAY: 'Execution date is not a business day',
+  EXECUTION_DATE_TOO_OLD: 'Execution date is too far in the past',
+  PER_TRANSACTION_LIMIT_EXCEEDED: 'Transaction amount exceeds the per-transaction limit',
+  DAILY_LIMIT_EXCEEDED: 'Transaction exceeds the daily debit limit',
+  VELOCITY_LIMIT_EXCEEDED: 'Too many transactions from this account',
+  IDEMPOTENCY_KEY_REUSED: 'Idempotency key has already been used with a different request body',
+  IDEMPOTENCY_KEY_IN_PROGRESS: 'A request with this idempotency key is still being processed',
+  FX_RATE_UNAVAILABLE: 'No exchange rate available',
+  PENDING_INSTRUCTION_NOT_FOUND: 'Pending instruction not found',
+  PENDING_INSTRUCTION_NOT_DUE: 'Pending instruction is not yet due for execution',
+  PENDING_INSTRUCTION_NOT_IN_REVIEW: 'Pending instruction is not awaiting review',
+  PENDING_INSTRUCTION_ATTEMPTS_EXHAUSTED: 'Pending instruction failed on its last attempt',
+  STANDING_ORDER_CREATED: 'Standing order created',
+  STANDING_ORDER_NOT_FOUND: 'Standing order not found',
+  STANDING_ORDER_REQUIRES_STORED_ACCOUNTS: 'Standing orders can only run against stored accounts',
+  HOLDS_REQUIRE_STORED_ACCOUNTS: 'Holds can only be placed on and settled from stored accounts',
+  INVALID_FREQUENCY: 'Frequency must be DAY, WEEK, MONTH or YEAR',
+  UNTIL_REQUIRES_EVERY: "'UNTIL' can only be used with 'EVERY'",
+  STANDING_ORDER_START_IN_PAST: 'Standing order cannot start in the past',
+  STANDING_ORDER_END_BEFORE_START: 'Standing order end date is before its start date',
+  STANDING_ORDER_FIXED_OFFSET:
+    'Standing orders follow a timezone: give the time without an offset and set the timezone instead',
+  STANDING_ORDER_NOT_ACTIVE: 'Only an active standing order can be paused',
+  STANDING_ORDER_NOT_PAUSED: 'Only a paused standing order can be resumed',
+  STANDING_ORDER_CLOSED: 'Standing order has already been cancelled or completed',
+  STANDING_ORDER_RUN_FAILED: 'Standing order run failed',
+  HOLD_PLACED: 'Funds held successfully',
+  HOLD_CAPTURED: 'Hold captured successfully',
+  HOLD_VOIDED: 'Hold voided successfully',
+  HOLD_NOT_FOUND: 'Hold not found',
+  HOLD_CLOSED: 'Hold has already been captured or voided',
+  HOLD_EXPIRED: 'Hold has expired',
+  CAPTURE_EXCEEDS_HOLD: 'Capture amount exceeds the held amount',
+  HOLD_CHANGED: 'Hold was captured, voided or expired by another request',
+  OVERDRAFT_USED: 'Debit drew on the account overdraft',
+  OVERDRAFT_LIMIT_EXCEEDED: 'Debit took the account past its overdraft limit',
+  RISK_BLOCKED: 'Instruction blocked by risk checks',
+  RISK_REVIEW_REQUIRED: 'Instruction held for risk review',
+  RISK_REVIEW_REJECTED: 'Instruction rejected on risk review',
+  SANCTIONS_HIT: 'Instruction blocked by sanctions screening',
+  SCREENING_LISTS_UNAVAILABLE: 'Sanctions screening lists could not be loaded',
+  ACCOUNT_BALANCE_CHANGED: 'Account balance changed while the transaction was executing',
 };
 
 module.exports = PaymentMessages;
@@ -0,0 +1,33 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'accounts';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {Number} balance
+ * @property {String} currency
+ * @property {String} [timezone] - IANA timezone the account holder's dates are read in
+ * @property {'active'|'frozen'|'debit-blocked'|'credit-blocked'|'closed'|'dormant'} status
+ * @property {{limit: Number, mode: 'block'|'warn'}} [overdraft] - Approved overdraft facility
+ * @property {Object} meta
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  balance: { type: SchemaTypes.Number, required: true },
+  currency: { type: SchemaTypes.String, required: true, index: true },
+  timezone: { type: SchemaTypes.String },
+  status: { type: SchemaTypes.String, default: 'active', index: true },
+  overdraft: { type: SchemaTypes.Mixed },
+  meta: { type: SchemaTypes.Mixed },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
@@ -0,0 +1,29 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'currencies';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} code
+ * @property {Number} minor_units
+ * @property {String} symbol
+ * @property {Boolean} enabled
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  code: { type: SchemaTypes.String, required: true, unique: true, index: true },
+  minor_units: { type: SchemaTypes.Number, required: true },
+  symbol: { type: SchemaTypes.String },
+  enabled: { type: SchemaTypes.Boolean, required: true, index: true },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
@@ -0,0 +1,49 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'holds';
+
+/**
+ * Funds reserved on a debit account by an AUTHORIZE instruction. An active hold lowers the
+ * available balance of the account until it is captured, voided or reaches `expires_at`.
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} hold_id
+ * @property {String} instruction
+ * @property {Number} amount
+ * @property {String} currency
+ * @property {String} debit_account
+ * @property {String} credit_account
+ * @property {Number} captured_amount
+ * @property {String} capture_transaction_id
+ * @property {String} reference
+ * @property {String} narration
+ * @property {String} beneficiary - Beneficiary name given in the instruction
+ * @property {String} status - active, captured or voided
+ * @property {Number} expires_at
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  hold_id: { type: SchemaTypes.String, required: true, unique: true },
+  instruction: { type: SchemaTypes.String },
+  amount: { type: SchemaTypes.Number, required: true },
+  currency: { type: SchemaTypes.String, required: true },
+  debit_account: { type: SchemaTypes.String, required: true, index: true },
+  credit_account: { type: SchemaTypes.String, required: true },
+  captured_amount: { type: SchemaTypes.Number, default: 0 },
+  capture_transaction_id: { type: SchemaTypes.String },
+  reference: { type: SchemaTypes.String },
+  narration: { type: SchemaTypes.String },
+  beneficiary: { type: SchemaTypes.String },
+  status: { type: SchemaTypes.String, required: true, index: true },
+  expires_at: { type: SchemaTypes.Number, required: true, index: true },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
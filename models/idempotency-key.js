@@ -0,0 +1,38 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'idempotency_keys';
+
+/**
+ * A client supplied `Idempotency-Key` and the response it produced.
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} key
+ * @property {String} request_hash
+ * @property {String} status
+ * @property {Number} response_status
+ * @property {String} response_message
+ * @property {Object} response_data
+ * @property {Date} expires_at
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  key: { type: SchemaTypes.String, required: true, unique: true },
+  request_hash: { type: SchemaTypes.String, required: true },
+  status: { type: SchemaTypes.String, required: true },
+  response_status: { type: SchemaTypes.Number },
+  response_message: { type: SchemaTypes.String },
+  response_data: { type: SchemaTypes.Mixed },
+  expires_at: { type: SchemaTypes.Date, required: true },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+// expired keys are removed by mongo, reclaiming them is handled by the service
+modelSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
@@ -1,5 +1,25 @@
 const Notification = require('./notification');
+const Account = require('./account');
+const LedgerEntry = require('./ledger-entry');
+const PendingInstruction = require('./pending-instruction');
+const Currency = require('./currency');
+const LimitCounter = require('./limit-counter');
+const IdempotencyKey = require('./idempotency-key');
+const Transaction = require('./transaction');
+const StandingOrder = require('./standing-order');
+const Hold = require('./hold');
+const ScreeningDecision = require('./screening-decision');
 
 module.exports = {
   Notification,
+  Account,
+  LedgerEntry,
+  PendingInstruction,
+  Currency,
+  LimitCounter,
+  IdempotencyKey,
+  Transaction,
+  StandingOrder,
+  Hold,
+  ScreeningDecision,
 };
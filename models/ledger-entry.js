@@ -0,0 +1,40 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'ledger_entries';
+
+/**
+ * Ledger entries are append-only: every executed transaction writes one debit
+ * and one credit row (plus a fee row when charged) sharing the same transaction_id.
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} transaction_id
+ * @property {String} account_id
+ * @property {String} entry_type
+ * @property {Number} amount
+ * @property {String} currency
+ * @property {Number} balance_before
+ * @property {Number} balance_after
+ * @property {String} instruction
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  transaction_id: { type: SchemaTypes.String, required: true, index: true },
+  account_id: { type: SchemaTypes.String, required: true, index: true },
+  entry_type: { type: SchemaTypes.String, required: true },
+  amount: { type: SchemaTypes.Number, required: true },
+  currency: { type: SchemaTypes.String, required: true },
+  balance_before: { type: SchemaTypes.Number, required: true },
+  balance_after: { type: SchemaTypes.Number, required: true },
+  instruction: { type: SchemaTypes.String },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+modelSchema.index({ account_id: 1, created: -1 });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
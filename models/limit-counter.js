@@ -0,0 +1,35 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'limit_counters';
+
+/**
+ * One counter per account and limit window, e.g. `daily:2026-10-19`.
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} account_id
+ * @property {String} counter_key
+ * @property {Number} debit_total
+ * @property {Number} transaction_count
+ * @property {Date} expires_at
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  account_id: { type: SchemaTypes.String, required: true, index: true },
+  counter_key: { type: SchemaTypes.String, required: true },
+  debit_total: { type: SchemaTypes.Number, default: 0 },
+  transaction_count: { type: SchemaTypes.Number, default: 0 },
+  expires_at: { type: SchemaTypes.Date, required: true },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+modelSchema.index({ account_id: 1, counter_key: 1 }, { unique: true });
+// let mongo clean up counters once their window has passed
+modelSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
@@ -0,0 +1,63 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'pending_instructions';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} instruction
+ * @property {String} type
+ * @property {Number} amount
+ * @property {String} currency
+ * @property {String} debit_account
+ * @property {String} credit_account
+ * @property {Object[]} credit_legs
+ * @property {String} execute_by
+ * @property {String} [timezone] - Timezone the execution date was read in
+ * @property {String} [standing_order_id] - Standing order the instruction is a run of
+ * @property {String} account_source
+ * @property {Object[]} accounts
+ * @property {Object[]} [account_inputs] - Inline accounts as they were sent, replayed by the run
+ * @property {String} status - pending, pending_review or executing until it has run, then the status of its run or rejected
+ * @property {Number} [claimed_at] - When the job running it claimed it, a stale claim can be taken over
+ * @property {String} status_code
+ * @property {String} status_reason
+ * @property {{outcome: String, reasons: Object[]}} [risk] - Risk assessment that held it for review
+ * @property {{decision: String, reviewer: String, note: String, at: Number}} [review] - Decision on the review
+ * @property {Object} result
+ * @property {Number} executed
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  instruction: { type: SchemaTypes.String, required: true },
+  type: { type: SchemaTypes.String, required: true },
+  amount: { type: SchemaTypes.Number, required: true },
+  currency: { type: SchemaTypes.String, required: true },
+  debit_account: { type: SchemaTypes.String, required: true, index: true },
+  credit_account: { type: SchemaTypes.String, index: true },
+  credit_legs: { type: SchemaTypes.Mixed },
+  execute_by: { type: SchemaTypes.String, required: true, index: true },
+  timezone: { type: SchemaTypes.String },
+  standing_order_id: { type: SchemaTypes.String, index: true },
+  account_source: { type: SchemaTypes.String, required: true },
+  accounts: { type: SchemaTypes.Mixed },
+  account_inputs: { type: SchemaTypes.Mixed },
+  status: { type: SchemaTypes.String, required: true, index: true },
+  claimed_at: { type: SchemaTypes.Number },
+  status_code: { type: SchemaTypes.String, required: true },
+  status_reason: { type: SchemaTypes.String, required: true },
+  risk: { type: SchemaTypes.Mixed },
+  review: { type: SchemaTypes.Mixed },
+  result: { type: SchemaTypes.Mixed },
+  executed: { type: SchemaTypes.Number },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
@@ -0,0 +1,53 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'screening_decisions';
+
+/**
+ * Audit record of an instruction screened against the sanctions and blocklists, clear or
+ * not, with what it was screened against and what came of the instruction.
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} instruction
+ * @property {String} type
+ * @property {Number} amount
+ * @property {String} currency
+ * @property {String} outcome - clear or hit
+ * @property {{field: String, value: String}[]} subjects - Account ids and names screened
+ * @property {Object[]} matches - The list entries they matched and how
+ * @property {String[]} lists - The lists screened against
+ * @property {String} status - Status of the instruction
+ * @property {String} status_code
+ * @property {String[]} transaction_ids
+ * @property {String} [hold_id]
+ * @property {String} [standing_order_id]
+ * @property {Boolean} is_scheduled_run
+ * @property {String} [request_ip]
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  instruction: { type: SchemaTypes.String },
+  type: { type: SchemaTypes.String, required: true },
+  amount: { type: SchemaTypes.Number },
+  currency: { type: SchemaTypes.String },
+  outcome: { type: SchemaTypes.String, required: true, index: true },
+  subjects: { type: SchemaTypes.Mixed, required: true },
+  matches: { type: SchemaTypes.Mixed },
+  lists: { type: SchemaTypes.Mixed },
+  status: { type: SchemaTypes.String, required: true },
+  status_code: { type: SchemaTypes.String, required: true },
+  transaction_ids: { type: SchemaTypes.Mixed, index: true },
+  hold_id: { type: SchemaTypes.String },
+  standing_order_id: { type: SchemaTypes.String, index: true },
+  is_scheduled_run: { type: SchemaTypes.Boolean, default: false },
+  request_ip: { type: SchemaTypes.String },
+  created: { type: SchemaTypes.Number, required: true, index: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
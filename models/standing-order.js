@@ -0,0 +1,62 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'standing_orders';
+
+/**
+ * A recurring instruction. Every run executes `run_instruction` on its own and records its
+ * transactions under the standing order's id; `next_run_date` is occurrence number
+ * `run_index` of the schedule.
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} instruction
+ * @property {String} run_instruction
+ * @property {String} type
+ * @property {Number} amount
+ * @property {String} currency
+ * @property {String} debit_account
+ * @property {String} credit_account
+ * @property {Object[]} credit_legs
+ * @property {String} frequency - DAY, WEEK, MONTH or YEAR
+ * @property {String} start_date
+ * @property {String} end_date
+ * @property {String} run_time
+ * @property {String} timezone
+ * @property {Number} run_index
+ * @property {String} next_run_date
+ * @property {Number} run_count
+ * @property {Number} failed_run_count
+ * @property {Object} last_run
+ * @property {String} status - active, paused, cancelled or completed
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  instruction: { type: SchemaTypes.String, required: true },
+  run_instruction: { type: SchemaTypes.String, required: true },
+  type: { type: SchemaTypes.String, required: true },
+  amount: { type: SchemaTypes.Number, required: true },
+  currency: { type: SchemaTypes.String, required: true },
+  debit_account: { type: SchemaTypes.String, required: true, index: true },
+  credit_account: { type: SchemaTypes.String, index: true },
+  credit_legs: { type: SchemaTypes.Mixed },
+  frequency: { type: SchemaTypes.String, required: true },
+  start_date: { type: SchemaTypes.String, required: true },
+  end_date: { type: SchemaTypes.String },
+  run_time: { type: SchemaTypes.String, required: true },
+  timezone: { type: SchemaTypes.String, required: true },
+  run_index: { type: SchemaTypes.Number, default: 0 },
+  next_run_date: { type: SchemaTypes.String, required: true },
+  run_count: { type: SchemaTypes.Number, default: 0 },
+  failed_run_count: { type: SchemaTypes.Number, default: 0 },
+  last_run: { type: SchemaTypes.Mixed },
+  status: { type: SchemaTypes.String, required: true, index: true },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
@@ -0,0 +1,60 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'transactions';
+
+/**
+ * An executed instruction. Reversals and refunds point back at the transaction they undo
+ * through `original_transaction_id`, and the original tracks how much was returned. Runs of a
+ * standing order carry its `standing_order_id`, and captures the `hold_id` they settle.
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} transaction_id
+ * @property {String} type
+ * @property {String} instruction
+ * @property {Number} amount
+ * @property {Number} credit_amount
+ * @property {Number} fee_amount
+ * @property {String} currency
+ * @property {String} credit_currency
+ * @property {String} debit_account
+ * @property {String} credit_account
+ * @property {String} original_transaction_id
+ * @property {String} standing_order_id
+ * @property {String} hold_id
+ * @property {String} reference
+ * @property {String} narration
+ * @property {String} beneficiary - Beneficiary name given in the instruction
+ * @property {Number} refunded_amount
+ * @property {String} status
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  transaction_id: { type: SchemaTypes.String, required: true, unique: true },
+  type: { type: SchemaTypes.String, required: true },
+  instruction: { type: SchemaTypes.String },
+  amount: { type: SchemaTypes.Number, required: true },
+  credit_amount: { type: SchemaTypes.Number, required: true },
+  fee_amount: { type: SchemaTypes.Number, default: 0 },
+  currency: { type: SchemaTypes.String, required: true },
+  credit_currency: { type: SchemaTypes.String, required: true },
+  debit_account: { type: SchemaTypes.String, required: true, index: true },
+  credit_account: { type: SchemaTypes.String, required: true, index: true },
+  original_transaction_id: { type: SchemaTypes.String, index: true },
+  standing_order_id: { type: SchemaTypes.String, index: true },
+  hold_id: { type: SchemaTypes.String, index: true },
+  reference: { type: SchemaTypes.String },
+  narration: { type: SchemaTypes.String },
+  beneficiary: { type: SchemaTypes.String },
+  refunded_amount: { type: SchemaTypes.Number, default: 0 },
+  status: { type: SchemaTypes.String, required: true },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
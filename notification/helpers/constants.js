@@ -1,5 +1,6 @@
 const TEMPLATES = {
   ACCOUNT_ACTIVATION: 'account-activation',
+  STANDING_ORDER_RUN_FAILED: 'standing-order-run-failed',
 };
 
 const NOTIFICATION_TYPE = {
@@ -1,3 +1,4 @@
 const emailNotification = require('./email');
+const slackNotification = require('./slack');
 
-module.exports = { emailNotification };
+module.exports = { emailNotification, slackNotification };
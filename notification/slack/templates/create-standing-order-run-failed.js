@@ -0,0 +1,44 @@
+function createTemplate({ subject, payload } = {}) {
+  return {
+    blocks: [
+      {
+        type: 'header',
+        text: {
+          type: 'plain_text',
+          text: subject || 'Standing Order Run Failed',
+          emoji: true,
+        },
+      },
+      {
+        type: 'divider',
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `Standing order *${payload.standing_order_id}* failed its ${payload.run_date} run after ${payload.attempts} attempt(s).`,
+        },
+      },
+      {
+        type: 'section',
+        fields: [
+          { type: 'mrkdwn', text: `*Instruction*\n${payload.instruction}` },
+          { type: 'mrkdwn', text: `*Reason*\n${payload.status_code}: ${payload.status_reason}` },
+          { type: 'mrkdwn', text: `*Next run*\n${payload.next_run_date || 'None'}` },
+        ],
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*${payload.app_name}*`,
+        },
+      },
+      {
+        type: 'divider',
+      },
+    ],
+  };
+}
+
+module.exports = createTemplate;
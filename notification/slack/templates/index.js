@@ -1,7 +1,9 @@
 const { TEMPLATES } = require('../../helpers/constants');
 
 const createAccountActivationTemplate = require('./create-account-activation');
+const createStandingOrderRunFailedTemplate = require('./create-standing-order-run-failed');
 
 module.exports = {
   [TEMPLATES.ACCOUNT_ACTIVATION]: createAccountActivationTemplate,
+  [TEMPLATES.STANDING_ORDER_RUN_FAILED]: createStandingOrderRunFailedTemplate,
 };
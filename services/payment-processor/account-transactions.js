@@ -0,0 +1,173 @@
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const Account = require('@app/repository/account');
+const LedgerEntry = require('@app/repository/ledger-entry');
+const PaymentMessages = require('@app/messages/payment');
+const {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  toInstant,
+  formatExecutionTime,
+} = require('./execution-time');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MILLIS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} TransactionFilters
+ * @property {String} [from] - YYYY-MM-DD of the first day, in the account's timezone
+ * @property {String} [to] - YYYY-MM-DD of the last day, in the account's timezone
+ * @property {String} [currency]
+ * @property {String} [status]
+ */
+
+/**
+ * Loads the account a history is read for.
+ * @param {String} accountId
+ */
+async function loadAccount(accountId) {
+  const account = await Account.findOne({ query: { _id: accountId } });
+
+  if (!account) {
+    throwAppError(`${PaymentMessages.ACCOUNT_NOT_FOUND}: ${accountId}`, ERROR_CODE.NOTFOUND);
+  }
+
+  return account;
+}
+
+function getAccountFrame(account) {
+  return { timeZone: isValidTimeZone(account.timezone) ? account.timezone : DEFAULT_TIME_ZONE };
+}
+
+function parseDate(date, field) {
+  if (!DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date))) {
+    throwAppError(
+      `${PaymentMessages.INVALID_DATE_RANGE}: ${field} must be a YYYY-MM-DD date`,
+      ERROR_CODE.VALIDATIONERR
+    );
+  }
+  return date;
+}
+
+/**
+ * The `created` range the dates cover, from the start of `from` up to the end of `to`.
+ * @param {Object} account
+ * @param {{from?: String, to?: String}} dates
+ * @returns {{$gte?: Number, $lt?: Number}|null}
+ */
+function getCreatedRange(account, { from, to }) {
+  const frame = getAccountFrame(account);
+  const range = {};
+
+  if (from) {
+    range.$gte = toInstant({ date: parseDate(from, 'from') }, frame);
+  }
+
+  if (to) {
+    const nextDay = new Date(Date.parse(parseDate(to, 'to')) + DAY_MILLIS).toISOString();
+    range.$lt = toInstant({ date: nextDay.slice(0, 10) }, frame);
+  }
+
+  if (from && to && from > to) {
+    throwAppError(
+      `${PaymentMessages.INVALID_DATE_RANGE}: from is after to`,
+      ERROR_CODE.VALIDATIONERR
+    );
+  }
+
+  return Object.keys(range).length > 0 ? range : null;
+}
+
+/**
+ * Transactions the account was debited or credited by, narrowed by the filters.
+ * @param {Object} account
+ * @param {TransactionFilters} filters
+ */
+function buildTransactionQuery(account, filters) {
+  const accountId = `${account._id}`;
+  const conditions = [{ $or: [{ debit_account: accountId }, { credit_account: accountId }] }];
+
+  const created = getCreatedRange(account, filters);
+  if (created) {
+    conditions.push({ created });
+  }
+
+  if (filters.currency) {
+    // a cross-currency credit lands in the credit currency
+    conditions.push({
+      $or: [{ currency: filters.currency }, { credit_currency: filters.currency }],
+    });
+  }
+
+  if (filters.status) {
+    conditions.push({ status: filters.status });
+  }
+
+  return { $and: conditions };
+}
+
+/**
+ * The balance of the account after each transaction, from its ledger entries. Transactions
+ * executed against inline accounts have none.
+ * @param {String} accountId
+ * @param {String[]} transactionIds
+ * @returns {Promise<Object<string, {balance_before: Number, balance_after: Number}>>}
+ */
+async function loadRunningBalances(accountId, transactionIds) {
+  if (transactionIds.length === 0) {
+    return {};
+  }
+
+  const entries = await LedgerEntry.findMany({
+    query: { account_id: accountId, transaction_id: { $in: transactionIds } },
+    options: { sort: { _id: 1 } },
+  });
+
+  // a fee row follows the debit row it belongs to and carries the final balance
+  return entries.reduce((balances, entry) => {
+    const current = balances[entry.transaction_id];
+    return {
+      ...balances,
+      [entry.transaction_id]: {
+        balance_before: current ? current.balance_before : entry.balance_before,
+        balance_after: entry.balance_after,
+      },
+    };
+  }, {});
+}
+
+/**
+ * A transaction as seen from one of its accounts.
+ * @param {Object} transaction
+ * @param {Object} account
+ * @param {{balance_before: Number, balance_after: Number}} [balances]
+ */
+function formatAccountTransaction(transaction, account, balances) {
+  const isDebit = transaction.debit_account === `${account._id}`;
+
+  return {
+    transaction_id: transaction.transaction_id,
+    type: transaction.type,
+    direction: isDebit ? 'debit' : 'credit',
+    amount: isDebit ? transaction.amount : transaction.credit_amount,
+    fee_amount: isDebit ? transaction.fee_amount || 0 : 0,
+    currency: isDebit ? transaction.currency : transaction.credit_currency,
+    counterparty_account: isDebit ? transaction.credit_account : transaction.debit_account,
+    reference: transaction.reference || null,
+    narration: transaction.narration || null,
+    beneficiary: transaction.beneficiary || null,
+    status: transaction.status,
+    original_transaction_id: transaction.original_transaction_id || null,
+    balance_before: balances ? balances.balance_before : null,
+    balance_after: balances ? balances.balance_after : null,
+    date: formatExecutionTime(transaction.created, getAccountFrame(account)),
+    created: transaction.created,
+  };
+}
+
+module.exports = {
+  loadAccount,
+  getCreatedRange,
+  buildTransactionQuery,
+  loadRunningBalances,
+  formatAccountTransaction,
+};
@@ -0,0 +1,52 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const StandingOrder = require('@app/repository/standing-order');
+const PaymentMessages = require('@app/messages/payment');
+const formatStandingOrder = require('./format-standing-order');
+const { unscheduleStandingOrder } = require('./standing-order-schedule');
+
+const spec = `root {
+  id string<trim>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Cancels an active or paused standing order for good. Runs already executed are kept.
+ */
+async function cancelStandingOrder(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const standingOrder = await StandingOrder.findOne({ query: { _id: data.id } });
+
+    if (!standingOrder) {
+      throwAppError(PaymentMessages.STANDING_ORDER_NOT_FOUND, ERROR_CODE.NOTFOUND);
+    }
+
+    const update = await StandingOrder.updateOne({
+      query: { _id: data.id, status: { $in: ['active', 'paused'] } },
+      updateValues: { status: 'cancelled' },
+    });
+
+    if (update.modifiedCount === 0) {
+      throwAppError(PaymentMessages.STANDING_ORDER_CLOSED, ERROR_CODE.VALIDATIONERR);
+    }
+
+    // a paused order has no job left to remove
+    if (standingOrder.status === 'active') {
+      await unscheduleStandingOrder(standingOrder);
+    }
+
+    result = formatStandingOrder({ ...standingOrder, status: 'cancelled', updated: Date.now() });
+  } catch (error) {
+    appLogger.errorX(error, 'cancel-standing-order-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = cancelStandingOrder;
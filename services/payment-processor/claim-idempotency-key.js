@@ -0,0 +1,114 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const { hash } = require('@app-core/security');
+const IdempotencyKey = require('@app/repository/idempotency-key');
+const PaymentMessages = require('@app/messages/payment');
+
+const DEFAULT_TTL_SECS = 24 * 60 * 60;
+
+const spec = `root {
+  key string<trim|minLength:1|maxLength:255>
+  payload object
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+function getKeyTTL() {
+  const ttl = parseInt(process.env.IDEMPOTENCY_KEY_TTL_SECS, 10);
+  return ttl > 0 ? ttl : DEFAULT_TTL_SECS;
+}
+
+/**
+ * Serialises a value with object keys sorted, so the same body always hashes the same.
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+function buildStoredResponse(record) {
+  return {
+    status: record.response_status,
+    message: record.response_message,
+    data: record.response_data,
+  };
+}
+
+/**
+ * Claims an idempotency key for a request. Returns the stored response when the key was
+ * already used for the same body, and rejects reuse of a key with a different body.
+ * @param {{key: string, payload: Object}} serviceData
+ * @returns {Promise<{replayed: boolean, response?: {status: number, message: string, data: Object}}>}
+ */
+async function claimIdempotencyKey(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const requestHash = hash.create(stableStringify(data.payload), { algo: 'sha256' });
+    const now = Date.now();
+    const expiresAt = new Date(now + getKeyTTL() * 1000);
+
+    const existing = await IdempotencyKey.findOne({ query: { key: data.key } });
+    const isLive = existing && new Date(existing.expires_at).getTime() > now;
+
+    if (isLive) {
+      if (existing.request_hash !== requestHash) {
+        throwAppError(PaymentMessages.IDEMPOTENCY_KEY_REUSED, ERROR_CODE.DUPLRCRD);
+      }
+
+      if (existing.status !== 'completed') {
+        throwAppError(PaymentMessages.IDEMPOTENCY_KEY_IN_PROGRESS, ERROR_CODE.DUPLRCRD);
+      }
+
+      result = { replayed: true, response: buildStoredResponse(existing) };
+    } else if (existing) {
+      // the key expired but mongo has not purged it yet, take it over
+      const update = await IdempotencyKey.updateOne({
+        query: { key: data.key, expires_at: existing.expires_at },
+        updateValues: {
+          request_hash: requestHash,
+          status: 'processing',
+          response_status: null,
+          response_message: null,
+          response_data: null,
+          expires_at: expiresAt,
+        },
+      });
+
+      if (!update.modifiedCount) {
+        throwAppError(PaymentMessages.IDEMPOTENCY_KEY_IN_PROGRESS, ERROR_CODE.DUPLRCRD);
+      }
+
+      result = { replayed: false };
+    } else {
+      await IdempotencyKey.create({
+        key: data.key,
+        request_hash: requestHash,
+        status: 'processing',
+        expires_at: expiresAt,
+      });
+
+      result = { replayed: false };
+    }
+  } catch (error) {
+    appLogger.errorX(error, 'claim-idempotency-key-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = claimIdempotencyKey;
@@ -0,0 +1,37 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const IdempotencyKey = require('@app/repository/idempotency-key');
+
+const spec = `root {
+  key string<trim|minLength:1|maxLength:255>
+  status number
+  message string
+  data object
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Stores the response of a claimed idempotency key so replays can return it.
+ * @param {{key: string, status: number, message: string, data: Object}} serviceData
+ */
+async function completeIdempotencyKey(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  try {
+    await IdempotencyKey.updateOne({
+      query: { key: data.key, status: 'processing' },
+      updateValues: {
+        status: 'completed',
+        response_status: data.status,
+        response_message: data.message,
+        response_data: data.data,
+      },
+    });
+  } catch (error) {
+    appLogger.errorX(error, 'complete-idempotency-key-error');
+    throw error;
+  }
+}
+
+module.exports = completeIdempotencyKey;
@@ -0,0 +1,60 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const StandingOrder = require('@app/repository/standing-order');
+const { scheduleStandingOrder } = require('./standing-order-schedule');
+
+const spec = `root {
+  standing_orders[] {
+    instruction string
+    run_instruction string
+    type string
+    amount number
+    currency string
+    debit_account string
+    credit_account? string
+    credit_legs[]? {
+      account_id string
+      amount number
+    }
+    frequency string(DAY|WEEK|MONTH|YEAR)
+    start_date string
+    end_date? string
+    run_time string
+    timezone string
+  }
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Stores accepted standing orders and queues the repeatable job that runs each of them.
+ */
+async function createStandingOrders(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const entries = data.standing_orders.map((standingOrder) => ({
+      ...standingOrder,
+      run_index: 0,
+      next_run_date: standingOrder.start_date,
+      run_count: 0,
+      failed_run_count: 0,
+      status: 'active',
+    }));
+
+    result = await StandingOrder.createMany({
+      entries,
+      options: { session: options.session },
+    });
+
+    await Promise.all(result.map((record) => scheduleStandingOrder(record)));
+  } catch (error) {
+    appLogger.errorX(error, 'create-standing-orders-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = createStandingOrders;
@@ -0,0 +1,115 @@
+const { appLogger } = require('@app-core/logger');
+const Currency = require('@app/repository/currency');
+
+/**
+ * @typedef {Object} CurrencyDefinition
+ * @property {String} code - ISO 4217 alphabetic code
+ * @property {Number} minor_units - ISO 4217 minor-unit exponent
+ * @property {String} [symbol] - Display symbol
+ * @property {Boolean} enabled - Whether instructions may use the currency
+ */
+
+/** @type {CurrencyDefinition[]} */
+const DEFAULT_CURRENCIES = [
+  { code: 'NGN', minor_units: 2, symbol: '₦', enabled: true },
+  { code: 'USD', minor_units: 2, symbol: '$', enabled: true },
+  { code: 'GBP', minor_units: 2, symbol: '£', enabled: true },
+  { code: 'GHS', minor_units: 2, symbol: '₵', enabled: true },
+];
+
+const REGISTRY_SOURCE = process.env.CURRENCY_REGISTRY_SOURCE || 'config';
+const REFRESH_INTERVAL_MILLIS = (Number(process.env.CURRENCY_REGISTRY_TTL_SECS) || 300) * 1000;
+
+let registry = new Map();
+let lastRefreshTimestamp = 0;
+
+function normaliseDefinition(definition) {
+  return {
+    code: `${definition.code}`.toUpperCase(),
+    minor_units: Number.isInteger(definition.minor_units) ? definition.minor_units : 2,
+    symbol: definition.symbol || '',
+    enabled: definition.enabled !== false,
+  };
+}
+
+/**
+ * Replaces the registry contents.
+ * @param {CurrencyDefinition[]} definitions
+ */
+function loadCurrencies(definitions) {
+  registry = new Map(
+    definitions
+      .filter((definition) => definition && definition.code)
+      .map((definition) => {
+        const normalised = normaliseDefinition(definition);
+        return [normalised.code, normalised];
+      })
+  );
+}
+
+function parseConfiguredCurrencies(rawCurrencies) {
+  let definitions = DEFAULT_CURRENCIES;
+
+  if (rawCurrencies) {
+    try {
+      const parsed = JSON.parse(rawCurrencies);
+      if (Array.isArray(parsed)) definitions = parsed;
+    } catch (error) {
+      appLogger.warn({ error: error.message }, 'currency-registry-config-invalid');
+    }
+  }
+
+  return definitions;
+}
+
+/**
+ * Reloads the registry from the `currencies` collection when the registry source is
+ * `database` and the cached copy has expired. Config-sourced registries are static.
+ */
+async function refreshCurrencyRegistry() {
+  const isStale = Date.now() - lastRefreshTimestamp >= REFRESH_INTERVAL_MILLIS;
+
+  if (REGISTRY_SOURCE === 'database' && isStale) {
+    const currencies = await Currency.findMany({ query: {} });
+    loadCurrencies(currencies);
+    lastRefreshTimestamp = Date.now();
+  }
+}
+
+/**
+ * @param {String} code
+ * @returns {CurrencyDefinition|null}
+ */
+function getCurrency(code) {
+  return registry.get(`${code || ''}`.toUpperCase()) || null;
+}
+
+function isCurrencyEnabled(code) {
+  const currency = getCurrency(code);
+  return !!currency && currency.enabled;
+}
+
+function getEnabledCurrencyCodes() {
+  return [...registry.values()].filter((currency) => currency.enabled).map(({ code }) => code);
+}
+
+/**
+ * Human readable list of enabled currencies, e.g. "NGN, USD, GBP and GHS".
+ */
+function describeEnabledCurrencies() {
+  const codes = getEnabledCurrencyCodes();
+  if (codes.length <= 1) return codes.join('');
+
+  return `${codes.slice(0, -1).join(', ')} and ${codes[codes.length - 1]}`;
+}
+
+loadCurrencies(parseConfiguredCurrencies(process.env.CURRENCY_REGISTRY));
+
+module.exports = {
+  loadCurrencies,
+  refreshCurrencyRegistry,
+  getCurrency,
+  isCurrencyEnabled,
+  getEnabledCurrencyCodes,
+  describeEnabledCurrencies,
+};
@@ -0,0 +1,171 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const PendingInstruction = require('@app/repository/pending-instruction');
+const PaymentMessages = require('@app/messages/payment');
+const parseInstruction = require('./parse-instruction');
+
+const spec = `root {
+  pending_instruction_id string
+  attempt number
+  max_attempts number
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// a claim held this long belongs to a job that died mid-run, so a retry may take it over
+const CLAIM_TIMEOUT_MILLIS = 10 * 60 * 1000;
+const ATTEMPTS_EXHAUSTED_STATUS_CODE = 'PI01';
+
+function buildReplayPayload(pendingInstruction) {
+  const payload = { instruction: pendingInstruction.instruction };
+
+  if (pendingInstruction.timezone) {
+    payload.timezone = pendingInstruction.timezone;
+  }
+
+  if (pendingInstruction.account_source === 'stored') {
+    const creditAccountIds = pendingInstruction.credit_legs
+      ? pendingInstruction.credit_legs.map((leg) => leg.account_id)
+      : [pendingInstruction.credit_account];
+    payload.account_ids = [pendingInstruction.debit_account, ...creditAccountIds];
+  } else if (pendingInstruction.account_inputs) {
+    payload.accounts = pendingInstruction.account_inputs;
+  } else {
+    // stored before the account inputs were kept
+    payload.accounts = pendingInstruction.accounts.map((account) => ({
+      id: account.id,
+      balance: account.balance,
+      currency: account.currency,
+    }));
+  }
+
+  return payload;
+}
+
+function isClaimable(pendingInstruction, now) {
+  return (
+    pendingInstruction.status === 'pending' ||
+    (pendingInstruction.status === 'executing' &&
+      pendingInstruction.claimed_at < now - CLAIM_TIMEOUT_MILLIS)
+  );
+}
+
+function claimInstruction(pendingInstructionId, claimedAt) {
+  return PendingInstruction.updateOne({
+    query: {
+      _id: pendingInstructionId,
+      $or: [
+        { status: 'pending' },
+        { status: 'executing', claimed_at: { $lt: claimedAt - CLAIM_TIMEOUT_MILLIS } },
+      ],
+    },
+    updateValues: { status: 'executing', claimed_at: claimedAt },
+  });
+}
+
+/**
+ * Hands a claim back for the queue to retry, or marks the instruction failed when this was
+ * its last attempt, since no job is left to pick it up again.
+ */
+function releaseClaim(pendingInstructionId, claimedAt, attempts, reason) {
+  const updateValues =
+    attempts.attempt < attempts.max_attempts
+      ? { status: 'pending' }
+      : {
+          status: 'failed',
+          status_code: ATTEMPTS_EXHAUSTED_STATUS_CODE,
+          status_reason: `${PaymentMessages.PENDING_INSTRUCTION_ATTEMPTS_EXHAUSTED}: ${reason}`,
+          executed: Date.now(),
+        };
+
+  return PendingInstruction.updateOne({
+    query: { _id: pendingInstructionId, status: 'executing', claimed_at: claimedAt },
+    updateValues,
+  });
+}
+
+/**
+ * Runs an instruction claimed by this job and records how it ended. Nothing is stored when
+ * the run throws or is not due yet, and the claim is released instead.
+ */
+async function runClaimedInstruction(pendingInstruction, claimedAt, attempts, options) {
+  const pendingInstructionId = `${pendingInstruction._id}`;
+  let response;
+
+  try {
+    response = await parseInstruction(buildReplayPayload(pendingInstruction), {
+      ...options,
+      isScheduledRun: true,
+      standingOrderId: pendingInstruction.standing_order_id,
+    });
+  } catch (error) {
+    await releaseClaim(pendingInstructionId, claimedAt, attempts, error.message);
+    throw error;
+  }
+
+  if (response.status === 'pending') {
+    // the job fired ahead of the execution date, the worker retries it with a backoff
+    await releaseClaim(
+      pendingInstructionId,
+      claimedAt,
+      attempts,
+      PaymentMessages.PENDING_INSTRUCTION_NOT_DUE
+    );
+    throwAppError(PaymentMessages.PENDING_INSTRUCTION_NOT_DUE, ERROR_CODE.APPERR);
+  }
+
+  const updateValues = {
+    status: response.status,
+    status_code: response.status_code,
+    status_reason: response.status_reason,
+    result: response,
+    executed: Date.now(),
+  };
+
+  await PendingInstruction.updateOne({
+    query: { _id: pendingInstructionId, status: 'executing', claimed_at: claimedAt },
+    updateValues,
+  });
+
+  return { ...pendingInstruction, ...updateValues };
+}
+
+/**
+ * Runs a stored pending instruction on its execute_by date. Funds and currencies are
+ * re-checked against the accounts at run time and the final status is recorded.
+ * The record is claimed (`pending` to `executing`) before anything runs, so a duplicate or
+ * retried job finds it taken and leaves it alone, unless the claim has gone stale.
+ */
+async function executePendingInstruction(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const pendingInstruction = await PendingInstruction.findOne({
+      query: { _id: data.pending_instruction_id },
+    });
+
+    if (!pendingInstruction) {
+      throwAppError(PaymentMessages.PENDING_INSTRUCTION_NOT_FOUND, ERROR_CODE.NOTFOUND);
+    }
+
+    result = pendingInstruction;
+
+    const claimedAt = Date.now();
+    const claim = isClaimable(pendingInstruction, claimedAt)
+      ? await claimInstruction(data.pending_instruction_id, claimedAt)
+      : { modifiedCount: 0 };
+
+    if (claim.modifiedCount) {
+      result = await runClaimedInstruction(pendingInstruction, claimedAt, data, options);
+    }
+  } catch (error) {
+    appLogger.errorX(error, 'execute-pending-instruction-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = executePendingInstruction;
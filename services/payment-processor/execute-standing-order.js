@@ -0,0 +1,159 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const { slackNotification } = require('@app/notification');
+const { TEMPLATES } = require('@app/notification/helpers/constants');
+const StandingOrder = require('@app/repository/standing-order');
+const PaymentMessages = require('@app/messages/payment');
+const parseInstruction = require('./parse-instruction');
+const {
+  getNextRun,
+  getRunInstant,
+  getScheduleToday,
+  unscheduleStandingOrder,
+} = require('./standing-order-schedule');
+
+const ALERT_WEBHOOK = process.env.STANDING_ORDER_ALERT_WEBHOOK;
+
+const spec = `root {
+  standing_order_id string
+  job_id string
+  attempt number
+  max_attempts number
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+function buildRunPayload(standingOrder, runDate) {
+  const creditAccountIds = standingOrder.credit_legs
+    ? standingOrder.credit_legs.map((leg) => leg.account_id)
+    : [standingOrder.credit_account];
+
+  return {
+    instruction: `${standingOrder.run_instruction} ON ${runDate}`,
+    account_ids: [standingOrder.debit_account, ...creditAccountIds],
+    timezone: standingOrder.timezone,
+  };
+}
+
+function buildLastRun(data, runDate, response) {
+  return {
+    job_id: data.job_id,
+    run_date: runDate,
+    attempt: data.attempt,
+    status: response.status,
+    status_code: response.status_code,
+    status_reason: response.status_reason,
+    transaction_ids: response.credit_legs
+      ? response.credit_legs.map((leg) => leg.transaction_id).filter(Boolean)
+      : [response.transaction_id].filter(Boolean),
+    pending_instruction_id: response.pending_instruction_id || null,
+    at: Date.now(),
+  };
+}
+
+async function notifyRunFailure(standingOrder, lastRun, nextRunDate) {
+  if (!ALERT_WEBHOOK) return;
+
+  await slackNotification.send({
+    template: TEMPLATES.STANDING_ORDER_RUN_FAILED,
+    webhookUrl: ALERT_WEBHOOK,
+    subject: PaymentMessages.STANDING_ORDER_RUN_FAILED,
+    payload: {
+      standing_order_id: `${standingOrder._id}`,
+      instruction: standingOrder.instruction,
+      run_date: lastRun.run_date,
+      attempts: lastRun.attempt,
+      status_code: lastRun.status_code,
+      status_reason: lastRun.status_reason,
+      next_run_date: nextRunDate,
+    },
+    logKey: 'STANDING-ORDER-RUN-FAILED',
+  });
+}
+
+/**
+ * Runs the due occurrence of a standing order as an instruction of its own, dated on the
+ * occurrence so settlement calendars still apply. A failed run is retried by the queue
+ * until its last attempt, which is recorded, reported, and moves the order on to its next
+ * run. Firings with nothing due, such as the 29th to 31st of a month ending on the 30th,
+ * are skipped.
+ */
+async function executeStandingOrder(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const standingOrder = await StandingOrder.findOne({
+      query: { _id: data.standing_order_id },
+    });
+
+    if (!standingOrder) {
+      throwAppError(PaymentMessages.STANDING_ORDER_NOT_FOUND, ERROR_CODE.NOTFOUND);
+    }
+
+    result = standingOrder;
+
+    const now = Date.now();
+    const runDate = standingOrder.next_run_date;
+    const isDue = standingOrder.status === 'active' && getRunInstant(standingOrder, runDate) <= now;
+
+    if (isDue) {
+      const response = await parseInstruction(buildRunPayload(standingOrder, runDate), {
+        ...options,
+        standingOrderId: `${standingOrder._id}`,
+      });
+      const lastRun = buildLastRun(data, runDate, response);
+      const isFailed = response.status === 'failed';
+
+      if (isFailed && data.attempt < data.max_attempts) {
+        await StandingOrder.updateOne({
+          query: { _id: standingOrder._id, run_index: standingOrder.run_index },
+          updateValues: { last_run: { ...lastRun, status: 'retrying' } },
+        });
+        throwAppError(
+          `${PaymentMessages.STANDING_ORDER_RUN_FAILED}: ${response.status_reason}`,
+          ERROR_CODE.APPERR
+        );
+      }
+
+      const today = getScheduleToday(standingOrder, now);
+      let nextRun = getNextRun(standingOrder, standingOrder.run_index + 1, today);
+      if (nextRun.runDate && getRunInstant(standingOrder, nextRun.runDate) <= now) {
+        // this run went ahead late and stands in for today's as well
+        nextRun = getNextRun(standingOrder, nextRun.runIndex + 1, today);
+      }
+
+      const updateValues = {
+        run_index: nextRun.runIndex,
+        next_run_date: nextRun.runDate || runDate,
+        status: nextRun.runDate ? 'active' : 'completed',
+        run_count: (standingOrder.run_count || 0) + 1,
+        failed_run_count: (standingOrder.failed_run_count || 0) + (isFailed ? 1 : 0),
+        last_run: lastRun,
+      };
+
+      await StandingOrder.updateOne({
+        query: { _id: standingOrder._id, status: 'active', run_index: standingOrder.run_index },
+        updateValues,
+      });
+
+      result = { ...standingOrder, ...updateValues };
+
+      if (updateValues.status === 'completed') {
+        await unscheduleStandingOrder(standingOrder);
+      }
+
+      if (isFailed) {
+        await notifyRunFailure(standingOrder, lastRun, nextRun.runDate);
+      }
+    }
+  } catch (error) {
+    appLogger.errorX(error, 'execute-standing-order-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = executeStandingOrder;
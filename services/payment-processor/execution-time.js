@@ -0,0 +1,157 @@
+const PaymentMessages = require('@app/messages/payment');
+
+/**
+ * @typedef {Object} ExecutionTime
+ * @property {String} date - YYYY-MM-DD, local to the offset or timezone it is read in
+ * @property {String|null} time - HH:MM:SS, null for a date on its own
+ * @property {Number|null} offsetMinutes - Offset written in the instruction, null when absent
+ */
+
+/**
+ * @typedef {Object} TimeFrame
+ * @property {String} timeZone - IANA timezone used when no offset is written
+ * @property {Number|null} [offsetMinutes] - Fixed offset that takes precedence over the timezone
+ */
+
+const DEFAULT_TIME_ZONE = 'UTC';
+const MINUTE_MILLIS = 60 * 1000;
+const TIME_PATTERN = /^(\d{2}):(\d{2})(?::(\d{2}))?(Z|[+-]\d{2}:\d{2})?$/i;
+const OFFSET_PATTERN = /GMT([+-])(\d{2}):(\d{2})/;
+
+/**
+ * @param {String} timeZone
+ * @returns {Boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parses the part of an ISO-8601 datetime after the `T`: `09:00`, `09:00:30`, optionally
+ * followed by `Z` or a `+01:00` offset.
+ * @param {String} text
+ * @returns {{valid: Boolean, time?: String, offsetMinutes?: Number|null, error?: String}}
+ */
+function parseTimeOfDay(text) {
+  const match = TIME_PATTERN.exec(text || '');
+  if (!match) {
+    return { valid: false, error: PaymentMessages.INVALID_TIME_FORMAT };
+  }
+
+  const [, hours, minutes, seconds = '00', offset] = match;
+  if (Number(hours) > 23 || Number(minutes) > 59 || Number(seconds) > 59) {
+    return {
+      valid: false,
+      error: `${PaymentMessages.INVALID_TIME_FORMAT}: '${text}' is not a time of day`,
+    };
+  }
+
+  let offsetMinutes = null;
+  if (offset) {
+    const [offsetHours, offsetMins] =
+      offset.toUpperCase() === 'Z' ? [0, 0] : offset.slice(1).split(':').map(Number);
+    if (offsetHours > 14 || offsetMins > 59) {
+      return {
+        valid: false,
+        error: `${PaymentMessages.INVALID_TIME_FORMAT}: '${offset}' is not a valid offset`,
+      };
+    }
+    offsetMinutes = (offset.startsWith('-') ? -1 : 1) * (offsetHours * 60 + offsetMins);
+  }
+
+  return { valid: true, time: `${hours}:${minutes}:${seconds}`, offsetMinutes };
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in minutes.
+ * @param {String} timeZone
+ * @param {Number} instant - Epoch milliseconds
+ * @returns {Number}
+ */
+function getTimeZoneOffset(timeZone, instant) {
+  const zoneName = Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+    .formatToParts(new Date(instant))
+    .find((part) => part.type === 'timeZoneName').value;
+  const match = OFFSET_PATTERN.exec(zoneName);
+
+  // UTC itself is reported as a bare 'GMT'
+  if (!match) return 0;
+  return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]));
+}
+
+/**
+ * @param {TimeFrame} frame
+ * @param {Number} instant
+ * @returns {Number}
+ */
+function getFrameOffset(frame, instant) {
+  return typeof frame.offsetMinutes === 'number'
+    ? frame.offsetMinutes
+    : getTimeZoneOffset(frame.timeZone, instant);
+}
+
+/**
+ * The calendar date at an instant, as seen in a timezone or at a fixed offset.
+ * @param {TimeFrame} frame
+ * @param {Number} instant
+ * @returns {String} YYYY-MM-DD
+ */
+function getLocalDate(frame, instant) {
+  return new Date(instant + getFrameOffset(frame, instant) * MINUTE_MILLIS)
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * The instant an execution time refers to. A date on its own means the start of that day.
+ * @param {ExecutionTime} executionTime
+ * @param {TimeFrame} frame
+ * @returns {Number} Epoch milliseconds
+ */
+function toInstant(executionTime, frame) {
+  const localMillis = Date.parse(`${executionTime.date}T${executionTime.time || '00:00:00'}Z`);
+  if (typeof frame.offsetMinutes === 'number') {
+    return localMillis - frame.offsetMinutes * MINUTE_MILLIS;
+  }
+
+  // the zone offset depends on the instant itself, a second pass settles DST transitions
+  const firstGuess = localMillis - getTimeZoneOffset(frame.timeZone, localMillis) * MINUTE_MILLIS;
+  return localMillis - getTimeZoneOffset(frame.timeZone, firstGuess) * MINUTE_MILLIS;
+}
+
+function formatOffset(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+  const hours = String(Math.floor(absolute / 60)).padStart(2, '0');
+  const minutes = String(absolute % 60).padStart(2, '0');
+  return `${sign}${hours}:${minutes}`;
+}
+
+/**
+ * Formats an instant as an ISO-8601 datetime carrying the offset of the frame it was given in,
+ * e.g. `2026-10-20T09:00:00+01:00`.
+ * @param {Number} instant
+ * @param {TimeFrame} frame
+ * @returns {String}
+ */
+function formatExecutionTime(instant, frame) {
+  const offsetMinutes = getFrameOffset(frame, instant);
+  const local = new Date(instant + offsetMinutes * MINUTE_MILLIS).toISOString().slice(0, 19);
+  return `${local}${formatOffset(offsetMinutes)}`;
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  parseTimeOfDay,
+  getLocalDate,
+  toInstant,
+  formatExecutionTime,
+};
@@ -0,0 +1,156 @@
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const PaymentMessages = require('@app/messages/payment');
+const { toMinorUnits, fromMinorUnits } = require('./minor-units');
+
+/**
+ * @typedef {Object} FeeTier
+ * @property {Number|null} up_to - Upper bound (inclusive) of the tier, null for unbounded
+ * @property {Number} [amount] - Flat fee charged inside the tier
+ * @property {Number} [rate] - Percentage fee charged inside the tier
+ */
+
+/**
+ * @typedef {Object} FeeRule
+ * @property {String} name - Identifies the rule in the fee breakdown
+ * @property {'flat'|'percentage'|'tiered'} type
+ * @property {String[]} [applies_to] - Instruction types the rule applies to, all when omitted
+ * @property {String} [currency] - Restricts the rule to instructions in this currency
+ * @property {Number} [amount] - Flat fee
+ * @property {Number} [rate] - Percentage fee, e.g. 1.5 for 1.5%
+ * @property {FeeTier[]} [tiers] - Amount bands for tiered rules
+ * @property {Number} [min] - Floor applied to the computed fee
+ * @property {Number} [max] - Cap applied to the computed fee
+ */
+
+const RULE_TYPES = new Set(['flat', 'percentage', 'tiered']);
+
+let feeRules = [];
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function isValidCharge(charge) {
+  return isNonNegativeNumber(charge.amount) || isNonNegativeNumber(charge.rate);
+}
+
+function isValidRule(rule) {
+  if (!rule || typeof rule.name !== 'string' || !RULE_TYPES.has(rule.type)) return false;
+  if (rule.applies_to !== undefined && !Array.isArray(rule.applies_to)) return false;
+  if (rule.min !== undefined && !isNonNegativeNumber(rule.min)) return false;
+  if (rule.max !== undefined && !isNonNegativeNumber(rule.max)) return false;
+
+  let hasValidCharge;
+  if (rule.type === 'flat') {
+    hasValidCharge = isNonNegativeNumber(rule.amount);
+  } else if (rule.type === 'percentage') {
+    hasValidCharge = isNonNegativeNumber(rule.rate);
+  } else {
+    hasValidCharge =
+      Array.isArray(rule.tiers) &&
+      rule.tiers.length > 0 &&
+      rule.tiers.every((tier) => tier && isValidCharge(tier));
+  }
+
+  return hasValidCharge;
+}
+
+/**
+ * Replaces the active fee rules.
+ * @param {FeeRule[]} rules
+ */
+function setFeeRules(rules) {
+  if (!Array.isArray(rules)) {
+    throwAppError(PaymentMessages.INVALID_FEE_RULES, ERROR_CODE.FEEERR);
+  }
+
+  const invalidRule = rules.find((rule) => !isValidRule(rule));
+  if (invalidRule) {
+    throwAppError(
+      `${PaymentMessages.INVALID_FEE_RULES}: ${JSON.stringify(invalidRule)}`,
+      ERROR_CODE.FEEERR
+    );
+  }
+
+  feeRules = rules.map((rule) => ({
+    ...rule,
+    applies_to: rule.applies_to && rule.applies_to.map((type) => `${type}`.toUpperCase()),
+    currency: rule.currency && rule.currency.toUpperCase(),
+  }));
+}
+
+function getFeeRules() {
+  return feeRules;
+}
+
+function ruleApplies(rule, type, currency) {
+  const matchesType = !rule.applies_to || rule.applies_to.includes(type);
+  const matchesCurrency = !rule.currency || rule.currency === currency;
+  return matchesType && matchesCurrency;
+}
+
+function computeCharge(charge, amount) {
+  return isNonNegativeNumber(charge.amount) ? charge.amount : (amount * charge.rate) / 100;
+}
+
+function computeRuleFee(rule, amount) {
+  let fee;
+
+  if (rule.type === 'tiered') {
+    const tier =
+      rule.tiers.find(
+        (band) => band.up_to === null || band.up_to === undefined || amount <= band.up_to
+      ) || rule.tiers[rule.tiers.length - 1];
+    fee = computeCharge(tier, amount);
+  } else {
+    fee = computeCharge(rule, amount);
+  }
+
+  if (rule.min !== undefined) fee = Math.max(fee, rule.min);
+  if (rule.max !== undefined) fee = Math.min(fee, rule.max);
+
+  return fee;
+}
+
+/**
+ * Calculates the fee charged to the debit account for an instruction.
+ * @param {{type: String, amount: Number, currency: String}} instruction
+ * @returns {{total: Number, currency: String, lines: {rule: String, type: String, amount: Number}[]}}
+ */
+function calculateFee({ type, amount, currency }) {
+  const lines = feeRules
+    .filter((rule) => ruleApplies(rule, type, currency))
+    .map((rule) => ({
+      rule: rule.name,
+      type: rule.type,
+      amount: fromMinorUnits(toMinorUnits(computeRuleFee(rule, amount), currency), currency),
+    }))
+    .filter((line) => line.amount > 0);
+
+  const totalMinor = lines.reduce((sum, line) => sum + toMinorUnits(line.amount, currency), 0);
+
+  return { total: fromMinorUnits(totalMinor, currency), currency, lines };
+}
+
+/**
+ * Loads the FEE_RULES config. Invalid config is logged and no fees are charged, rather than
+ * keeping the app from starting.
+ */
+function loadConfiguredFeeRules(rawRules) {
+  if (!rawRules) return;
+
+  try {
+    setFeeRules(JSON.parse(rawRules));
+  } catch (error) {
+    appLogger.warn({ error: error.message }, 'fee-rules-config-invalid');
+  }
+}
+
+loadConfiguredFeeRules(process.env.FEE_RULES);
+
+module.exports = {
+  setFeeRules,
+  getFeeRules,
+  calculateFee,
+};
@@ -0,0 +1,31 @@
+/**
+ * Shapes a stored standing order for API responses.
+ * @param {Object} standingOrder
+ */
+function formatStandingOrder(standingOrder) {
+  return {
+    id: `${standingOrder._id}`,
+    instruction: standingOrder.instruction,
+    run_instruction: standingOrder.run_instruction,
+    type: standingOrder.type,
+    amount: standingOrder.amount,
+    currency: standingOrder.currency,
+    debit_account: standingOrder.debit_account,
+    credit_account: standingOrder.credit_account || null,
+    credit_legs: standingOrder.credit_legs,
+    frequency: standingOrder.frequency,
+    start_date: standingOrder.start_date,
+    end_date: standingOrder.end_date || null,
+    run_time: standingOrder.run_time,
+    timezone: standingOrder.timezone,
+    status: standingOrder.status,
+    next_run_date: standingOrder.status === 'active' ? standingOrder.next_run_date : null,
+    run_count: standingOrder.run_count || 0,
+    failed_run_count: standingOrder.failed_run_count || 0,
+    last_run: standingOrder.last_run || null,
+    created: standingOrder.created,
+    updated: standingOrder.updated,
+  };
+}
+
+module.exports = formatStandingOrder;
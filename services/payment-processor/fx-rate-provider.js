@@ -0,0 +1,99 @@
+const { appLogger } = require('@app-core/logger');
+const { getMinorUnits, roundToMinorUnits } = require('./minor-units');
+
+/**
+ * @typedef {Object} RateProvider
+ * @property {String} name - Identifies the provider in responses and logs
+ * @property {function(String, String): (Number|null)} getRate - Units of `to` currency per unit of `from` currency
+ */
+
+function parseRateTable(rawRates) {
+  if (!rawRates) return {};
+
+  try {
+    const rates = JSON.parse(rawRates);
+    return rates && typeof rates === 'object' ? rates : {};
+  } catch (error) {
+    appLogger.warn({ error: error.message }, 'fx-static-rates-config-invalid');
+    return {};
+  }
+}
+
+/**
+ * Creates an in-memory provider from a `{ 'USD:NGN': 1550 }` style table.
+ * Inverse pairs are derived when only one direction is configured.
+ * @param {Object<string, number>} rates
+ * @returns {RateProvider}
+ */
+function createStaticRateProvider(rates = {}) {
+  const table = { ...rates };
+
+  return {
+    name: 'static',
+    getRate(from, to) {
+      let rate = null;
+
+      if (from === to) {
+        rate = 1;
+      } else if (typeof table[`${from}:${to}`] === 'number') {
+        rate = table[`${from}:${to}`];
+      } else if (typeof table[`${to}:${from}`] === 'number' && table[`${to}:${from}`] > 0) {
+        rate = 1 / table[`${to}:${from}`];
+      }
+
+      return rate;
+    },
+  };
+}
+
+let activeProvider = createStaticRateProvider(parseRateTable(process.env.FX_STATIC_RATES));
+
+/**
+ * Replaces the rate provider used by the payment processor. Providers are called
+ * synchronously while instructions execute, so remote sources should serve rates
+ * from a locally refreshed snapshot.
+ * @param {RateProvider} provider
+ */
+function setRateProvider(provider) {
+  if (!provider || typeof provider.getRate !== 'function') {
+    throw new Error('Rate provider must implement getRate(from, to)');
+  }
+  activeProvider = provider;
+}
+
+function getRateProvider() {
+  return activeProvider;
+}
+
+/**
+ * Converts an amount between currencies with the active provider.
+ * @param {{amount: Number, from: String, to: String}} conversion
+ */
+function convertAmount({ amount, from, to }) {
+  const rate = activeProvider.getRate(from, to);
+
+  if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+    return { valid: false };
+  }
+
+  // converted amounts are rounded half-up to the target currency's minor units
+  const rounding = { decimals: getMinorUnits(to), mode: 'half_up' };
+
+  return {
+    valid: true,
+    provider: activeProvider.name || 'custom',
+    rate,
+    source_currency: from,
+    target_currency: to,
+    source_amount: amount,
+    converted_amount: roundToMinorUnits(amount * rate, to),
+    rounding,
+  };
+}
+
+module.exports = {
+  createStaticRateProvider,
+  setRateProvider,
+  getRateProvider,
+  convertAmount,
+};
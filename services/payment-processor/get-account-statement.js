@@ -0,0 +1,160 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const Transaction = require('@app/repository/transaction');
+const LedgerEntry = require('@app/repository/ledger-entry');
+const PaymentMessages = require('@app/messages/payment');
+const { toMinorUnits, fromMinorUnits } = require('./minor-units');
+const {
+  loadAccount,
+  getCreatedRange,
+  buildTransactionQuery,
+  loadRunningBalances,
+  formatAccountTransaction,
+} = require('./account-transactions');
+
+// a statement is built in memory, longer ones have to be split into shorter date ranges
+const MAX_STATEMENT_TRANSACTIONS = 5000;
+
+const CSV_COLUMNS = [
+  'date',
+  'transaction_id',
+  'type',
+  'direction',
+  'counterparty_account',
+  'reference',
+  'narration',
+  'amount',
+  'fee_amount',
+  'currency',
+  'balance_after',
+  'status',
+];
+
+const spec = `root {
+  account_id string<trim>
+  from string<trim>
+  to string<trim>
+  format? string(json|csv)
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  const text = `${value}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildCsv(rows) {
+  const lines = [
+    CSV_COLUMNS.join(','),
+    ...rows.map((row) => CSV_COLUMNS.map((column) => toCsvValue(row[column])).join(',')),
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function sumRows(rows, predicate, field, currency) {
+  const totalMinor = rows
+    .filter(predicate)
+    .reduce((total, row) => total + toMinorUnits(row[field], currency), 0);
+  return fromMinorUnits(totalMinor, currency);
+}
+
+/**
+ * The balance the account had going into the range: after the last ledger entry before it,
+ * else before the first transaction in it. Null when no ledger entry tells.
+ */
+async function getOpeningBalance(account, created, rows) {
+  const [previousEntry] = await LedgerEntry.findMany({
+    query: { account_id: `${account._id}`, created: { $lt: created.$gte } },
+    options: { sort: { _id: -1 }, limit: 1 },
+  });
+
+  if (previousEntry) {
+    return previousEntry.balance_after;
+  }
+
+  const firstWithBalance = rows.find((row) => row.balance_before !== null);
+  return firstWithBalance ? firstWithBalance.balance_before : null;
+}
+
+/**
+ * Statement of an account over a date range, read in the account's timezone, as JSON or as
+ * a CSV document. It lists every transaction in the range oldest first with the running
+ * balance, between the opening and closing balances, and totals the money in and out.
+ * Ranges holding more than MAX_STATEMENT_TRANSACTIONS transactions are refused.
+ */
+async function getAccountStatement(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const account = await loadAccount(data.account_id);
+    const accountId = `${account._id}`;
+    const { currency } = account;
+
+    const transactions = await Transaction.findMany({
+      query: buildTransactionQuery(account, { from: data.from, to: data.to }),
+      options: { sort: { _id: 1 }, limit: MAX_STATEMENT_TRANSACTIONS + 1 },
+    });
+
+    if (transactions.length > MAX_STATEMENT_TRANSACTIONS) {
+      throwAppError(
+        `${PaymentMessages.STATEMENT_TOO_LARGE}: at most ${MAX_STATEMENT_TRANSACTIONS} transactions`,
+        ERROR_CODE.VALIDATIONERR
+      );
+    }
+
+    const balances = await loadRunningBalances(
+      accountId,
+      transactions.map((transaction) => transaction.transaction_id)
+    );
+    const rows = transactions.map((transaction) =>
+      formatAccountTransaction(transaction, account, balances[transaction.transaction_id])
+    );
+
+    const openingBalance = await getOpeningBalance(
+      account,
+      getCreatedRange(account, { from: data.from }),
+      rows
+    );
+    const lastWithBalance = [...rows].reverse().find((row) => row.balance_after !== null);
+
+    const statement = {
+      account_id: accountId,
+      currency,
+      from: data.from,
+      to: data.to,
+      opening_balance: openingBalance,
+      closing_balance: lastWithBalance ? lastWithBalance.balance_after : openingBalance,
+      totals: {
+        credits: sumRows(rows, (row) => row.direction === 'credit', 'amount', currency),
+        debits: sumRows(rows, (row) => row.direction === 'debit', 'amount', currency),
+        fees: sumRows(rows, (row) => row.direction === 'debit', 'fee_amount', currency),
+      },
+      transactions: rows,
+    };
+
+    result =
+      data.format === 'csv'
+        ? {
+            account_id: accountId,
+            from: data.from,
+            to: data.to,
+            format: 'csv',
+            file_name: `statement-${accountId}-${data.from}-${data.to}.csv`,
+            content_type: 'text/csv',
+            content: buildCsv(rows),
+          }
+        : { ...statement, format: 'json' };
+  } catch (error) {
+    appLogger.errorX(error, 'get-account-statement-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = getAccountStatement;
@@ -0,0 +1,56 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const Hold = require('@app/repository/hold');
+const { toMinorUnits, fromMinorUnits } = require('./minor-units');
+
+const spec = `root {
+  account_ids[] string
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Totals the active holds on each account. Holds past their expiry no longer count, even
+ * before anything marks them as expired.
+ * @returns {Promise<Object<string, number>>} Held amount keyed by account id
+ */
+async function getHeldAmounts(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const holds = await Hold.findMany({
+      query: {
+        debit_account: { $in: data.account_ids },
+        status: 'active',
+        expires_at: { $gt: Date.now() },
+      },
+      options: { session: options.session },
+    });
+
+    const heldMinor = holds.reduce((totals, hold) => {
+      const current = totals[hold.debit_account] || { currency: hold.currency, minor: 0 };
+      return {
+        ...totals,
+        [hold.debit_account]: {
+          ...current,
+          minor: current.minor + toMinorUnits(hold.amount, hold.currency),
+        },
+      };
+    }, {});
+
+    result = Object.fromEntries(
+      Object.entries(heldMinor).map(([accountId, held]) => [
+        accountId,
+        fromMinorUnits(held.minor, held.currency),
+      ])
+    );
+  } catch (error) {
+    appLogger.errorX(error, 'get-held-amounts-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = getHeldAmounts;
@@ -0,0 +1,55 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const PendingInstruction = require('@app/repository/pending-instruction');
+const PaymentMessages = require('@app/messages/payment');
+
+const spec = `root {
+  id string<trim>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+async function getPendingInstruction(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const pendingInstruction = await PendingInstruction.findOne({
+      query: { _id: data.id },
+    });
+
+    if (!pendingInstruction) {
+      throwAppError(PaymentMessages.PENDING_INSTRUCTION_NOT_FOUND, ERROR_CODE.NOTFOUND);
+    }
+
+    result = {
+      id: `${pendingInstruction._id}`,
+      instruction: pendingInstruction.instruction,
+      type: pendingInstruction.type,
+      amount: pendingInstruction.amount,
+      currency: pendingInstruction.currency,
+      debit_account: pendingInstruction.debit_account,
+      credit_account: pendingInstruction.credit_account || null,
+      credit_legs: pendingInstruction.credit_legs,
+      execute_by: pendingInstruction.execute_by,
+      timezone: pendingInstruction.timezone || null,
+      status: pendingInstruction.status,
+      status_code: pendingInstruction.status_code,
+      status_reason: pendingInstruction.status_reason,
+      risk: pendingInstruction.risk || null,
+      review: pendingInstruction.review || null,
+      accounts: pendingInstruction.result?.accounts || pendingInstruction.accounts || [],
+      executed: pendingInstruction.executed || null,
+      created: pendingInstruction.created,
+      updated: pendingInstruction.updated,
+    };
+  } catch (error) {
+    appLogger.errorX(error, 'get-pending-instruction-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = getPendingInstruction;
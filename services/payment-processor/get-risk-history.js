@@ -0,0 +1,87 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const Transaction = require('@app/repository/transaction');
+
+const spec = `root {
+  account_ids[] string
+  since number
+  counterparties_since number
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// the newest transfers are the ones the rules look at, older ones past these are left out
+const MAX_RECENT_TRANSFERS = 500;
+const MAX_COUNTERPARTY_TRANSFERS = 1000;
+
+/**
+ * Loads what the risk scorer knows about the accounts of a request: their transfers out
+ * since `since`, and the accounts each of them has paid since `counterparties_since`.
+ * Both are capped to the newest transfers. Reversals and refunds return money rather than
+ * pay anyone, so they are left out.
+ * @returns {Promise<import('./risk-engine').RiskHistory>}
+ */
+async function getRiskHistory(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const transfers = (
+      await Transaction.findMany({
+        query: {
+          debit_account: { $in: data.account_ids },
+          credit_account: { $in: data.account_ids },
+          created: { $gte: data.counterparties_since },
+        },
+        projections: {
+          debit_account: 1,
+          credit_account: 1,
+          original_transaction_id: 1,
+        },
+        options: {
+          sort: { created: -1 },
+          limit: MAX_COUNTERPARTY_TRANSFERS,
+          session: options.session,
+        },
+      })
+    ).filter((transfer) => !transfer.original_transaction_id);
+
+    const recent = (
+      await Transaction.findMany({
+        query: { debit_account: { $in: data.account_ids }, created: { $gte: data.since } },
+        projections: {
+          debit_account: 1,
+          credit_account: 1,
+          amount: 1,
+          currency: 1,
+          created: 1,
+          original_transaction_id: 1,
+        },
+        options: { sort: { created: -1 }, limit: MAX_RECENT_TRANSFERS, session: options.session },
+      })
+    ).filter((transfer) => !transfer.original_transaction_id);
+
+    result = {
+      recent: recent.map((transfer) => ({
+        debit_account: transfer.debit_account,
+        credit_account: transfer.credit_account,
+        amount: transfer.amount,
+        currency: transfer.currency,
+        created: transfer.created,
+      })),
+      counterparties: transfers.reduce((counterparties, transfer) => {
+        const known = counterparties[transfer.debit_account] || [];
+        return known.includes(transfer.credit_account)
+          ? counterparties
+          : { ...counterparties, [transfer.debit_account]: [...known, transfer.credit_account] };
+      }, {}),
+    };
+  } catch (error) {
+    appLogger.errorX(error, 'get-risk-history-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = getRiskHistory;
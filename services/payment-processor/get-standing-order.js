@@ -0,0 +1,34 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const StandingOrder = require('@app/repository/standing-order');
+const PaymentMessages = require('@app/messages/payment');
+const formatStandingOrder = require('./format-standing-order');
+
+const spec = `root {
+  id string<trim>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+async function getStandingOrder(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const standingOrder = await StandingOrder.findOne({ query: { _id: data.id } });
+
+    if (!standingOrder) {
+      throwAppError(PaymentMessages.STANDING_ORDER_NOT_FOUND, ERROR_CODE.NOTFOUND);
+    }
+
+    result = formatStandingOrder(standingOrder);
+  } catch (error) {
+    appLogger.errorX(error, 'get-standing-order-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = getStandingOrder;
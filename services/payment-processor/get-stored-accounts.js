@@ -0,0 +1,41 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const Account = require('@app/repository/account');
+
+const spec = `root {
+  account_ids[] string
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Loads stored accounts and maps them to the inline `{ id, balance, currency, timezone,
+ * status, overdraft }` shape the instruction processor works with.
+ */
+async function getStoredAccounts(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const accounts = await Account.findMany({
+      query: { _id: { $in: data.account_ids } },
+      options: { session: options.session },
+    });
+
+    result = accounts.map((account) => ({
+      id: `${account._id}`,
+      balance: account.balance,
+      currency: account.currency,
+      timezone: account.timezone,
+      status: account.status,
+      overdraft: account.overdraft,
+    }));
+  } catch (error) {
+    appLogger.errorX(error, 'get-stored-accounts-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = getStoredAccounts;
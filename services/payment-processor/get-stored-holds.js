@@ -0,0 +1,48 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const Hold = require('@app/repository/hold');
+
+const spec = `root {
+  hold_ids[] string
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Loads holds keyed by their hold id, for capture and void instructions to look up what
+ * they settle.
+ */
+async function getStoredHolds(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const holds = await Hold.findMany({
+      query: { hold_id: { $in: data.hold_ids } },
+      options: { session: options.session },
+    });
+
+    result = Object.fromEntries(
+      holds.map((hold) => [
+        hold.hold_id,
+        {
+          hold_id: hold.hold_id,
+          amount: hold.amount,
+          currency: hold.currency,
+          debit_account: hold.debit_account,
+          credit_account: hold.credit_account,
+          beneficiary: hold.beneficiary,
+          status: hold.status,
+          expires_at: hold.expires_at,
+        },
+      ])
+    );
+  } catch (error) {
+    appLogger.errorX(error, 'get-stored-holds-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = getStoredHolds;
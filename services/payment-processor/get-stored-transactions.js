@@ -0,0 +1,50 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const Transaction = require('@app/repository/transaction');
+
+const spec = `root {
+  transaction_ids[] string
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Loads executed transactions keyed by their transaction id, for reversal and refund
+ * instructions to look up what they undo.
+ */
+async function getStoredTransactions(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const transactions = await Transaction.findMany({
+      query: { transaction_id: { $in: data.transaction_ids } },
+      options: { session: options.session },
+    });
+
+    result = Object.fromEntries(
+      transactions.map((transaction) => [
+        transaction.transaction_id,
+        {
+          transaction_id: transaction.transaction_id,
+          type: transaction.type,
+          amount: transaction.amount,
+          credit_amount: transaction.credit_amount,
+          currency: transaction.currency,
+          credit_currency: transaction.credit_currency,
+          debit_account: transaction.debit_account,
+          credit_account: transaction.credit_account,
+          refunded_amount: transaction.refunded_amount || 0,
+          status: transaction.status,
+        },
+      ])
+    );
+  } catch (error) {
+    appLogger.errorX(error, 'get-stored-transactions-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = getStoredTransactions;
@@ -0,0 +1,484 @@
+/**
+ * Declarative grammar for payment instructions.
+ *
+ * Every instruction type is one of a few fixed sequences of keywords and `<slot>`
+ * placeholders, followed by optional clauses that may appear in any order. A `<slot...>`
+ * placeholder takes a comma separated list running up to the next keyword. The parser only checks
+ * structure and returns an AST whose nodes keep their token spans; validating slot
+ * values (amounts, dates, ids...) is left to the caller.
+ */
+
+const DEBIT_HEAD = ['DEBIT', '<amount>', '<currency>', 'FROM', 'ACCOUNT', '<debit_account>'];
+const CREDIT_HEAD = ['CREDIT', '<amount>', '<currency>'];
+
+const INSTRUCTION_GRAMMAR = {
+  DEBIT: {
+    sequences: [
+      [...DEBIT_HEAD, 'FOR', 'CREDIT', 'TO', 'ACCOUNT', '<credit_account>'],
+      [...DEBIT_HEAD, 'FOR', 'CREDIT', 'TO', 'ACCOUNTS', '<credit_legs...>'],
+    ],
+    clauses: ['ON', 'EVERY', 'UNTIL', 'REF', 'NARRATION', 'BENEFICIARY'],
+  },
+  CREDIT: {
+    sequences: [
+      [
+        ...CREDIT_HEAD,
+        'TO',
+        'ACCOUNT',
+        '<credit_account>',
+        'FOR',
+        'DEBIT',
+        'FROM',
+        'ACCOUNT',
+        '<debit_account>',
+      ],
+      [
+        ...CREDIT_HEAD,
+        'TO',
+        'ACCOUNTS',
+        '<credit_legs...>',
+        'FOR',
+        'DEBIT',
+        'FROM',
+        'ACCOUNT',
+        '<debit_account>',
+      ],
+    ],
+    clauses: ['ON', 'EVERY', 'UNTIL', 'REF', 'NARRATION', 'BENEFICIARY'],
+  },
+  REVERSE: {
+    sequences: [['REVERSE', 'TRANSACTION', '<transaction_id>']],
+    clauses: ['REF', 'NARRATION'],
+  },
+  REFUND: {
+    sequences: [['REFUND', '<amount>', '<currency>', 'OF', 'TRANSACTION', '<transaction_id>']],
+    clauses: ['REF', 'NARRATION'],
+  },
+  AUTHORIZE: {
+    sequences: [
+      [
+        'AUTHORIZE',
+        '<amount>',
+        '<currency>',
+        'FROM',
+        'ACCOUNT',
+        '<debit_account>',
+        'FOR',
+        'CREDIT',
+        'TO',
+        'ACCOUNT',
+        '<credit_account>',
+      ],
+    ],
+    clauses: ['REF', 'NARRATION', 'BENEFICIARY'],
+  },
+  CAPTURE: {
+    sequences: [
+      ['CAPTURE', 'HOLD', '<hold_id>'],
+      ['CAPTURE', '<amount>', '<currency>', 'OF', 'HOLD', '<hold_id>'],
+    ],
+    clauses: ['REF', 'NARRATION'],
+  },
+  VOID: {
+    sequences: [['VOID', 'HOLD', '<hold_id>']],
+    clauses: ['REF', 'NARRATION'],
+  },
+};
+
+const CLAUSES = {
+  ON: { slot: 'execute_by' },
+  EVERY: { slot: 'frequency' },
+  UNTIL: { slot: 'end_date' },
+  REF: { slot: 'reference' },
+  NARRATION: { slot: 'narration', quoted: true },
+  BENEFICIARY: { slot: 'beneficiary', quoted: true },
+};
+
+// a quoted string (possibly unterminated) or a run of non-space characters
+const TOKEN_PATTERN = /"([^"]*)("?)|[^\s"]+/g;
+
+/**
+ * @typedef {Object} Span
+ * @property {number} start - Offset of the first character
+ * @property {number} end - Offset after the last character
+ */
+
+/**
+ * @typedef {Object} Token
+ * @property {string} value - Token text, without quotes for quoted strings
+ * @property {string} upper - Upper-cased value, for keyword matching
+ * @property {boolean} quoted
+ * @property {boolean} terminated - False for a quoted string missing its closing quote
+ * @property {number} index - Position of the token in the instruction
+ * @property {Span} span
+ */
+
+/**
+ * @typedef {Object} SyntaxError
+ * @property {string} kind - unknown_type | missing | mismatch | unexpected | duplicate_clause |
+ *   missing_clause_value | unquoted_value | unterminated_quote
+ * @property {string[]} expected - Keywords or `<slot>` placeholders that would have been valid
+ * @property {string|null} found - The offending token, null at the end of the instruction
+ * @property {string} [clause] - The clause keyword the error belongs to
+ * @property {number} token_index
+ * @property {Span} span
+ */
+
+function getSlotName(element) {
+  return element.startsWith('<') ? element.slice(1, -1).replace('...', '') : null;
+}
+
+function isListSlot(element) {
+  return element.endsWith('...>');
+}
+
+function createNode(token) {
+  return { value: token.value, token_index: token.index, span: token.span };
+}
+
+/**
+ * Builds a list node from the tokens a `<slot...>` consumed, splitting its text on commas
+ * so every item keeps its own span.
+ */
+function createListNode(text, listTokens) {
+  const { start } = listTokens[0].span;
+  const source = text.slice(start, listTokens[listTokens.length - 1].span.end);
+  let offset = start;
+
+  const items = source.split(',').map((part) => {
+    const leading = part.length - part.trimStart().length;
+    const value = part.trim();
+    const itemStart = offset + leading;
+    offset += part.length + 1;
+
+    return {
+      value,
+      token_index: listTokens.find((token) => token.span.end >= itemStart).index,
+      span: { start: itemStart, end: itemStart + value.length },
+    };
+  });
+
+  return {
+    value: source,
+    token_index: listTokens[0].index,
+    span: { start, end: start + source.length },
+    items,
+  };
+}
+
+function createError(kind, tokens, text, index, details = {}) {
+  const token = tokens[index];
+
+  return {
+    kind,
+    expected: [],
+    found: token ? token.value : null,
+    token_index: index,
+    span: token ? token.span : { start: text.length, end: text.length },
+    ...details,
+  };
+}
+
+/**
+ * Splits an instruction into tokens with their character spans.
+ * @param {string} text
+ * @returns {{valid: boolean, tokens: Token[], error?: SyntaxError}}
+ */
+function tokenizeInstruction(text) {
+  const tokens = [...text.matchAll(TOKEN_PATTERN)].map((match, index) => {
+    const quoted = match[0].startsWith('"');
+    const value = quoted ? match[1] : match[0];
+
+    return {
+      value,
+      upper: value.toUpperCase(),
+      quoted,
+      terminated: !quoted || match[2] === '"',
+      index,
+      span: { start: match.index, end: match.index + match[0].length },
+    };
+  });
+
+  const unterminated = tokens.find((token) => !token.terminated);
+  if (unterminated) {
+    return {
+      valid: false,
+      tokens,
+      error: createError('unterminated_quote', tokens, text, unterminated.index, {
+        expected: ['"'],
+      }),
+    };
+  }
+
+  return { valid: true, tokens };
+}
+
+function isKeywordToken(token, keyword) {
+  return !!token && !token.quoted && token.upper === keyword;
+}
+
+/**
+ * Picks how to carry on after a keyword mismatch so later errors can still be found:
+ * the expected keyword may be missing, preceded by a stray token, or mistyped.
+ * @returns {{consumed: number, skipped: number}} Tokens to consume and elements to skip
+ */
+function recoverFromMismatch(sequence, elementIndex, clauseKeywords, tokens, position) {
+  const token = tokens[position];
+  const nextToken = tokens[position + 1];
+  const laterIndex = sequence.findIndex(
+    (element, index) => index > elementIndex && isKeywordToken(token, element)
+  );
+
+  if (laterIndex !== -1) {
+    return { consumed: 0, skipped: laterIndex - elementIndex };
+  }
+
+  if (isKeywordToken(nextToken, sequence[elementIndex])) {
+    return { consumed: 1, skipped: 0 };
+  }
+
+  // a missing keyword in front of a slot: the token is the slot value if what follows fits
+  const afterSlot = sequence[elementIndex + 2];
+  const followsSlot = afterSlot
+    ? isKeywordToken(nextToken, afterSlot)
+    : !nextToken || clauseKeywords.some((keyword) => isKeywordToken(nextToken, keyword));
+  if (getSlotName(sequence[elementIndex + 1] || '') && followsSlot) {
+    return { consumed: 0, skipped: 1 };
+  }
+
+  return { consumed: 1, skipped: 1 };
+}
+
+function parseSequence(sequence, clauseKeywords, tokens, text, recover = false) {
+  const fields = {};
+  const errors = [];
+  let position = 0;
+  let elementIndex = 0;
+
+  while (elementIndex < sequence.length && (recover || errors.length === 0)) {
+    const element = sequence[elementIndex];
+    const token = tokens[position];
+    const slot = getSlotName(element);
+
+    if (!token) {
+      errors.push(
+        createError('missing', tokens, text, position, {
+          expected: sequence.slice(elementIndex),
+        })
+      );
+      break;
+    }
+
+    if (slot && isListSlot(element)) {
+      // the list runs until the next keyword of the sequence, a clause or the end
+      const stopWords = [sequence[elementIndex + 1], ...clauseKeywords];
+      const start = position;
+      const end = tokens.findIndex(
+        (candidate, index) =>
+          index >= start && (candidate.quoted || stopWords.includes(candidate.upper))
+      );
+      const listTokens = tokens.slice(position, end === -1 ? tokens.length : end);
+
+      if (listTokens.length === 0) {
+        errors.push(createError('mismatch', tokens, text, position, { expected: [element] }));
+      } else {
+        fields[slot] = createListNode(text, listTokens);
+        position += listTokens.length;
+      }
+      elementIndex += 1;
+    } else if (slot) {
+      fields[slot] = createNode(token);
+      position += 1;
+      elementIndex += 1;
+    } else if (isKeywordToken(token, element)) {
+      position += 1;
+      elementIndex += 1;
+    } else {
+      errors.push(createError('mismatch', tokens, text, position, { expected: [element] }));
+      const recovery = recoverFromMismatch(
+        sequence,
+        elementIndex,
+        clauseKeywords,
+        tokens,
+        position
+      );
+      position += recovery.consumed;
+      elementIndex += recovery.skipped;
+    }
+  }
+
+  return { fields, clauses: [], position, errors, error: errors[0] || null };
+}
+
+function parseClauses(grammar, tokens, text, start, recover = false) {
+  const fields = {};
+  const clauses = [];
+  const errors = [];
+  let index = start;
+
+  const isClauseKeyword = (token) =>
+    !!token && !token.quoted && grammar.clauses.includes(token.upper);
+
+  while ((recover || errors.length === 0) && index < tokens.length) {
+    const token = tokens[index];
+    const valueToken = tokens[index + 1];
+    const clause = isClauseKeyword(token) ? CLAUSES[token.upper] : null;
+    const unusedClauses = grammar.clauses.filter((keyword) => !clauses.includes(keyword));
+    const hasValue = !!valueToken && !isClauseKeyword(valueToken);
+
+    if (!clause) {
+      errors.push(createError('unexpected', tokens, text, index, { expected: unusedClauses }));
+      index += 1;
+    } else if (clauses.includes(token.upper)) {
+      errors.push(
+        createError('duplicate_clause', tokens, text, index, {
+          expected: unusedClauses,
+          clause: token.upper,
+        })
+      );
+      index += hasValue ? 2 : 1;
+    } else if (!hasValue) {
+      errors.push(
+        createError('missing_clause_value', tokens, text, index + 1, {
+          expected: [`<${clause.slot}>`],
+          clause: token.upper,
+        })
+      );
+      index += 1;
+    } else if (clause.quoted && !valueToken.quoted) {
+      errors.push(
+        createError('unquoted_value', tokens, text, index + 1, {
+          expected: [`"<${clause.slot}>"`],
+          clause: token.upper,
+        })
+      );
+      index += 2;
+    } else {
+      fields[clause.slot] = createNode(valueToken);
+      clauses.push(token.upper);
+      index += 2;
+    }
+  }
+
+  return { fields, clauses, errors, error: errors[0] || null };
+}
+
+function selectSequence(candidates) {
+  // take the first sequence that parses, or else the one that got furthest before failing
+  return candidates.reduce((best, candidate) => {
+    if (!best.error) return best;
+    if (!candidate.error) return candidate;
+    if (candidate.error.token_index !== best.error.token_index) {
+      return candidate.error.token_index > best.error.token_index ? candidate : best;
+    }
+    if (candidate.error.kind !== 'mismatch' || best.error.kind !== 'mismatch') {
+      return best;
+    }
+    // alternatives failing on the same token report every keyword that would have fit
+    const expected = [...new Set([...best.error.expected, ...candidate.error.expected])];
+    const error = { ...best.error, expected };
+    return { ...best, error, errors: [error, ...best.errors.slice(1)] };
+  });
+}
+
+/**
+ * Parses the tokens of an instruction against the grammar of its type.
+ * @returns {{ast: Object, errors: SyntaxError[]}}
+ */
+function parseWithGrammar(type, tokens, text, recover) {
+  const grammar = INSTRUCTION_GRAMMAR[type];
+  const candidates = grammar.sequences.map((candidate) => ({
+    candidate,
+    ...parseSequence(candidate, grammar.clauses, tokens, text),
+  }));
+  let sequence = selectSequence(candidates);
+
+  if (recover && sequence.error) {
+    // re-read the chosen sequence past its first error, keeping the first error as reported
+    const recovered = parseSequence(sequence.candidate, grammar.clauses, tokens, text, true);
+    sequence = {
+      ...recovered,
+      errors: [sequence.error, ...recovered.errors.slice(1)],
+      error: sequence.error,
+    };
+  }
+
+  // clauses are only read once the required sequence is complete
+  const clauses =
+    sequence.error && !recover
+      ? { fields: {}, clauses: [], errors: [] }
+      : parseClauses(grammar, tokens, text, sequence.position, recover);
+
+  return {
+    ast: {
+      type,
+      span: { start: tokens[0].span.start, end: tokens[tokens.length - 1].span.end },
+      fields: { ...sequence.fields, ...clauses.fields },
+      clauses: clauses.clauses,
+    },
+    errors: [...sequence.errors, ...clauses.errors],
+  };
+}
+
+/**
+ * Reads an instruction with an unknown verb as the type whose grammar fits the rest of it
+ * best, so the problems past the verb can be reported too.
+ */
+function parseWithGuessedType(tokens, text) {
+  const guesses = Object.keys(INSTRUCTION_GRAMMAR).map((type) => {
+    const guessTokens = [{ ...tokens[0], upper: type, quoted: false }, ...tokens.slice(1)];
+    return parseWithGrammar(type, guessTokens, text, true);
+  });
+
+  const best = guesses.reduce((fewest, guess) =>
+    guess.errors.length < fewest.errors.length ? guess : fewest
+  );
+  return { ...best, ast: { ...best.ast, type: null } };
+}
+
+/**
+ * Parses an instruction against the grammar.
+ *
+ * The AST is returned even when parsing fails, holding every field read before the error.
+ * With `collectAll` the parser recovers from each error and carries on, so `errors` lists
+ * every problem it can find; `error` is always the first of them. An unknown verb is then
+ * followed by the problems of the rest of the instruction, read as the type it fits best,
+ * though the AST keeps a null type.
+ * @param {string} text
+ * @param {{collectAll?: boolean}} [options]
+ * @returns {{valid: boolean, tokens: Token[], ast: Object|null, error: SyntaxError|null, errors: SyntaxError[]}}
+ */
+function parseInstructionSyntax(text, options = {}) {
+  const recover = !!options.collectAll;
+  // an unterminated quote can only be the last token, so the rest still parses
+  const { tokens, error: lexError = null } = tokenizeInstruction(text);
+  const type = tokens[0] && !tokens[0].quoted ? tokens[0].upper : null;
+
+  if (!INSTRUCTION_GRAMMAR[type]) {
+    const error = createError('unknown_type', tokens, text, 0, {
+      expected: Object.keys(INSTRUCTION_GRAMMAR),
+    });
+
+    if (!recover || tokens.length < 2) {
+      return { valid: false, tokens, ast: null, error, errors: [error] };
+    }
+
+    const guess = parseWithGuessedType(tokens, text);
+    const errors = [error, lexError, ...guess.errors].filter(Boolean);
+    return { valid: false, tokens, ast: guess.ast, error, errors };
+  }
+
+  const parsed = parseWithGrammar(type, tokens, text, recover);
+  const errors = [lexError, ...parsed.errors].filter(Boolean).slice(0, recover ? undefined : 1);
+  const error = errors[0] || null;
+
+  return { valid: !error, tokens, ast: parsed.ast, error, errors };
+}
+
+module.exports = {
+  INSTRUCTION_GRAMMAR,
+  CLAUSES,
+  getSlotName,
+  tokenizeInstruction,
+  parseInstructionSyntax,
+};
@@ -0,0 +1,167 @@
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const PaymentMessages = require('@app/messages/payment');
+const { INSTRUCTION_GRAMMAR, getSlotName, tokenizeInstruction } = require('./instruction-grammar');
+
+/**
+ * @typedef {Object} InstructionPhrasing
+ * @property {String[]} verbs - Words that start the phrasing, e.g. SEND or PAY
+ * @property {String} pattern - What follows the verb: keywords, `[OPTIONAL]` keywords and `<slot>`s
+ * @property {String} canonical - The grammar form the phrasing is rewritten to, using the same slots
+ */
+
+/** @type {InstructionPhrasing[]} */
+const DEFAULT_PHRASINGS = [
+  {
+    verbs: ['SEND', 'TRANSFER', 'PAY'],
+    pattern: '<amount> <currency> FROM [ACCOUNT] <debit_account> TO [ACCOUNT] <credit_account>',
+    canonical:
+      'DEBIT <amount> <currency> FROM ACCOUNT <debit_account> FOR CREDIT TO ACCOUNT <credit_account>',
+  },
+  {
+    verbs: ['SEND', 'TRANSFER', 'PAY'],
+    pattern: '<amount> <currency> TO [ACCOUNT] <credit_account> FROM [ACCOUNT] <debit_account>',
+    canonical:
+      'CREDIT <amount> <currency> TO ACCOUNT <credit_account> FOR DEBIT FROM ACCOUNT <debit_account>',
+  },
+];
+
+let phrasings = [];
+
+function splitTemplate(template) {
+  return template.trim().split(/\s+/);
+}
+
+function isValidPhrasing(phrasing) {
+  if (!phrasing || typeof phrasing.pattern !== 'string' || typeof phrasing.canonical !== 'string') {
+    return false;
+  }
+  if (!Array.isArray(phrasing.verbs) || phrasing.verbs.length === 0) return false;
+  if (!phrasing.verbs.every((verb) => typeof verb === 'string' && verb.trim())) return false;
+
+  // every slot the canonical form needs has to be captured by the pattern
+  const patternSlots = splitTemplate(phrasing.pattern).map(getSlotName).filter(Boolean);
+  return splitTemplate(phrasing.canonical)
+    .map(getSlotName)
+    .filter(Boolean)
+    .every((slot) => patternSlots.includes(slot));
+}
+
+/**
+ * Replaces the phrasings instructions are normalised from.
+ * @param {InstructionPhrasing[]} configuredPhrasings
+ */
+function setInstructionPhrasings(configuredPhrasings) {
+  if (!Array.isArray(configuredPhrasings)) {
+    throwAppError(PaymentMessages.INVALID_PHRASING_CONFIG, ERROR_CODE.APPERR);
+  }
+
+  const invalidPhrasing = configuredPhrasings.find((phrasing) => !isValidPhrasing(phrasing));
+  if (invalidPhrasing) {
+    throwAppError(
+      `${PaymentMessages.INVALID_PHRASING_CONFIG}: ${JSON.stringify(invalidPhrasing)}`,
+      ERROR_CODE.APPERR
+    );
+  }
+
+  phrasings = configuredPhrasings.map((phrasing) => ({
+    verbs: phrasing.verbs.map((verb) => verb.trim().toUpperCase()),
+    pattern: splitTemplate(phrasing.pattern).map((element) =>
+      getSlotName(element) ? element : element.toUpperCase()
+    ),
+    canonical: splitTemplate(phrasing.canonical),
+  }));
+}
+
+function getInstructionPhrasings() {
+  return phrasings;
+}
+
+/**
+ * Matches the tokens after the verb against a phrasing pattern.
+ * @returns {{slots: Object<string, string>, position: Number}|null} The captured slot values
+ *   and the index of the first token left over, or null when the phrasing does not fit
+ */
+function matchPattern(pattern, tokens) {
+  const slots = {};
+  let position = 1;
+
+  const matches = pattern.every((element) => {
+    const token = tokens[position];
+    const slot = getSlotName(element);
+    const isOptional = element.startsWith('[');
+    const keyword = isOptional ? element.slice(1, -1) : element;
+
+    if (!slot && token && !token.quoted && token.upper === keyword) {
+      position += 1;
+      return true;
+    }
+    if (isOptional) return true;
+    if (!slot || !token || token.quoted) return false;
+
+    slots[slot] = token.value;
+    position += 1;
+    return true;
+  });
+
+  return matches ? { slots, position } : null;
+}
+
+/**
+ * Rewrites an instruction written with one of the configured verbs and phrasings
+ * (`SEND 50 USD FROM a TO b`) into its canonical grammar form. Anything after the
+ * matched phrasing, such as ON or REF clauses, is carried over unchanged.
+ * Instructions already in a canonical form, or matching no phrasing, are returned as they are.
+ * @param {String} text
+ * @returns {{instruction: String, normalised: Boolean}}
+ */
+function normaliseInstruction(text) {
+  const { tokens } = tokenizeInstruction(text);
+  const verb = tokens[0] && !tokens[0].quoted ? tokens[0].upper : null;
+
+  if (!verb || INSTRUCTION_GRAMMAR[verb]) {
+    return { instruction: text, normalised: false };
+  }
+
+  let match = null;
+  const phrasing = phrasings.find((candidate) => {
+    match = candidate.verbs.includes(verb) ? matchPattern(candidate.pattern, tokens) : null;
+    return match !== null;
+  });
+
+  if (!phrasing) {
+    return { instruction: text, normalised: false };
+  }
+
+  const rest = match.position < tokens.length ? text.slice(tokens[match.position].span.start) : '';
+  const canonical = phrasing.canonical
+    .map((element) => (getSlotName(element) ? match.slots[getSlotName(element)] : element))
+    .concat(rest ? [rest.trim()] : [])
+    .join(' ');
+
+  return { instruction: canonical, normalised: true };
+}
+
+/**
+ * Loads the INSTRUCTION_PHRASINGS config. Invalid config is logged and the default
+ * phrasings are kept, rather than keeping the app from starting.
+ */
+function loadConfiguredPhrasings(rawPhrasings) {
+  setInstructionPhrasings(DEFAULT_PHRASINGS);
+  if (!rawPhrasings) return;
+
+  try {
+    setInstructionPhrasings(JSON.parse(rawPhrasings));
+  } catch (error) {
+    appLogger.warn({ error: error.message }, 'instruction-phrasings-config-invalid');
+  }
+}
+
+loadConfiguredPhrasings(process.env.INSTRUCTION_PHRASINGS);
+
+module.exports = {
+  DEFAULT_PHRASINGS,
+  setInstructionPhrasings,
+  getInstructionPhrasings,
+  normaliseInstruction,
+};
@@ -0,0 +1,122 @@
+const { ulid } = require('@app-core/randomness');
+const LimitCounter = require('@app/repository/limit-counter');
+
+/**
+ * @typedef {Object} LimitCounter
+ * @property {String} account_id
+ * @property {String} counter_key - Limit window the counter belongs to, e.g. `daily:2026-10-19`
+ * @property {Number} debit_total
+ * @property {Number} transaction_count
+ */
+
+/**
+ * @typedef {Object} CounterIncrement
+ * @property {String} account_id
+ * @property {String} counter_key
+ * @property {Date} expires_at - When the window closes and the counter can be discarded
+ * @property {Number} debit_total - Amount to add
+ * @property {Number} transaction_count - Count to add
+ */
+
+/**
+ * @typedef {Object} LimitCounterStore
+ * @property {function(String[], String[]): Promise<LimitCounter[]>} getCounters
+ * @property {function(CounterIncrement[], {session?: Object}=): Promise<void>} incrementCounters
+ *   Adds to the counters, in `options.session` when the store is transactional
+ */
+
+/**
+ * Counter store backed by the `limit_counters` collection.
+ * @returns {LimitCounterStore}
+ */
+function createRepositoryCounterStore() {
+  return {
+    async getCounters(accountIds, counterKeys) {
+      return LimitCounter.findMany({
+        query: { account_id: { $in: accountIds }, counter_key: { $in: counterKeys } },
+      });
+    },
+    async incrementCounters(increments, options = {}) {
+      await increments.reduce(async (previous, increment) => {
+        await previous;
+        await LimitCounter.updateOne({
+          query: { account_id: increment.account_id, counter_key: increment.counter_key },
+          updateValues: {
+            $inc: {
+              debit_total: increment.debit_total,
+              transaction_count: increment.transaction_count,
+            },
+            $setOnInsert: { _id: ulid(), expires_at: increment.expires_at, created: Date.now() },
+          },
+          options: { upsert: true, session: options.session },
+        });
+      }, Promise.resolve());
+    },
+  };
+}
+
+/**
+ * Process-local counter store, meant for tests and single-instance setups.
+ * @returns {LimitCounterStore}
+ */
+function createInMemoryCounterStore() {
+  const counters = new Map();
+
+  function isLive(counter) {
+    return counter && counter.expires_at.getTime() > Date.now();
+  }
+
+  return {
+    async getCounters(accountIds, counterKeys) {
+      return accountIds.flatMap((accountId) =>
+        counterKeys
+          .map((counterKey) => counters.get(`${accountId}|${counterKey}`))
+          .filter(isLive)
+          .map((counter) => ({ ...counter }))
+      );
+    },
+    async incrementCounters(increments) {
+      increments.forEach((increment) => {
+        const key = `${increment.account_id}|${increment.counter_key}`;
+        const existing = counters.get(key);
+        const base = isLive(existing)
+          ? existing
+          : { ...increment, debit_total: 0, transaction_count: 0 };
+
+        counters.set(key, {
+          ...base,
+          debit_total: base.debit_total + increment.debit_total,
+          transaction_count: base.transaction_count + increment.transaction_count,
+        });
+      });
+    },
+  };
+}
+
+let activeStore = createRepositoryCounterStore();
+
+/**
+ * Swaps the store used for limit counters, e.g. for an in-memory store in tests.
+ * @param {LimitCounterStore} store
+ */
+function setLimitCounterStore(store) {
+  if (
+    !store ||
+    typeof store.getCounters !== 'function' ||
+    typeof store.incrementCounters !== 'function'
+  ) {
+    throw new Error('Limit counter store must implement getCounters and incrementCounters');
+  }
+  activeStore = store;
+}
+
+function getLimitCounterStore() {
+  return activeStore;
+}
+
+module.exports = {
+  createRepositoryCounterStore,
+  createInMemoryCounterStore,
+  setLimitCounterStore,
+  getLimitCounterStore,
+};
@@ -0,0 +1,72 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const Transaction = require('@app/repository/transaction');
+const {
+  loadAccount,
+  buildTransactionQuery,
+  loadRunningBalances,
+  formatAccountTransaction,
+} = require('./account-transactions');
+
+const DEFAULT_PAGE_SIZE = 20;
+
+const spec = `root {
+  account_id string<trim>
+  limit? number<min:1|max:100>
+  cursor? string<trim|length:26>
+  from? string<trim>
+  to? string<trim>
+  currency? string<trim|uppercase>
+  status? string(completed|partially_reversed|reversed)
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Lists the transactions of an account, newest first, with the account balance after each.
+ * Pages are read with the `next_cursor` of the previous page, which stays stable while new
+ * transactions come in.
+ */
+async function listAccountTransactions(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const account = await loadAccount(data.account_id);
+    const limit = data.limit || DEFAULT_PAGE_SIZE;
+
+    const query = buildTransactionQuery(account, data);
+    if (data.cursor) {
+      // transaction ids are ULIDs, so they sort in the order the transactions were stored
+      query.$and.push({ _id: { $lt: data.cursor } });
+    }
+
+    const transactions = await Transaction.findMany({
+      query,
+      options: { sort: { _id: -1 }, limit: limit + 1 },
+    });
+
+    const page = transactions.slice(0, limit);
+    const balances = await loadRunningBalances(
+      data.account_id,
+      page.map((transaction) => transaction.transaction_id)
+    );
+
+    result = {
+      transactions: page.map((transaction) =>
+        formatAccountTransaction(transaction, account, balances[transaction.transaction_id])
+      ),
+      pagination: {
+        limit,
+        next_cursor: transactions.length > limit ? `${page[page.length - 1]._id}` : null,
+      },
+    };
+  } catch (error) {
+    appLogger.errorX(error, 'list-account-transactions-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = listAccountTransactions;
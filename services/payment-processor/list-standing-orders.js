@@ -0,0 +1,39 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const StandingOrder = require('@app/repository/standing-order');
+const formatStandingOrder = require('./format-standing-order');
+
+const spec = `root {
+  status? string(active|paused|cancelled|completed)
+  debit_account? string<trim>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Lists standing orders, newest first, optionally narrowed to a status or a debit account.
+ */
+async function listStandingOrders(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const query = {};
+    if (data.status) query.status = data.status;
+    if (data.debit_account) query.debit_account = data.debit_account;
+
+    const standingOrders = await StandingOrder.findMany({
+      query,
+      options: { sort: { created: -1 } },
+    });
+
+    result = standingOrders.map(formatStandingOrder);
+  } catch (error) {
+    appLogger.errorX(error, 'list-standing-orders-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = listStandingOrders;
@@ -0,0 +1,54 @@
+const { getCurrency } = require('./currency-registry');
+
+const DEFAULT_MINOR_UNITS = 2;
+
+/**
+ * ISO 4217 minor-unit exponent of a currency (2 for cents/kobo/pence/pesewas).
+ * @param {String} currency
+ * @returns {Number}
+ */
+function getMinorUnits(currency) {
+  const definition = getCurrency(currency);
+  return definition ? definition.minor_units : DEFAULT_MINOR_UNITS;
+}
+
+/**
+ * Converts a major-unit amount (10.5 USD) into integer minor units (1050).
+ * @param {Number} amount
+ * @param {String} currency
+ * @returns {Number}
+ */
+function toMinorUnits(amount, currency) {
+  const exponent = getMinorUnits(currency);
+  // shift the decimal point in the string form to avoid binary float drift (1.005 * 100)
+  const shifted = Number(`${amount}e${exponent}`);
+  return Math.round(Number.isNaN(shifted) ? amount * 10 ** exponent : shifted);
+}
+
+/**
+ * Converts integer minor units back into a major-unit amount.
+ * @param {Number} minorAmount
+ * @param {String} currency
+ * @returns {Number}
+ */
+function fromMinorUnits(minorAmount, currency) {
+  const exponent = getMinorUnits(currency);
+  return Number((minorAmount / 10 ** exponent).toFixed(exponent));
+}
+
+/**
+ * Rounds a major-unit amount to the precision the currency allows.
+ * @param {Number} amount
+ * @param {String} currency
+ * @returns {Number}
+ */
+function roundToMinorUnits(amount, currency) {
+  return fromMinorUnits(toMinorUnits(amount, currency), currency);
+}
+
+module.exports = {
+  getMinorUnits,
+  toMinorUnits,
+  fromMinorUnits,
+  roundToMinorUnits,
+};
@@ -0,0 +1,114 @@
+const { appLogger } = require('@app-core/logger');
+const { roundToMinorUnits } = require('./minor-units');
+
+/**
+ * @typedef {Object} OverdraftFacility
+ * @property {Number} limit - How far below zero the available balance may go
+ * @property {'block'|'warn'} [mode] - At the limit, `block` fails further debits while `warn`
+ *   lets them through flagged as over the limit. Defaults to `block`.
+ */
+
+/**
+ * @typedef {Object} OverdraftDrawing
+ * @property {String} account_id
+ * @property {String} type - Instruction type
+ * @property {String} currency
+ * @property {Number} amount - Amount of the instruction
+ * @property {Number} drawn_amount - Part of the debit, fee included, taken from the overdraft
+ * @property {Number} overdrawn_amount - How far below zero the debit leaves the account
+ * @property {OverdraftFacility} facility
+ */
+
+/**
+ * @typedef {Object} OverdraftChargeHook
+ * @property {String} name - Identifies the hook in fee breakdowns and logs
+ * @property {function(OverdraftDrawing): Number} getCharge - Fee or interest charged for the drawing
+ */
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function parseChargeConfig(rawConfig) {
+  if (!rawConfig) return {};
+
+  try {
+    const config = JSON.parse(rawConfig);
+    return config && typeof config === 'object' ? config : {};
+  } catch (error) {
+    appLogger.warn({ error: error.message }, 'overdraft-charge-config-invalid');
+    return {};
+  }
+}
+
+/**
+ * Creates a hook charging a flat `amount` and a percentage `rate` of the drawn amount on
+ * every debit that draws on an overdraft, e.g. `{ amount: 5, rate: 1.5 }`.
+ * @param {{amount?: Number, rate?: Number}} config
+ * @returns {OverdraftChargeHook}
+ */
+function createConfiguredChargeHook(config = {}) {
+  const flat = isNonNegativeNumber(config.amount) ? config.amount : 0;
+  const rate = isNonNegativeNumber(config.rate) ? config.rate : 0;
+
+  return {
+    name: 'overdraft',
+    getCharge({ drawn_amount: drawnAmount }) {
+      return flat + (drawnAmount * rate) / 100;
+    },
+  };
+}
+
+let activeHook = createConfiguredChargeHook(parseChargeConfig(process.env.OVERDRAFT_CHARGE));
+
+/**
+ * Replaces the hook that works out what drawing on an overdraft costs. Hooks are called
+ * synchronously while instructions execute, like rate providers.
+ * @param {OverdraftChargeHook} hook
+ */
+function setOverdraftChargeHook(hook) {
+  if (!hook || typeof hook.getCharge !== 'function') {
+    throw new Error('Overdraft charge hook must implement getCharge(drawing)');
+  }
+  activeHook = hook;
+}
+
+function getOverdraftChargeHook() {
+  return activeHook;
+}
+
+/**
+ * @param {Object} account
+ * @returns {OverdraftFacility|null} The account's facility, null when it has none
+ */
+function getOverdraftFacility(account) {
+  const facility = account && account.overdraft;
+  if (!facility || !isNonNegativeNumber(facility.limit) || facility.limit === 0) {
+    return null;
+  }
+
+  return { limit: facility.limit, mode: facility.mode === 'warn' ? 'warn' : 'block' };
+}
+
+/**
+ * Charge for a drawing with the active hook, rounded to the currency's minor units. Invalid
+ * charges count as none.
+ * @param {OverdraftDrawing} drawing
+ * @returns {{rule: String, amount: Number}}
+ */
+function calculateOverdraftCharge(drawing) {
+  const charge = activeHook.getCharge(drawing);
+
+  return {
+    rule: activeHook.name || 'overdraft',
+    amount: isNonNegativeNumber(charge) ? roundToMinorUnits(charge, drawing.currency) : 0,
+  };
+}
+
+module.exports = {
+  createConfiguredChargeHook,
+  setOverdraftChargeHook,
+  getOverdraftChargeHook,
+  getOverdraftFacility,
+  calculateOverdraftCharge,
+};
@@ -1,23 +1,98 @@
 const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { createSession } = require('@app-core/mongoose');
+const { ulid } = require('@app-core/randomness');
 const PaymentMessages = require('@app/messages/payment');
 const { appLogger } = require('@app-core/logger');
+const getStoredAccounts = require('./get-stored-accounts');
+const recordLedgerEntries = require('./record-ledger-entries');
+const getStoredTransactions = require('./get-stored-transactions');
+const getStoredHolds = require('./get-stored-holds');
+const getHeldAmounts = require('./get-held-amounts');
+const recordHolds = require('./record-holds');
+const recordTransactions = require('./record-transactions');
+const schedulePendingInstructions = require('./schedule-pending-instructions');
+const { convertAmount } = require('./fx-rate-provider');
+const { calculateFee } = require('./fee-engine');
+const { getOverdraftFacility, calculateOverdraftCharge } = require('./overdraft-policy');
+const {
+  evaluateRisk,
+  getRiskHistoryWindowSecs,
+  getCounterpartyWindowSecs,
+} = require('./risk-engine');
+const getRiskHistory = require('./get-risk-history');
+const {
+  refreshScreeningLists,
+  hasScreeningLists,
+  screenSubjects,
+} = require('./sanctions-screening');
+const recordScreeningDecisions = require('./record-screening-decisions');
+const { resolveExecutionDate } = require('./settlement-calendar');
+const {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  parseTimeOfDay,
+  getLocalDate,
+  toInstant,
+  formatExecutionTime,
+} = require('./execution-time');
+const { getSlotName, parseInstructionSyntax } = require('./instruction-grammar');
+const { levenshteinDistance } = require('./string-distance');
+const { normaliseInstruction } = require('./instruction-normaliser');
+const createStandingOrders = require('./create-standing-orders');
+const { FREQUENCIES } = require('./standing-order-schedule');
+const {
+  loadAccountUsage,
+  addAccountUsage,
+  checkTransactionLimits,
+  hasConfiguredLimits,
+  recordAccountUsage,
+} = require('./transaction-limits');
+const { getMinorUnits, toMinorUnits, fromMinorUnits, roundToMinorUnits } = require('./minor-units');
+const {
+  isCurrencyEnabled,
+  getEnabledCurrencyCodes,
+  describeEnabledCurrencies,
+  refreshCurrencyRegistry,
+} = require('./currency-registry');
 
 // CONSTANTS
 
-const ALLOWED_CURRENCIES = new Set(['NGN', 'USD', 'GBP', 'GHS']);
-
 const TRANSACTION_TYPES = {
   DEBIT: 'DEBIT',
   CREDIT: 'CREDIT',
+  REVERSE: 'REVERSE',
+  REFUND: 'REFUND',
+  AUTHORIZE: 'AUTHORIZE',
+  CAPTURE: 'CAPTURE',
+  VOID: 'VOID',
 };
 
+// instructions that undo a prior transaction instead of moving money between named accounts
+const REVERSAL_TYPES = [TRANSACTION_TYPES.REVERSE, TRANSACTION_TYPES.REFUND];
+const REVERSIBLE_TYPES = [
+  TRANSACTION_TYPES.DEBIT,
+  TRANSACTION_TYPES.CREDIT,
+  TRANSACTION_TYPES.CAPTURE,
+];
+// instructions that settle a hold placed by an earlier AUTHORIZE
+const HOLD_SETTLEMENT_TYPES = [TRANSACTION_TYPES.CAPTURE, TRANSACTION_TYPES.VOID];
+// instructions that only change held funds, no money moves and no transaction is recorded
+const HOLD_ONLY_TYPES = [TRANSACTION_TYPES.AUTHORIZE, TRANSACTION_TYPES.VOID];
+
 const STATUS_CODES = {
   SUCCESS: 'AP00',
   PENDING: 'AP02',
+  STANDING_ORDER_CREATED: 'AP03',
   INSUFFICIENT_FUNDS: 'AC01',
   SAME_ACCOUNT: 'AC02',
   ACCOUNT_NOT_FOUND: 'AC03',
   INVALID_ACCOUNT_ID: 'AC04',
+  ACCOUNT_FROZEN: 'AC05',
+  ACCOUNT_DEBIT_BLOCKED: 'AC06',
+  ACCOUNT_CREDIT_BLOCKED: 'AC07',
+  ACCOUNT_CLOSED: 'AC08',
+  ACCOUNT_DORMANT: 'AC09',
   CURRENCY_MISMATCH: 'CU01',
   UNSUPPORTED_CURRENCY: 'CU02',
   INVALID_DATE: 'DT01',
@@ -25,64 +100,87 @@ const STATUS_CODES = {
   MISSING_KEYWORD: 'SY01',
   INVALID_KEYWORD: 'SY02',
   MALFORMED: 'SY03',
+  ROLLED_BACK: 'RB01',
+  PER_TRANSACTION_LIMIT: 'LM01',
+  DAILY_LIMIT: 'LM02',
+  VELOCITY_LIMIT: 'LM03',
+  TRANSACTION_NOT_FOUND: 'TX01',
+  ALREADY_REVERSED: 'TX02',
+  REFUND_EXCEEDS_ORIGINAL: 'TX03',
+  NOT_REVERSIBLE: 'TX04',
+  STORED_ACCOUNTS_REQUIRED: 'SO01',
+  HOLD_NOT_FOUND: 'HD01',
+  HOLD_CLOSED: 'HD02',
+  HOLD_EXPIRED: 'HD03',
+  CAPTURE_EXCEEDS_HOLD: 'HD04',
+  RISK_BLOCKED: 'RK01',
+  RISK_REVIEW: 'RK02',
+  SANCTIONS_HIT: 'SC01',
+};
+
+const ACCOUNT_STATUSES = [
+  'active',
+  'frozen',
+  'debit-blocked',
+  'credit-blocked',
+  'closed',
+  'dormant',
+];
+
+// the account statuses that stop each side of a transaction; dormant accounts still take credits
+const BLOCKING_ACCOUNT_STATUSES = {
+  debit: {
+    frozen: { code: STATUS_CODES.ACCOUNT_FROZEN, message: PaymentMessages.ACCOUNT_FROZEN },
+    'debit-blocked': {
+      code: STATUS_CODES.ACCOUNT_DEBIT_BLOCKED,
+      message: PaymentMessages.ACCOUNT_DEBIT_BLOCKED,
+    },
+    closed: { code: STATUS_CODES.ACCOUNT_CLOSED, message: PaymentMessages.ACCOUNT_CLOSED },
+    dormant: { code: STATUS_CODES.ACCOUNT_DORMANT, message: PaymentMessages.ACCOUNT_DORMANT },
+  },
+  credit: {
+    frozen: { code: STATUS_CODES.ACCOUNT_FROZEN, message: PaymentMessages.ACCOUNT_FROZEN },
+    'credit-blocked': {
+      code: STATUS_CODES.ACCOUNT_CREDIT_BLOCKED,
+      message: PaymentMessages.ACCOUNT_CREDIT_BLOCKED,
+    },
+    closed: { code: STATUS_CODES.ACCOUNT_CLOSED, message: PaymentMessages.ACCOUNT_CLOSED },
+  },
 };
 
-const INSTRUCTION_PATTERNS = {
-  DEBIT: [
-    { idx: 3, keyword: 'FROM' },
-    { idx: 4, keyword: 'ACCOUNT' },
-    { idx: 6, keyword: 'FOR' },
-    { idx: 7, keyword: 'CREDIT' },
-    { idx: 8, keyword: 'TO' },
-    { idx: 9, keyword: 'ACCOUNT' },
-  ],
-  CREDIT: [
-    { idx: 3, keyword: 'TO' },
-    { idx: 4, keyword: 'ACCOUNT' },
-    { idx: 6, keyword: 'FOR' },
-    { idx: 7, keyword: 'DEBIT' },
-    { idx: 8, keyword: 'FROM' },
-    { idx: 9, keyword: 'ACCOUNT' },
-  ],
+const LIMIT_STATUS_CODES = {
+  per_transaction: STATUS_CODES.PER_TRANSACTION_LIMIT,
+  daily_debit: STATUS_CODES.DAILY_LIMIT,
+  velocity: STATUS_CODES.VELOCITY_LIMIT,
 };
 
+const ULID_CHARACTERS = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
 const VALIDATION_SPEC = `root {
-  accounts[] {
+  accounts[]? {
     id string
     balance number
     currency string
+    timezone? string
+    status? string(${ACCOUNT_STATUSES.join('|')})
+    overdraft? {
+      limit number
+      mode? string(block|warn)
+    }
   }
-  instruction string
+  instruction? string
+  account_ids[]? string
+  instructions[]? string
+  atomic? boolean
+  dry_run? boolean
+  diagnostics? boolean
+  timezone? string
 }`;
 
 const parsedSpec = validator.parse(VALIDATION_SPEC);
 
 // STRING UTILITIES
 
-function levenshteinDistance(a, b) {
-  if (a === b) return 0;
-  if (a.length === 0) return b.length;
-  if (b.length === 0) return a.length;
-
-  const matrix = Array.from({ length: a.length + 1 }, () => Array(b.length + 1).fill(0));
-
-  for (let i = 0; i <= a.length; i++) matrix[i][0] = i;
-  for (let j = 0; j <= b.length; j++) matrix[0][j] = j;
-
-  for (let i = 1; i <= a.length; i++) {
-    for (let j = 1; j <= b.length; j++) {
-      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
-      matrix[i][j] = Math.min(
-        matrix[i - 1][j] + 1,
-        matrix[i][j - 1] + 1,
-        matrix[i - 1][j - 1] + cost
-      );
-    }
-  }
-
-  return matrix[a.length][b.length];
-}
-
 function isNearMatch(a, b) {
   try {
     return levenshteinDistance(a, b) <= 1;
@@ -91,17 +189,6 @@ function isNearMatch(a, b) {
   }
 }
 
-function tokenize(instruction) {
-  return instruction
-    .split(' ')
-    .map((token) => token.trim())
-    .filter((token) => token.length > 0);
-}
-
-function uppercaseTokens(tokens) {
-  return tokens.map((token) => token.toUpperCase());
-}
-
 // VALIDATION UTILITIES
 
 function validateDigits(value) {
@@ -136,6 +223,38 @@ function validateDigits(value) {
   return { valid: true };
 }
 
+function validateAmountFormat(value) {
+  if (typeof value !== 'string') {
+    return { valid: false, error: 'Amount must be a string' };
+  }
+
+  const [whole, fraction, ...rest] = value.split('.');
+  if (rest.length > 0) {
+    return { valid: false, error: 'Amount cannot contain more than one decimal point' };
+  }
+
+  const wholeCheck = validateDigits(whole);
+  if (!wholeCheck.valid) {
+    return wholeCheck;
+  }
+
+  if (fraction === undefined) {
+    return { valid: true, decimals: 0 };
+  }
+
+  if (fraction.length === 0) {
+    return { valid: false, error: 'Amount must have digits after the decimal point' };
+  }
+
+  const fractionCheck = validateDigits(fraction);
+  if (!fractionCheck.valid) {
+    return fractionCheck;
+  }
+
+  // trailing zeros do not add precision: 10.50 is as precise as 10.5
+  return { valid: true, decimals: fraction.replace(/0+$/, '').length };
+}
+
 function validateAccountId(id) {
   if (typeof id !== 'string') {
     return { valid: false, error: 'Account id must be a string' };
@@ -163,6 +282,22 @@ function validateAccountId(id) {
   return { valid: true };
 }
 
+function validateTransactionId(id, kind = 'transaction') {
+  const isULID =
+    typeof id === 'string' &&
+    id.length === 26 &&
+    id
+      .toUpperCase()
+      .split('')
+      .every((char) => ULID_CHARACTERS.includes(char));
+
+  if (!isULID) {
+    return { valid: false, error: `'${id}' is not a valid ${kind} id` };
+  }
+
+  return { valid: true, value: id.toUpperCase() };
+}
+
 function validateDateFormat(dateString) {
   if (typeof dateString !== 'string' || dateString.length !== 10) {
     return { valid: false, error: PaymentMessages.INVALID_DATE_FORMAT };
@@ -213,81 +348,40 @@ function validateDateFormat(dateString) {
   return { valid: true, value: dateString };
 }
 
-function getTodayUTC() {
-  const now = new Date();
-  const year = now.getUTCFullYear();
-  const month = String(now.getUTCMonth() + 1).padStart(2, '0');
-  const day = String(now.getUTCDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
-}
-
-// KEYWORD VALIDATION
-
-function validateKeywords(tokens, pattern) {
-  const missing = [];
-  const mismatched = [];
-
-  pattern.forEach(({ idx, keyword }) => {
-    if (tokens.length <= idx) {
-      missing.push(keyword);
-    } else if (tokens[idx] !== keyword) {
-      mismatched.push({ expected: keyword, found: tokens[idx] });
-    }
-  });
-
-  if (missing.length > 0) {
-    return {
-      valid: false,
-      code: STATUS_CODES.MISSING_KEYWORD,
-      message: `Missing keyword(s): ${missing.join(', ')}`,
-    };
+/**
+ * Reads an ON value: a YYYY-MM-DD date, or an ISO-8601 datetime such as
+ * `2026-10-20T09:00+01:00` whose offset is optional.
+ */
+function parseExecutionDate(value) {
+  if (typeof value !== 'string') {
+    return { valid: false, error: PaymentMessages.INVALID_DATE_FORMAT };
   }
 
-  if (mismatched.length > 0) {
-    const details = mismatched.map(({ expected, found }) => {
-      let note = `expected '${expected}' but found '${found}'`;
-      if (found && isNearMatch(expected, found)) {
-        note += ` (did you mean '${expected}'?)`;
-      }
-      return note;
-    });
-    return {
-      valid: false,
-      code: STATUS_CODES.INVALID_KEYWORD,
-      message: `Invalid keyword(s): ${details.join('; ')}`,
-    };
+  const [datePart, timePart, ...rest] = value.split(/t/i);
+  const dateValidation = validateDateFormat(datePart);
+  if (!dateValidation.valid || rest.length > 0) {
+    return { valid: false, error: dateValidation.error || PaymentMessages.INVALID_DATE_FORMAT };
   }
 
-  return { valid: true };
-}
-
-// INSTRUCTION PARSING
-
-function extractTokenPositions(type, tokens) {
-  const isDebit = type === TRANSACTION_TYPES.DEBIT;
-  const fromIdx = isDebit ? 5 : 10;
-  const toIdx = isDebit ? 10 : 5;
-  const onIdx = 11;
-  const dateIdx = onIdx + 1;
-
-  const sawON = typeof tokens[onIdx] === 'string' && tokens[onIdx].toUpperCase() === 'ON';
+  if (timePart === undefined) {
+    return { valid: true, value: { date: datePart, time: null, offsetMinutes: null } };
+  }
 
-  const dateToken = sawON && tokens.length > dateIdx ? tokens[dateIdx] : null;
-  const hasIncompleteDate = tokens.length === dateIdx && sawON;
+  const timeResult = parseTimeOfDay(timePart);
+  if (!timeResult.valid) {
+    return { valid: false, error: timeResult.error };
+  }
 
   return {
-    amount: tokens[1],
-    currency: tokens[2],
-    fromAccount: tokens[fromIdx],
-    toAccount: tokens[toIdx],
-    dateToken,
-    hasIncompleteDate,
-    sawONKeyword: tokens.length < 12 ? true : sawON,
+    valid: true,
+    value: { date: datePart, time: timeResult.time, offsetMinutes: timeResult.offsetMinutes },
   };
 }
 
+// INSTRUCTION PARSING
+
 function parseAmount(amountToken) {
-  const validation = validateDigits(amountToken);
+  const validation = validateAmountFormat(amountToken);
   if (!validation.valid) {
     return {
       valid: false,
@@ -296,7 +390,7 @@ function parseAmount(amountToken) {
     };
   }
 
-  const amount = parseInt(amountToken, 10);
+  const amount = Number(amountToken);
   if (!Number.isFinite(amount) || amount <= 0) {
     return {
       valid: false,
@@ -305,7 +399,24 @@ function parseAmount(amountToken) {
     };
   }
 
-  return { valid: true, value: amount };
+  return { valid: true, value: amount, decimals: validation.decimals };
+}
+
+function validateAmountPrecision(amountResult, currency) {
+  const minorUnits = getMinorUnits(currency);
+  if (amountResult.decimals > minorUnits) {
+    return {
+      valid: false,
+      code: STATUS_CODES.INVALID_AMOUNT,
+      message: `${PaymentMessages.INVALID_AMOUNT}: ${currency} allows at most ${minorUnits} decimal place(s)`,
+    };
+  }
+
+  return { valid: true };
+}
+
+function buildUnsupportedCurrencyMessage(found) {
+  return `${PaymentMessages.UNSUPPORTED_CURRENCY}: only ${describeEnabledCurrencies()} are supported, but found '${found}'`;
 }
 
 function parseCurrency(currencyToken) {
@@ -313,225 +424,596 @@ function parseCurrency(currencyToken) {
     return {
       valid: false,
       code: STATUS_CODES.UNSUPPORTED_CURRENCY,
-      message: `${PaymentMessages.UNSUPPORTED_CURRENCY}, but found '${currencyToken}'`,
+      message: buildUnsupportedCurrencyMessage(currencyToken),
     };
   }
 
   const currency = currencyToken.toUpperCase();
-  if (!ALLOWED_CURRENCIES.has(currency)) {
+  if (!isCurrencyEnabled(currency)) {
     return {
       valid: false,
       code: STATUS_CODES.UNSUPPORTED_CURRENCY,
-      message: `${PaymentMessages.UNSUPPORTED_CURRENCY}, but found '${currency}'`,
+      message: buildUnsupportedCurrencyMessage(currency),
     };
   }
 
   return { valid: true, value: currency };
 }
 
-function parseAccounts(fromId, toId, type) {
-  const fromValidation = validateAccountId(fromId);
-  const toValidation = validateAccountId(toId);
+function describeGrammarElement(element) {
+  const slot = getSlotName(element.replace(/"/g, ''));
+  return slot ? slot.replace(/_/g, ' ') : element;
+}
 
-  if (!fromValidation.valid) {
-    return {
-      valid: false,
-      code: STATUS_CODES.INVALID_ACCOUNT_ID,
-      message: `${PaymentMessages.INVALID_ACCOUNT_ID} (from: ${fromValidation.error})`,
-    };
-  }
+function findNearMatch(candidates, found) {
+  const upperFound = (found || '').toUpperCase();
+  return (
+    candidates.find(
+      (candidate) => !getSlotName(candidate) && upperFound && isNearMatch(candidate, upperFound)
+    ) || null
+  );
+}
 
-  if (!toValidation.valid) {
-    return {
-      valid: false,
-      code: STATUS_CODES.INVALID_ACCOUNT_ID,
-      message: `${PaymentMessages.INVALID_ACCOUNT_ID} (to: ${toValidation.error})`,
-    };
-  }
+function suggestKeyword(expected, found) {
+  const match = findNearMatch(expected, found);
+  return match ? ` (did you mean '${match}'?)` : '';
+}
 
+function buildErrorLocation(source) {
   return {
-    valid: true,
-    debitAccount: type === TRANSACTION_TYPES.DEBIT ? fromId : toId,
-    creditAccount: type === TRANSACTION_TYPES.DEBIT ? toId : fromId,
+    token_index: source.token_index,
+    offset: source.span.start,
+    length: source.span.end - source.span.start,
   };
 }
 
-function parseExecutionDate(positions) {
-  if (positions.hasIncompleteDate && positions.dateToken === null) {
+/**
+ * Turns a grammar error into the status code and message reported for the instruction.
+ */
+function describeSyntaxError(error) {
+  const { kind, expected, found, clause } = error;
+  const expectedList = expected.map(describeGrammarElement).join(', ');
+
+  if (kind === 'missing') {
+    const keywords = expected.filter((element) => !getSlotName(element));
     return {
-      valid: false,
-      code: STATUS_CODES.INVALID_DATE,
-      message: "No date provided after 'ON' keyword: date format is YYYY-MM-DD",
+      code: STATUS_CODES.MISSING_KEYWORD,
+      message:
+        keywords.length > 0
+          ? `Missing keyword(s): ${keywords.join(', ')}`
+          : `${PaymentMessages.MISSING_KEYWORD}: ${describeGrammarElement(expected[0])}`,
+    };
+  }
+
+  if (kind === 'mismatch') {
+    return {
+      code: STATUS_CODES.INVALID_KEYWORD,
+      message: `Invalid keyword: expected ${expected.map((element) => `'${describeGrammarElement(element)}'`).join(' or ')} but found '${found}'${suggestKeyword(expected, found)}`,
     };
   }
-  if (!positions.sawONKeyword) {
-    if (positions.dateToken !== null) {
+
+  if (kind === 'unexpected') {
+    if (expected.includes('ON') && parseExecutionDate(found).valid) {
       return {
-        valid: false,
         code: STATUS_CODES.INVALID_DATE,
         message: "Date provided without 'ON' keyword: date format is YYYY-MM-DD",
       };
     }
+
+    const suggestion = suggestKeyword(expected, found);
     return {
-      valid: false,
-      code: STATUS_CODES.MISSING_KEYWORD,
-      message: `${PaymentMessages.MISSING_KEYWORD}: 'ON'`,
+      code: suggestion ? STATUS_CODES.INVALID_KEYWORD : STATUS_CODES.MALFORMED,
+      message: suggestion
+        ? `Invalid keyword: expected one of ${expectedList} but found '${found}'${suggestion}`
+        : `${PaymentMessages.MALFORMED_INSTRUCTION}: unexpected '${found}'`,
     };
   }
 
-  if (!positions.dateToken) {
-    return { valid: true, value: null };
+  if (kind === 'missing_clause_value') {
+    return clause === 'ON' || clause === 'UNTIL'
+      ? {
+          code: STATUS_CODES.INVALID_DATE,
+          message: `No date provided after '${clause}' keyword: date format is YYYY-MM-DD`,
+        }
+      : {
+          code: STATUS_CODES.MISSING_KEYWORD,
+          message: `${PaymentMessages.MISSING_KEYWORD}: ${expectedList} after '${clause}'`,
+        };
   }
 
-  const dateValidation = validateDateFormat(positions.dateToken);
-  if (!dateValidation.valid) {
+  if (kind === 'duplicate_clause') {
     return {
-      valid: false,
-      code: STATUS_CODES.INVALID_DATE,
-      message: dateValidation.error,
+      code: STATUS_CODES.MALFORMED,
+      message: `${PaymentMessages.MALFORMED_INSTRUCTION}: '${clause}' can only be given once`,
+    };
+  }
+
+  if (kind === 'unquoted_value') {
+    return {
+      code: STATUS_CODES.MALFORMED,
+      message: `${PaymentMessages.MALFORMED_INSTRUCTION}: ${clause} text must be in double quotes`,
+    };
+  }
+
+  if (kind === 'unterminated_quote') {
+    return {
+      code: STATUS_CODES.MALFORMED,
+      message: `${PaymentMessages.MALFORMED_INSTRUCTION}: missing closing quote`,
     };
   }
 
-  return { valid: true, value: dateValidation.value };
+  return { code: STATUS_CODES.MALFORMED, message: PaymentMessages.MALFORMED_INSTRUCTION };
 }
 
-function parseInstructionTokens(tokens, uppercaseTransactionTokens) {
-  const type = uppercaseTransactionTokens[0];
+/**
+ * Parses `b:100, c:150` credit legs and checks they add up to the instruction amount.
+ * The total is only checked when the amount and currency are known and every leg is valid.
+ */
+function parseCreditLegs(listNode, amountResult, currency) {
+  const legs = [];
+  const failures = [];
+
+  listNode.items.forEach((item) => {
+    const [accountId, amountToken, ...rest] = item.value.split(':').map((part) => part.trim());
+    let failure = null;
+
+    if (amountToken === undefined || rest.length > 0) {
+      failure = {
+        code: STATUS_CODES.MALFORMED,
+        message: `${PaymentMessages.MALFORMED_INSTRUCTION}: credit leg '${item.value}' must be written as <account>:<amount>`,
+        expected: ['<account>:<amount>'],
+      };
+    } else {
+      const accountValidation = validateAccountId(accountId);
+      const legAmount = parseAmount(amountToken);
+      const precision = currency && legAmount.valid && validateAmountPrecision(legAmount, currency);
+
+      if (!accountValidation.valid) {
+        failure = {
+          code: STATUS_CODES.INVALID_ACCOUNT_ID,
+          message: `${PaymentMessages.INVALID_ACCOUNT_ID} (credit leg: ${accountValidation.error})`,
+          expected: ['account id'],
+        };
+      } else if (!legAmount.valid) {
+        failure = { ...legAmount, expected: ['amount'] };
+      } else if (precision && !precision.valid) {
+        failure = { ...precision, expected: ['amount'] };
+      } else if (legs.some((leg) => leg.accountId === accountId)) {
+        failure = {
+          code: STATUS_CODES.MALFORMED,
+          message: `${PaymentMessages.MALFORMED_INSTRUCTION}: account ${accountId} appears in more than one credit leg`,
+          expected: ['a different account'],
+        };
+      } else {
+        legs.push({ accountId, amount: legAmount.value });
+      }
+    }
+
+    if (failure) {
+      failures.push({ ...failure, node: item });
+    }
+  });
 
-  if (!TRANSACTION_TYPES[type]) {
-    return { valid: false };
+  if (failures.length > 0 || !amountResult || !currency) {
+    return { valid: failures.length === 0, value: legs, failures };
   }
 
-  const keywordValidation = validateKeywords(
-    uppercaseTransactionTokens,
-    INSTRUCTION_PATTERNS[type]
-  );
+  const legsMinor = legs.reduce((total, leg) => total + toMinorUnits(leg.amount, currency), 0);
+  if (legsMinor !== toMinorUnits(amountResult.value, currency)) {
+    failures.push({
+      node: listNode,
+      code: STATUS_CODES.INVALID_AMOUNT,
+      message: `${PaymentMessages.INVALID_AMOUNT}: credit legs add up to ${fromMinorUnits(legsMinor, currency)} but the instruction amount is ${amountResult.value}`,
+      expected: [`legs adding up to ${amountResult.value}`],
+    });
+  }
 
-  if (!keywordValidation.valid) {
-    return {
-      valid: false,
-      type,
-      error: {
-        code: keywordValidation.code,
-        message: keywordValidation.message,
-      },
-    };
+  return { valid: failures.length === 0, value: legs, failures };
+}
+
+/**
+ * A structured error pointing at the offending part of the instruction.
+ * @param {{token_index: number, span: Object, value?: string}} node
+ * @param {{code: string, message: string, expected?: string[], suggestion?: string}} failure
+ */
+function buildFieldError(node, failure) {
+  return {
+    code: failure.code,
+    message: failure.message,
+    location: buildErrorLocation(node),
+    expected: failure.expected || [],
+    found: node.value,
+    suggestion: failure.suggestion || null,
+  };
+}
+
+/**
+ * Validates the slot values of a parsed instruction, in the order errors are reported.
+ * Every invalid field is listed in `fieldErrors`; `error` is the first of them.
+ */
+function validateInstructionFields(ast) {
+  const { type, fields } = ast;
+  const value = (name) => (fields[name] ? fields[name].value : undefined);
+  const fieldErrors = [];
+  const addError = (node, failure) => fieldErrors.push(buildFieldError(node, failure));
+
+  let executeBy = null;
+  let executionTime = null;
+  if (fields.execute_by) {
+    const dateValidation = parseExecutionDate(value('execute_by'));
+    if (dateValidation.valid) {
+      executeBy = value('execute_by');
+      executionTime = dateValidation.value;
+    } else {
+      addError(fields.execute_by, {
+        code: STATUS_CODES.INVALID_DATE,
+        message: dateValidation.error,
+        expected: ['YYYY-MM-DD', 'YYYY-MM-DDTHH:MM±HH:MM'],
+      });
+    }
   }
 
-  const positions = extractTokenPositions(type, tokens);
-  const dateResult = parseExecutionDate(positions);
+  let frequency = null;
+  if (fields.frequency) {
+    frequency = value('frequency').toUpperCase();
+    if (!FREQUENCIES.includes(frequency)) {
+      addError(fields.frequency, {
+        code: STATUS_CODES.MALFORMED,
+        message: `${PaymentMessages.INVALID_FREQUENCY}: found '${value('frequency')}'`,
+        expected: FREQUENCIES,
+        suggestion: findNearMatch(FREQUENCIES, value('frequency')),
+      });
+    }
+  }
 
-  if (!dateResult.valid) {
-    return {
-      valid: false,
-      type,
-      error: {
-        code: dateResult.code,
-        message: dateResult.message,
-      },
-    };
+  let endDate = null;
+  if (fields.end_date) {
+    const dateValidation = validateDateFormat(value('end_date'));
+    if (!fields.frequency) {
+      addError(fields.end_date, {
+        code: STATUS_CODES.MISSING_KEYWORD,
+        message: PaymentMessages.UNTIL_REQUIRES_EVERY,
+        expected: ['EVERY'],
+      });
+    } else if (dateValidation.valid) {
+      endDate = dateValidation.value;
+    } else {
+      addError(fields.end_date, {
+        code: STATUS_CODES.INVALID_DATE,
+        message: dateValidation.error,
+        expected: ['YYYY-MM-DD'],
+      });
+    }
   }
 
-  const amountResult = parseAmount(positions.amount);
-  if (!amountResult.valid) {
-    return {
-      valid: false,
-      type,
-      error: {
-        code: amountResult.code,
-        message: amountResult.message,
-      },
-    };
+  let amountResult = null;
+  if (fields.amount) {
+    amountResult = parseAmount(value('amount'));
+    if (!amountResult.valid) {
+      addError(fields.amount, { ...amountResult, expected: ['amount'] });
+    }
   }
 
-  const currencyResult = parseCurrency(positions.currency);
-  if (!currencyResult.valid) {
-    return {
-      valid: false,
-      type,
-      error: {
-        code: currencyResult.code,
-        message: currencyResult.message,
-      },
-    };
+  let currencyResult = null;
+  if (fields.currency) {
+    currencyResult = parseCurrency(value('currency'));
+    if (!currencyResult.valid) {
+      const enabledCurrencies = getEnabledCurrencyCodes();
+      const match = findNearMatch(enabledCurrencies, value('currency'));
+      addError(fields.currency, {
+        ...currencyResult,
+        expected: enabledCurrencies,
+        suggestion: match,
+      });
+    }
   }
 
-  const accountsResult = parseAccounts(positions.fromAccount, positions.toAccount, type);
-  if (!accountsResult.valid) {
-    return {
-      valid: false,
-      type,
-      error: {
-        code: accountsResult.code,
-        message: accountsResult.message,
-      },
-    };
+  const hasAmount = !!amountResult && amountResult.valid;
+  const currency = currencyResult && currencyResult.valid ? currencyResult.value : null;
+  if (hasAmount && currency) {
+    const precisionResult = validateAmountPrecision(amountResult, currency);
+    if (!precisionResult.valid) {
+      addError(fields.amount, { ...precisionResult, expected: ['amount'] });
+    }
+  }
+
+  ['debit_account', 'credit_account']
+    .filter((name) => fields[name])
+    .forEach((name) => {
+      const validation = validateAccountId(value(name));
+      if (!validation.valid) {
+        addError(fields[name], {
+          code: STATUS_CODES.INVALID_ACCOUNT_ID,
+          message: `${PaymentMessages.INVALID_ACCOUNT_ID} (${describeGrammarElement(`<${name}>`)}: ${validation.error})`,
+          expected: ['account id'],
+        });
+      }
+    });
+
+  let creditLegs;
+  if (fields.credit_legs) {
+    const legsResult = parseCreditLegs(
+      fields.credit_legs,
+      hasAmount ? amountResult : null,
+      currency
+    );
+    legsResult.failures.forEach(({ node, ...failure }) => addError(node, failure));
+    creditLegs = legsResult.value;
+  }
+
+  let originalTransactionId;
+  if (fields.transaction_id) {
+    const idResult = validateTransactionId(value('transaction_id'));
+    if (idResult.valid) {
+      originalTransactionId = idResult.value;
+    } else {
+      addError(fields.transaction_id, {
+        code: STATUS_CODES.TRANSACTION_NOT_FOUND,
+        message: `${PaymentMessages.TRANSACTION_NOT_FOUND}: ${idResult.error}`,
+        expected: ['transaction id'],
+      });
+    }
+  }
+
+  let holdId;
+  if (fields.hold_id) {
+    const idResult = validateTransactionId(value('hold_id'), 'hold');
+    if (idResult.valid) {
+      holdId = idResult.value;
+    } else {
+      addError(fields.hold_id, {
+        code: STATUS_CODES.HOLD_NOT_FOUND,
+        message: `${PaymentMessages.HOLD_NOT_FOUND}: ${idResult.error}`,
+        expected: ['hold id'],
+      });
+    }
+  }
+
+  if (fieldErrors.length > 0) {
+    return { valid: false, type, error: fieldErrors[0], fieldErrors };
   }
 
   return {
     valid: true,
     type,
-    amount: amountResult.value,
-    currency: currencyResult.value,
-    debitAccount: accountsResult.debitAccount,
-    creditAccount: accountsResult.creditAccount,
-    executeBy: dateResult.value,
+    amount: amountResult ? amountResult.value : undefined,
+    currency: currencyResult ? currencyResult.value : undefined,
+    debitAccount: value('debit_account'),
+    creditAccount: value('credit_account'),
+    creditLegs,
+    executeBy,
+    executionTime,
+    frequency,
+    endDate,
+    originalTransactionId,
+    holdId,
+    reference: value('reference'),
+    narration: value('narration'),
+    beneficiary: value('beneficiary'),
+  };
+}
+
+/**
+ * Turns a grammar error into a structured error like the ones reported for field values.
+ */
+function buildSyntaxDiagnostic(error) {
+  const { code, message } = describeSyntaxError(error);
+  const isBareDate =
+    error.kind === 'unexpected' &&
+    error.expected.includes('ON') &&
+    parseExecutionDate(error.found).valid;
+
+  return {
+    code,
+    message,
+    location: buildErrorLocation(error),
+    expected: error.expected.map(describeGrammarElement),
+    found: error.found,
+    suggestion: isBareDate ? `ON ${error.found}` : findNearMatch(error.expected, error.found),
+  };
+}
+
+function formatDiagnostic(diagnostic) {
+  return {
+    status_code: diagnostic.code,
+    status_reason: diagnostic.message,
+    token_index: diagnostic.location.token_index,
+    offset: diagnostic.location.offset,
+    length: diagnostic.location.length,
+    expected: diagnostic.expected,
+    found: diagnostic.found,
+    suggestion: diagnostic.suggestion,
   };
 }
 
+/**
+ * The instruction a standing order runs each time: its own text without the EVERY, ON and
+ * UNTIL clauses that describe the schedule.
+ */
+function buildRunInstruction(text, tokens, fields) {
+  const scheduleTokens = ['frequency', 'execute_by', 'end_date']
+    .filter((name) => fields[name])
+    .flatMap((name) => [fields[name].token_index - 1, fields[name].token_index]);
+
+  return tokens
+    .filter((token) => !scheduleTokens.includes(token.index))
+    .map((token) => text.slice(token.span.start, token.span.end))
+    .join(' ');
+}
+
+/**
+ * The ids following an ACCOUNT keyword anywhere in the instruction. A syntax error stops the
+ * parser before it reaches the later fields, so this is how the accounts involved are still
+ * found.
+ */
+function recoverAccountIds(tokens) {
+  return tokens
+    .filter((token, position) => {
+      const previous = tokens[position - 1];
+      return !token.quoted && !!previous && !previous.quoted && previous.upper === 'ACCOUNT';
+    })
+    .map((token) => token.value);
+}
+
+/**
+ * Parses an instruction into the fields the business rules work with. Failures carry the
+ * status code and the location of the offending token.
+ *
+ * With `diagnostics` the result also lists every syntax and field error found, ordered by
+ * their position in the instruction, rather than only the first.
+ * @param {string} instructionText
+ * @param {{diagnostics?: boolean}} [options]
+ */
+function parseInstructionText(instructionText, options = {}) {
+  const syntax = parseInstructionSyntax(instructionText, { collectAll: options.diagnostics });
+  const fields = syntax.ast ? syntax.ast.fields : {};
+  // used to report the accounts involved when the instruction fails
+  const accountIds = [
+    ...new Set([
+      ...['debit_account', 'credit_account']
+        .filter((name) => fields[name])
+        .map((name) => fields[name].value),
+      ...recoverAccountIds(syntax.tokens),
+    ]),
+  ];
+
+  // field values are still checked after a syntax error when every error is wanted
+  const fieldsResult =
+    syntax.ast && (syntax.valid || options.diagnostics)
+      ? validateInstructionFields(syntax.ast)
+      : null;
+
+  let result;
+  if (!syntax.valid) {
+    result = {
+      valid: false,
+      type: syntax.ast ? syntax.ast.type : null,
+      accountIds,
+      error: {
+        ...describeSyntaxError(syntax.error),
+        location: buildErrorLocation(syntax.error),
+      },
+    };
+  } else {
+    result = fieldsResult.valid ? fieldsResult : { ...fieldsResult, accountIds };
+  }
+
+  if (result.valid && result.frequency) {
+    result.runInstruction = buildRunInstruction(instructionText, syntax.tokens, syntax.ast.fields);
+  }
+
+  if (!options.diagnostics) {
+    return result;
+  }
+
+  const diagnostics = [
+    ...syntax.errors.map(buildSyntaxDiagnostic),
+    ...((fieldsResult && fieldsResult.fieldErrors) || []),
+  ]
+    .sort((a, b) => a.location.offset - b.location.offset)
+    .map(formatDiagnostic);
+
+  return { ...result, diagnostics };
+}
+
 // ACCOUNT OPERATIONS
 
 function findAccountById(accounts, accountId) {
   return accounts.find((account) => account && account.id === accountId) || null;
 }
 
+/**
+ * The available balance is the balance less the funds held on the account by active holds.
+ */
+function getAvailableBalance(account) {
+  const currency = (account.currency || '').toUpperCase();
+  return fromMinorUnits(
+    toMinorUnits(account.balance, currency) - toMinorUnits(account.held_amount || 0, currency),
+    currency
+  );
+}
+
 function createAccountSnapshot(account) {
   return {
     id: account.id,
     balance: account.balance,
     balance_before: account.balance,
+    available_balance: getAvailableBalance(account),
     currency: (account.currency || '').toUpperCase(),
   };
 }
 
-function getRelevantAccounts(accounts, debitAccountId, creditAccountId) {
-  const results = [];
-  const debitAccount = findAccountById(accounts, debitAccountId);
-  const creditAccount = findAccountById(accounts, creditAccountId);
+/**
+ * The credit side of an instruction as legs: one per account for split payments, or a
+ * single leg carrying the whole amount.
+ */
+function getCreditLegs(parsedData) {
+  return (
+    parsedData.creditLegs || [{ accountId: parsedData.creditAccount, amount: parsedData.amount }]
+  );
+}
 
-  if (debitAccount) {
-    results.push(createAccountSnapshot(debitAccount));
-  }
+function getRelevantAccounts(accounts, debitAccountId, creditAccountIds) {
+  const debitAccount = findAccountById(accounts, debitAccountId);
+  const creditAccounts = creditAccountIds.map((accountId) => findAccountById(accounts, accountId));
 
-  if (creditAccount && creditAccount.id !== debitAccountId) {
-    results.push(createAccountSnapshot(creditAccount));
-  }
+  const results = [debitAccount, ...creditAccounts]
+    .filter(Boolean)
+    .filter((account, index, list) => list.findIndex((other) => other.id === account.id) === index)
+    .map(createAccountSnapshot);
 
-  return { accounts: results, debitAccount, creditAccount };
+  return { accounts: results, debitAccount, creditAccounts };
 }
 
-function updateAccountBalances(accountSnapshots, debitAccountId, creditAccountId, amount) {
+/**
+ * Moves the balances of the snapshots. `holds` are changes to the funds held on an account:
+ * they move the available balance only, positive to hold more and negative to release.
+ * @param {Object[]} accountSnapshots
+ * @param {{debitAccountId: String, amount: Number, feeAmount?: Number, credits: {accountId: String, amount: Number}[], holds?: {accountId: String, amount: Number}[]}} movement
+ */
+function updateAccountBalances(accountSnapshots, movement) {
+  const { debitAccountId, amount, feeAmount = 0, credits, holds = [] } = movement;
+
+  // balance math runs in integer minor units so 0.1 + 0.2 style float errors never reach a balance
   return accountSnapshots.map((account) => {
-    if (account.id === debitAccountId) {
-      return {
-        ...account,
-        balance: account.balance_before - amount,
-      };
-    }
-    if (account.id === creditAccountId) {
-      return {
-        ...account,
-        balance: account.balance_before + amount,
-      };
+    const { currency } = account;
+    const debitMinor =
+      account.id === debitAccountId
+        ? toMinorUnits(amount, currency) + toMinorUnits(feeAmount, currency)
+        : 0;
+    const creditMinor = credits
+      .filter((credit) => credit.accountId === account.id)
+      .reduce((total, credit) => total + toMinorUnits(credit.amount, currency), 0);
+    const holdMinor = holds
+      .filter((hold) => hold.accountId === account.id)
+      .reduce((total, hold) => total + toMinorUnits(hold.amount, currency), 0);
+
+    if (debitMinor === 0 && creditMinor === 0 && holdMinor === 0) {
+      return account;
     }
-    return account;
+
+    return {
+      ...account,
+      balance: fromMinorUnits(
+        toMinorUnits(account.balance_before, currency) - debitMinor + creditMinor,
+        currency
+      ),
+      available_balance: fromMinorUnits(
+        toMinorUnits(account.available_balance, currency) - debitMinor + creditMinor - holdMinor,
+        currency
+      ),
+    };
   });
 }
 
 // BUSINESS RULE VALIDATION
 
-function validateAccountsExist(debitAccount, creditAccount, parsedData) {
-  if (!debitAccount && !creditAccount) {
+function validateAccountsExist(debitAccount, creditAccounts, parsedData, accountSnapshots) {
+  const missingCreditIds = getCreditLegs(parsedData)
+    .filter((leg, index) => !creditAccounts[index])
+    .map((leg) => leg.accountId);
+
+  if (!debitAccount && missingCreditIds.length === creditAccounts.length) {
     return {
       valid: false,
       status: 'failed',
@@ -542,47 +1024,66 @@ function validateAccountsExist(debitAccount, creditAccount, parsedData) {
   }
 
   if (!debitAccount) {
-    const creditSnapshot = createAccountSnapshot(creditAccount);
     return {
       valid: false,
       status: 'failed',
       status_code: STATUS_CODES.ACCOUNT_NOT_FOUND,
       status_reason: `${PaymentMessages.ACCOUNT_NOT_FOUND}: debit account ${parsedData.debitAccount} not found`,
-      accounts: [creditSnapshot],
+      accounts: accountSnapshots,
     };
   }
 
-  if (!creditAccount) {
-    const debitSnapshot = createAccountSnapshot(debitAccount);
+  if (missingCreditIds.length > 0) {
     return {
       valid: false,
       status: 'failed',
       status_code: STATUS_CODES.ACCOUNT_NOT_FOUND,
-      status_reason: `${PaymentMessages.ACCOUNT_NOT_FOUND}: credit account ${parsedData.creditAccount} not found`,
-      accounts: [debitSnapshot],
+      status_reason: `${PaymentMessages.ACCOUNT_NOT_FOUND}: credit account ${missingCreditIds.join(', ')} not found`,
+      accounts: accountSnapshots,
     };
   }
 
   return { valid: true };
 }
 
-function validateCurrencyMatch(debitAccount, creditAccount, currency) {
-  const debitCurrency = (debitAccount.currency || '').toUpperCase();
-  const creditCurrency = (creditAccount.currency || '').toUpperCase();
+/**
+ * Checks the status of every account lets it take its side of the transaction. Accounts
+ * without a status are active.
+ * @returns {{valid: Boolean, code?: String, message?: String, errorCode?: String}[]}
+ */
+function validateAccountStatuses(debitAccount, creditAccounts) {
+  const sides = [
+    { side: 'debit', account: debitAccount },
+    ...creditAccounts.map((account) => ({ side: 'credit', account })),
+  ];
+
+  return sides.map(({ side, account }) => {
+    const blocked = BLOCKING_ACCOUNT_STATUSES[side][account.status || 'active'];
+    if (!blocked) {
+      return { valid: true };
+    }
 
-  if (debitCurrency !== creditCurrency) {
     return {
       valid: false,
-      code: STATUS_CODES.CURRENCY_MISMATCH,
-      message: `${PaymentMessages.CURRENCY_MISMATCH}: debit account is ${debitCurrency}, credit account is ${creditCurrency}`,
+      code: blocked.code,
+      message: `${blocked.message}: ${side} account ${account.id} is ${account.status}`,
+      errorCode: ERROR_CODE.INACTIVEACCT,
     };
-  }
+  });
+}
+
+function validateCurrencyMatch(debitAccount, creditAccount, currency) {
+  const debitCurrency = (debitAccount.currency || '').toUpperCase();
+  const creditCurrency = (creditAccount.currency || '').toUpperCase();
 
-  if (!ALLOWED_CURRENCIES.has(currency)) {
+  const unsupportedCurrency = [currency, debitCurrency, creditCurrency].find(
+    (code) => !isCurrencyEnabled(code)
+  );
+  if (unsupportedCurrency !== undefined) {
     return {
       valid: false,
       code: STATUS_CODES.UNSUPPORTED_CURRENCY,
-      message: PaymentMessages.UNSUPPORTED_CURRENCY,
+      message: buildUnsupportedCurrencyMessage(unsupportedCurrency),
     };
   }
 
@@ -594,33 +1095,206 @@ function validateCurrencyMatch(debitAccount, creditAccount, currency) {
     };
   }
 
-  return { valid: true };
+  return { valid: true, debitCurrency, creditCurrency };
 }
 
-function validateDifferentAccounts(debitAccountId, creditAccountId) {
-  if (debitAccountId === creditAccountId) {
+function resolveCurrencyConversion(currencyValidation, amount) {
+  const { debitCurrency, creditCurrency } = currencyValidation;
+
+  if (debitCurrency === creditCurrency) {
+    return { valid: true, creditAmount: amount, fx: null };
+  }
+
+  const conversion = convertAmount({ amount, from: debitCurrency, to: creditCurrency });
+  if (!conversion.valid) {
     return {
       valid: false,
-      code: STATUS_CODES.SAME_ACCOUNT,
-      message: `${PaymentMessages.SAME_ACCOUNT_ERROR}: both accounts are ${debitAccountId}`,
+      code: STATUS_CODES.CURRENCY_MISMATCH,
+      message: `${PaymentMessages.CURRENCY_MISMATCH}: ${PaymentMessages.FX_RATE_UNAVAILABLE} from ${debitCurrency} to ${creditCurrency}`,
+    };
+  }
+
+  const { valid, ...fx } = conversion;
+  return { valid: true, creditAmount: fx.converted_amount, fx };
+}
+
+function validateDifferentAccounts(debitAccountId, creditAccountId) {
+  if (debitAccountId === creditAccountId) {
+    return {
+      valid: false,
+      code: STATUS_CODES.SAME_ACCOUNT,
+      message: `${PaymentMessages.SAME_ACCOUNT_ERROR}: both accounts are ${debitAccountId}`,
     };
   }
   return { valid: true };
 }
 
-function validateSufficientFunds(debitAccount, amount) {
-  if (typeof debitAccount.balance !== 'number' || debitAccount.balance < amount) {
+/**
+ * Checks the debit account can cover `amount` and `feeAmount` from its available balance,
+ * plus any `releasedAmount` the instruction frees up, and from its overdraft facility after
+ * that. Drawing on the overdraft is reported back as `overdraft`, with the charge for it
+ * when a `type` is given; holds leave the type out as no money moves. Past the limit a
+ * `block` facility fails the check and a `warn` one lets the debit through flagged.
+ * @param {Object} debitAccount
+ * @param {Number} amount
+ * @param {{feeAmount?: Number, releasedAmount?: Number, type?: String}} [options]
+ */
+function validateSufficientFunds(debitAccount, amount, options = {}) {
+  const { feeAmount = 0, releasedAmount = 0, type } = options;
+  const { currency } = debitAccount;
+  const requiredMinor = toMinorUnits(amount, currency) + toMinorUnits(feeAmount, currency);
+  const feeNote = feeAmount > 0 ? ` (including fee of ${feeAmount})` : '';
+
+  if (typeof debitAccount.balance !== 'number') {
     return {
       valid: false,
       code: STATUS_CODES.INSUFFICIENT_FUNDS,
-      message: `${PaymentMessages.INSUFFICIENT_FUNDS}: available balance is ${debitAccount.balance} and required is ${amount}`,
+      message: `${PaymentMessages.INSUFFICIENT_FUNDS}: available balance is ${debitAccount.balance} and required is ${fromMinorUnits(requiredMinor, currency)}${feeNote}`,
     };
   }
-  return { valid: true };
+
+  const availableMinor =
+    toMinorUnits(getAvailableBalance(debitAccount), currency) +
+    toMinorUnits(releasedAmount, currency);
+  const available = fromMinorUnits(availableMinor, currency);
+  const facility = getOverdraftFacility(debitAccount);
+
+  if (availableMinor >= requiredMinor) {
+    return { valid: true };
+  }
+
+  if (!facility) {
+    return {
+      valid: false,
+      code: STATUS_CODES.INSUFFICIENT_FUNDS,
+      message: `${PaymentMessages.INSUFFICIENT_FUNDS}: available balance is ${available} and required is ${fromMinorUnits(requiredMinor, currency)}${feeNote}`,
+    };
+  }
+
+  const drawnMinor = Math.min(requiredMinor, requiredMinor - availableMinor);
+  const charge = type
+    ? calculateOverdraftCharge({
+        account_id: debitAccount.id,
+        type,
+        currency,
+        amount,
+        drawn_amount: fromMinorUnits(drawnMinor, currency),
+        overdrawn_amount: fromMinorUnits(requiredMinor - availableMinor, currency),
+        facility,
+      })
+    : { amount: 0 };
+  const overdrawnMinor = requiredMinor + toMinorUnits(charge.amount, currency) - availableMinor;
+  const limitExceeded = overdrawnMinor > toMinorUnits(facility.limit, currency);
+
+  if (limitExceeded && facility.mode === 'block') {
+    const included = [
+      feeAmount > 0 ? `fee of ${feeAmount}` : null,
+      charge.amount > 0 ? `overdraft charge of ${charge.amount}` : null,
+    ].filter(Boolean);
+    const includedNote = included.length > 0 ? ` (including ${included.join(' and ')})` : '';
+    return {
+      valid: false,
+      code: STATUS_CODES.INSUFFICIENT_FUNDS,
+      message: `${PaymentMessages.INSUFFICIENT_FUNDS}: available balance is ${available}, overdraft limit is ${facility.limit} and required is ${fromMinorUnits(requiredMinor + toMinorUnits(charge.amount, currency), currency)}${includedNote}`,
+    };
+  }
+
+  return {
+    valid: true,
+    overdraft: {
+      account_id: debitAccount.id,
+      limit: facility.limit,
+      mode: facility.mode,
+      entered: availableMinor >= 0,
+      drawn_amount: fromMinorUnits(drawnMinor, currency),
+      overdrawn_amount: fromMinorUnits(overdrawnMinor, currency),
+      limit_exceeded: limitExceeded,
+      charge,
+    },
+  };
 }
 
-function determineTransactionStatus(executeBy) {
-  if (!executeBy) {
+/**
+ * Adds the overdraft charge of a funds check to the fee, so it is debited with it.
+ */
+function addOverdraftCharge(fee, fundsValidation) {
+  const charge = fundsValidation.overdraft && fundsValidation.overdraft.charge;
+  if (!charge || charge.amount === 0) {
+    return fee;
+  }
+
+  const { currency } = fee;
+  return {
+    ...fee,
+    total: fromMinorUnits(
+      toMinorUnits(fee.total, currency) + toMinorUnits(charge.amount, currency),
+      currency
+    ),
+    lines: [...fee.lines, { rule: charge.rule, type: 'overdraft', amount: charge.amount }],
+  };
+}
+
+/**
+ * The overdraft of a successful debit as reported in its response.
+ */
+function formatOverdraft(overdraft) {
+  const { charge, ...report } = overdraft;
+  return {
+    ...report,
+    charge: charge.amount,
+    status_reason: overdraft.limit_exceeded
+      ? PaymentMessages.OVERDRAFT_LIMIT_EXCEEDED
+      : PaymentMessages.OVERDRAFT_USED,
+  };
+}
+
+/**
+ * The timezone dates are read in: the request's, else the debit account's, else null for UTC.
+ */
+function resolveTimeZone(requestTimeZone, debitAccount) {
+  if (requestTimeZone) return requestTimeZone;
+  return isValidTimeZone(debitAccount.timezone) ? debitAccount.timezone : null;
+}
+
+/**
+ * Places an execution time on the settlement calendars and works out the instant it falls
+ * due. The date is normalised to a datetime with its offset, except a plain date read in UTC,
+ * which keeps its YYYY-MM-DD form.
+ */
+function resolveSchedule(executionTime, { currencies, timeZone, allowAnyPastDate }) {
+  const now = Date.now();
+  const frame = {
+    timeZone: timeZone || DEFAULT_TIME_ZONE,
+    offsetMinutes: executionTime.offsetMinutes,
+  };
+  const calendarResult = resolveExecutionDate({
+    executeBy: executionTime.date,
+    currencies,
+    today: getLocalDate(frame, now),
+    allowAnyPastDate,
+  });
+
+  if (!calendarResult.valid) {
+    return { valid: false, code: STATUS_CODES.INVALID_DATE, message: calendarResult.message };
+  }
+
+  const instant = toInstant({ ...executionTime, date: calendarResult.executeBy }, frame);
+  const isPlainDate = !executionTime.time && executionTime.offsetMinutes === null && !timeZone;
+
+  return {
+    valid: true,
+    instant,
+    rolled: calendarResult.rolled,
+    executeBy: isPlainDate ? calendarResult.executeBy : formatExecutionTime(instant, frame),
+  };
+}
+
+/**
+ * @param {Number|null} executionInstant - When the instruction falls due, null to run it now
+ * @param {Number} [now]
+ */
+function determineTransactionStatus(executionInstant, now = Date.now()) {
+  if (executionInstant === null) {
     return {
       status: 'successful',
       status_code: STATUS_CODES.SUCCESS,
@@ -628,8 +1302,7 @@ function determineTransactionStatus(executeBy) {
     };
   }
 
-  const today = getTodayUTC();
-  if (executeBy > today) {
+  if (executionInstant > now) {
     return {
       status: 'pending',
       status_code: STATUS_CODES.PENDING,
@@ -644,10 +1317,41 @@ function determineTransactionStatus(executeBy) {
   };
 }
 
+function describeRiskReasons(risk) {
+  return risk.reasons.map((reason) => reason.reason).join('; ');
+}
+
+function buildLimitFailures(limitValidation) {
+  return (limitValidation.failures || []).map((failure) => ({
+    valid: false,
+    code: LIMIT_STATUS_CODES[failure.limit],
+    message: failure.message,
+    errorCode: ERROR_CODE.LIMITERR,
+  }));
+}
+
+/**
+ * How a result changes the funds held on its debit account: an authorization holds its
+ * amount, and a capture or void releases the whole hold.
+ * @param {{type: String, debit_account: String, amount: Number, released_amount?: Number}} result
+ * @returns {{accountId: String, amount: Number}[]}
+ */
+function getHoldChanges(result) {
+  if (result.type === TRANSACTION_TYPES.AUTHORIZE) {
+    return [{ accountId: result.debit_account, amount: result.amount }];
+  }
+
+  if (HOLD_SETTLEMENT_TYPES.includes(result.type)) {
+    return [{ accountId: result.debit_account, amount: -result.released_amount }];
+  }
+
+  return [];
+}
+
 // RESPONSE BUILDERS
 
-function buildUnparseableResponse() {
-  return {
+function buildUnparseableResponse(location) {
+  const response = {
     type: null,
     amount: null,
     currency: null,
@@ -659,10 +1363,16 @@ function buildUnparseableResponse() {
     status_code: STATUS_CODES.MALFORMED,
     accounts: [],
   };
+
+  if (location) {
+    response.error_location = location;
+  }
+
+  return response;
 }
 
 function buildErrorResponse(parsedData, error, accounts = []) {
-  return {
+  const response = {
     type: parsedData.type || null,
     amount: parsedData.amount || null,
     currency: parsedData.currency || null,
@@ -674,43 +1384,199 @@ function buildErrorResponse(parsedData, error, accounts = []) {
     status_code: error.code,
     accounts,
   };
+
+  if (parsedData.creditLegs) {
+    response.credit_legs = parsedData.creditLegs.map((leg) => ({
+      account_id: leg.accountId,
+      amount: leg.amount,
+    }));
+  }
+
+  if (parsedData.originalTransactionId) {
+    response.original_transaction_id = parsedData.originalTransactionId;
+  }
+
+  if (parsedData.holdId) {
+    response.hold_id = parsedData.holdId;
+  }
+
+  if (parsedData.reference) {
+    response.reference = parsedData.reference;
+  }
+
+  if (parsedData.narration) {
+    response.narration = parsedData.narration;
+  }
+
+  if (parsedData.beneficiary) {
+    response.beneficiary = parsedData.beneficiary;
+  }
+
+  if (error.location) {
+    response.error_location = error.location;
+  }
+
+  if (error.errorCode) {
+    response.error_code = error.errorCode;
+  }
+
+  if (error.failures) {
+    response.failed_rules = error.failures.map((failure) => ({
+      status_code: failure.code,
+      status_reason: failure.message,
+    }));
+  }
+
+  return response;
+}
+
+function formatCreditLeg(leg) {
+  const formatted = { account_id: leg.accountId, amount: leg.amount };
+
+  if (leg.fx) {
+    formatted.credit_amount = leg.creditAmount;
+    formatted.fx = leg.fx;
+  }
+
+  return formatted;
 }
 
+/**
+ * @param {Object} parsedData - Parsed instruction with its resolved credit `legs`
+ * @param {Object} statusInfo
+ * @param {Object[]} accountSnapshots
+ */
 function buildSuccessResponse(parsedData, statusInfo, accountSnapshots) {
+  const { legs } = parsedData;
+  const movesFunds = !HOLD_ONLY_TYPES.includes(parsedData.type);
   const finalAccounts =
     statusInfo.status === 'successful'
-      ? updateAccountBalances(
-          accountSnapshots,
-          parsedData.debitAccount,
-          parsedData.creditAccount,
-          parsedData.amount
-        )
+      ? updateAccountBalances(accountSnapshots, {
+          debitAccountId: parsedData.debitAccount,
+          amount: movesFunds ? parsedData.amount : 0,
+          feeAmount: parsedData.fee ? parsedData.fee.total : 0,
+          credits: movesFunds
+            ? legs.map((leg) => ({ accountId: leg.accountId, amount: leg.creditAmount }))
+            : [],
+          holds: getHoldChanges({
+            type: parsedData.type,
+            debit_account: parsedData.debitAccount,
+            amount: parsedData.amount,
+            released_amount: parsedData.releasedAmount,
+          }),
+        })
       : accountSnapshots;
 
-  return {
+  const response = {
     type: parsedData.type,
     amount: parsedData.amount,
     currency: parsedData.currency,
     debit_account: parsedData.debitAccount,
-    credit_account: parsedData.creditAccount,
+    credit_account: parsedData.creditAccount || null,
     execute_by: parsedData.executeBy,
     status: statusInfo.status,
     status_reason: statusInfo.status_reason,
     status_code: statusInfo.status_code,
     accounts: finalAccounts,
   };
+
+  if (parsedData.timeZone) {
+    response.timezone = parsedData.timeZone;
+  }
+
+  if (parsedData.requestedExecuteBy) {
+    // the requested date was not a business day and was rolled forward
+    response.requested_execute_by = parsedData.requestedExecuteBy;
+  }
+
+  if (parsedData.originalTransactionId) {
+    response.original_transaction_id = parsedData.originalTransactionId;
+  }
+
+  if (parsedData.holdId) {
+    response.hold_id = parsedData.holdId;
+    response.released_amount = parsedData.releasedAmount;
+  }
+
+  if (parsedData.reference) {
+    response.reference = parsedData.reference;
+  }
+
+  if (parsedData.narration) {
+    response.narration = parsedData.narration;
+  }
+
+  if (parsedData.beneficiary) {
+    response.beneficiary = parsedData.beneficiary;
+  }
+
+  if (parsedData.creditLegs) {
+    response.credit_legs = legs.map(formatCreditLeg);
+  } else if (legs[0].fx) {
+    response.fx = legs[0].fx;
+  }
+
+  if (parsedData.fee) {
+    response.fee = parsedData.fee;
+  }
+
+  if (parsedData.overdraft && statusInfo.status === 'successful') {
+    response.overdraft = formatOverdraft(parsedData.overdraft);
+  }
+
+  if (parsedData.risk && parsedData.risk.reasons.length > 0) {
+    response.risk = parsedData.risk;
+  }
+
+  if (parsedData.standingOrder) {
+    response.standing_order = parsedData.standingOrder;
+  }
+
+  return response;
 }
 
 // MAIN PROCESSING
 
-function processBusinessRules(parsedData, allAccounts) {
-  const { accounts, debitAccount, creditAccount } = getRelevantAccounts(
+function resolveCreditLeg(debitAccount, creditAccount, leg, currency) {
+  const currencyValidation = validateCurrencyMatch(debitAccount, creditAccount, currency);
+  if (!currencyValidation.valid) {
+    return currencyValidation;
+  }
+
+  const conversion = resolveCurrencyConversion(currencyValidation, leg.amount);
+  if (!conversion.valid) {
+    return conversion;
+  }
+
+  const sameAccountValidation = validateDifferentAccounts(debitAccount.id, leg.accountId);
+  if (!sameAccountValidation.valid) {
+    return sameAccountValidation;
+  }
+
+  return { valid: true, ...leg, creditAmount: conversion.creditAmount, fx: conversion.fx };
+}
+
+/**
+ * @param {Object} parsedData
+ * @param {Object[]} allAccounts
+ * @param {{usage?: Object, dryRun?: boolean, isScheduledRun?: boolean}} [context] - Limit counters
+ *   of the accounts involved, whether to report every failing rule instead of only the first, and
+ *   whether this is the scheduled run of an instruction accepted earlier
+ */
+function processBusinessRules(parsedData, allAccounts, context = {}) {
+  const creditLegs = getCreditLegs(parsedData);
+  const { accounts, debitAccount, creditAccounts } = getRelevantAccounts(
     allAccounts,
     parsedData.debitAccount,
-    parsedData.creditAccount
+    creditLegs.map((leg) => leg.accountId)
   );
 
-  const accountsValidation = validateAccountsExist(debitAccount, creditAccount, parsedData);
+  const accountsValidation = validateAccountsExist(
+    debitAccount,
+    creditAccounts,
+    parsedData,
+    accounts
+  );
   if (!accountsValidation.valid) {
     return {
       ...parsedData,
@@ -718,88 +1584,1584 @@ function processBusinessRules(parsedData, allAccounts) {
     };
   }
 
-  const currencyValidation = validateCurrencyMatch(
-    debitAccount,
-    creditAccount,
-    parsedData.currency
+  // every leg is checked before any balance moves, so a split payment runs all legs or none
+  const legs = creditLegs.map((leg, index) =>
+    resolveCreditLeg(debitAccount, creditAccounts[index], leg, parsedData.currency)
   );
-  if (!currencyValidation.valid) {
+
+  const fee = calculateFee({
+    type: parsedData.type,
+    amount: parsedData.amount,
+    currency: parsedData.currency,
+  });
+
+  const fundsValidation = validateSufficientFunds(debitAccount, parsedData.amount, {
+    feeAmount: fee.total,
+    type: parsedData.type,
+  });
+  const totalFee = addOverdraftCharge(fee, fundsValidation);
+
+  const timeZone = resolveTimeZone(context.timezone, debitAccount);
+  const schedule = parsedData.executionTime
+    ? resolveSchedule(parsedData.executionTime, {
+        currencies: [debitAccount, ...creditAccounts]
+          .map((account) => (account.currency || '').toUpperCase())
+          .filter((currency, index, list) => list.indexOf(currency) === index),
+        timeZone,
+        // a scheduled run happens on or after the date it was accepted for
+        allowAnyPastDate: context.isScheduledRun,
+      })
+    : { valid: true, executeBy: null, instant: null, rolled: false };
+  const executeBy = schedule.valid ? schedule.executeBy : parsedData.executeBy;
+
+  // an instruction held for review waits for a decision, whatever its date
+  const statusInfo =
+    context.risk && context.risk.outcome === 'pending_review'
+      ? {
+          status: 'pending_review',
+          status_code: STATUS_CODES.RISK_REVIEW,
+          status_reason: `${PaymentMessages.RISK_REVIEW_REQUIRED}: ${describeRiskReasons(context.risk)}`,
+        }
+      : determineTransactionStatus(schedule.valid ? schedule.instant : null);
+
+  const limitValidation = checkTransactionLimits({
+    accountId: parsedData.debitAccount,
+    amount: parsedData.amount,
+    currency: parsedData.currency,
+    usage: context.usage,
+    checkCumulative: statusInfo.status === 'successful',
+  });
+
+  // every rule is evaluated so a dry run can list them all; the first failure decides the status
+  const failures = [
+    ...validateAccountStatuses(debitAccount, creditAccounts),
+    schedule,
+    ...legs,
+    fundsValidation,
+    ...buildLimitFailures(limitValidation),
+  ].filter((validation) => !validation.valid);
+
+  if (failures.length > 0) {
     return buildErrorResponse(
       parsedData,
-      { code: currencyValidation.code, message: currencyValidation.message },
+      { ...failures[0], failures: context.dryRun ? failures : undefined },
       accounts
     );
   }
 
-  const sameAccountValidation = validateDifferentAccounts(
+  return buildSuccessResponse(
+    {
+      ...parsedData,
+      executeBy,
+      requestedExecuteBy: schedule.rolled ? parsedData.executeBy : undefined,
+      timeZone: parsedData.executionTime ? timeZone : null,
+      legs,
+      fee: totalFee.total > 0 ? totalFee : null,
+      overdraft: fundsValidation.overdraft,
+      risk: context.risk,
+    },
+    statusInfo,
+    accounts
+  );
+}
+
+/**
+ * Works out when a standing order runs. Runs start on the ON date, or today when there is
+ * none, at the ON time, or midnight, in the request or debit account timezone.
+ */
+function resolveStandingOrderSchedule(parsedData, timeZone, now = Date.now()) {
+  const { executionTime, endDate } = parsedData;
+  const frame = { timeZone: timeZone || DEFAULT_TIME_ZONE };
+  const today = getLocalDate(frame, now);
+  const startDate = executionTime ? executionTime.date : today;
+
+  // a fixed offset cannot follow the daylight saving changes of a recurring schedule
+  if (executionTime && executionTime.offsetMinutes !== null) {
+    return {
+      valid: false,
+      code: STATUS_CODES.INVALID_DATE,
+      message: PaymentMessages.STANDING_ORDER_FIXED_OFFSET,
+    };
+  }
+
+  if (startDate < today) {
+    return {
+      valid: false,
+      code: STATUS_CODES.INVALID_DATE,
+      message: `${PaymentMessages.STANDING_ORDER_START_IN_PAST}: ${startDate} is before ${today}`,
+    };
+  }
+
+  if (endDate && endDate < startDate) {
+    return {
+      valid: false,
+      code: STATUS_CODES.INVALID_DATE,
+      message: `${PaymentMessages.STANDING_ORDER_END_BEFORE_START}: ${endDate} is before ${startDate}`,
+    };
+  }
+
+  return {
+    valid: true,
+    frequency: parsedData.frequency,
+    start_date: startDate,
+    end_date: endDate || null,
+    run_time: (executionTime && executionTime.time) || '00:00:00',
+    timezone: frame.timeZone,
+  };
+}
+
+/**
+ * Accepts a recurring (EVERY) instruction as a standing order. Accounts and currencies are
+ * checked up front; funds, fees and limits are left to each run, which executes the
+ * instruction on its own. The order is risk-scored when it is created, where a block refuses
+ * it, and every run is scored again, where a review holds that run.
+ * @param {Object} parsedData
+ * @param {Object[]} allAccounts
+ * @param {{dryRun?: boolean, useStoredAccounts?: boolean, timezone?: string, risk?: Object}} [context]
+ */
+function processStandingOrderRules(parsedData, allAccounts, context = {}) {
+  const creditLegs = getCreditLegs(parsedData);
+  const { accounts, debitAccount, creditAccounts } = getRelevantAccounts(
+    allAccounts,
     parsedData.debitAccount,
-    parsedData.creditAccount
+    creditLegs.map((leg) => leg.accountId)
   );
-  if (!sameAccountValidation.valid) {
-    return buildErrorResponse(
-      parsedData,
-      { code: sameAccountValidation.code, message: sameAccountValidation.message },
-      accounts
-    );
+
+  const accountsValidation = validateAccountsExist(
+    debitAccount,
+    creditAccounts,
+    parsedData,
+    accounts
+  );
+  if (!accountsValidation.valid) {
+    return {
+      ...parsedData,
+      ...accountsValidation,
+    };
   }
 
-  const fundsValidation = validateSufficientFunds(debitAccount, parsedData.amount);
-  if (!fundsValidation.valid) {
+  const legs = creditLegs.map((leg, index) =>
+    resolveCreditLeg(debitAccount, creditAccounts[index], leg, parsedData.currency)
+  );
+
+  // runs happen long after the request, against balances only stored accounts keep
+  const accountSource = context.useStoredAccounts
+    ? { valid: true }
+    : {
+        valid: false,
+        code: STATUS_CODES.STORED_ACCOUNTS_REQUIRED,
+        message: PaymentMessages.STANDING_ORDER_REQUIRES_STORED_ACCOUNTS,
+      };
+
+  const timeZone = resolveTimeZone(context.timezone, debitAccount);
+  const schedule = resolveStandingOrderSchedule(parsedData, timeZone);
+
+  const failures = [
+    ...validateAccountStatuses(debitAccount, creditAccounts),
+    accountSource,
+    schedule,
+    ...legs,
+  ].filter((validation) => !validation.valid);
+  if (failures.length > 0) {
     return buildErrorResponse(
       parsedData,
-      { code: fundsValidation.code, message: fundsValidation.message },
+      { ...failures[0], failures: context.dryRun ? failures : undefined },
       accounts
     );
   }
 
-  const statusInfo = determineTransactionStatus(parsedData.executeBy);
-  return buildSuccessResponse(parsedData, statusInfo, accounts);
+  const { valid, ...runSchedule } = schedule;
+  return buildSuccessResponse(
+    {
+      ...parsedData,
+      executeBy: runSchedule.start_date,
+      legs,
+      standingOrder: { ...runSchedule, run_instruction: parsedData.runInstruction },
+      risk: context.risk,
+    },
+    {
+      status: 'scheduled',
+      status_code: STATUS_CODES.STANDING_ORDER_CREATED,
+      status_reason: PaymentMessages.STANDING_ORDER_CREATED,
+    },
+    accounts
+  );
 }
 
-async function parseInstruction(serviceData) {
-  let response;
-  try {
-    const data = validator.validate(serviceData, parsedSpec);
-    const instruction = (data.instruction || '').trim();
-    const { accounts } = data;
-
-    const tokens = tokenize(instruction);
-    const uppercase = uppercaseTokens(tokens);
-    const parseResult = parseInstructionTokens(tokens, uppercase);
-
-    if (!instruction) {
-      response = buildUnparseableResponse();
-    } else if (tokens.length === 0) {
-      response = buildUnparseableResponse();
-    } else if (!parseResult.valid) {
-      // For parse errors, include relevant accounts if we can identify them
-      const positions = extractTokenPositions(parseResult.type, tokens);
-      const candidateAccounts = [];
-      if (!parseResult.type) {
-        console.log('No type');
-        response = buildUnparseableResponse();
-      } else {
-        if (positions) {
-          const debitId =
-            parseResult.type === TRANSACTION_TYPES.DEBIT
-              ? positions.fromAccount
-              : positions.toAccount;
-          const creditId =
-            parseResult.type === TRANSACTION_TYPES.DEBIT
-              ? positions.toAccount
-              : positions.fromAccount;
-
-          accounts.forEach((account) => {
-            if (account && (account.id === debitId || account.id === creditId)) {
-              candidateAccounts.push(createAccountSnapshot(account));
-            }
-          });
-        }
+/**
+ * Works out what a reversal or refund gives back. Money returns from the original credit
+ * account in its own currency; cross-currency transactions are returned at their original rate.
+ */
+function resolveReversal(parsedData, transactions = {}) {
+  const original = transactions[parsedData.originalTransactionId];
+  if (!original) {
+    return {
+      valid: false,
+      code: STATUS_CODES.TRANSACTION_NOT_FOUND,
+      message: `${PaymentMessages.TRANSACTION_NOT_FOUND}: ${parsedData.originalTransactionId}`,
+    };
+  }
 
-        response = buildErrorResponse(parseResult, parseResult.error, candidateAccounts);
-      }
-    } else {
-      response = processBusinessRules(parseResult, accounts);
+  if (!REVERSIBLE_TYPES.includes(original.type)) {
+    return {
+      valid: false,
+      code: STATUS_CODES.NOT_REVERSIBLE,
+      message: `${PaymentMessages.TRANSACTION_NOT_REVERSIBLE}: ${original.transaction_id} is a ${original.type} transaction`,
+    };
+  }
+
+  const { currency } = original;
+  const remainingMinor =
+    toMinorUnits(original.amount, currency) - toMinorUnits(original.refunded_amount, currency);
+  if (remainingMinor <= 0) {
+    return {
+      valid: false,
+      code: STATUS_CODES.ALREADY_REVERSED,
+      message: `${PaymentMessages.TRANSACTION_ALREADY_REVERSED}: ${original.transaction_id}`,
+    };
+  }
+
+  let creditAmount = fromMinorUnits(remainingMinor, currency);
+  if (parsedData.type === TRANSACTION_TYPES.REFUND) {
+    if (parsedData.currency !== currency) {
+      return {
+        valid: false,
+        code: STATUS_CODES.CURRENCY_MISMATCH,
+        message: `${PaymentMessages.CURRENCY_MISMATCH}: Refund currency ${parsedData.currency} does not match transaction currency ${currency}`,
+      };
+    }
+
+    if (toMinorUnits(parsedData.amount, currency) > remainingMinor) {
+      return {
+        valid: false,
+        code: STATUS_CODES.REFUND_EXCEEDS_ORIGINAL,
+        message: `${PaymentMessages.REFUND_EXCEEDS_ORIGINAL}: at most ${creditAmount} ${currency} can be refunded`,
+      };
+    }
+
+    creditAmount = parsedData.amount;
+  }
+
+  const debitCurrency = original.credit_currency || currency;
+  if (debitCurrency === currency) {
+    return {
+      valid: true,
+      original,
+      debitCurrency,
+      debitAmount: creditAmount,
+      creditAmount,
+      fx: null,
+    };
+  }
+
+  const debitAmount = roundToMinorUnits(
+    (original.credit_amount * creditAmount) / original.amount,
+    debitCurrency
+  );
+
+  return {
+    valid: true,
+    original,
+    debitCurrency,
+    debitAmount,
+    creditAmount,
+    fx: {
+      provider: 'original_transaction',
+      rate: original.amount / original.credit_amount,
+      source_currency: debitCurrency,
+      target_currency: currency,
+      source_amount: debitAmount,
+      converted_amount: creditAmount,
+    },
+  };
+}
+
+function processReversalRules(parsedData, allAccounts, context = {}) {
+  const reversal = resolveReversal(parsedData, context.transactions);
+  if (!reversal.valid) {
+    return buildErrorResponse(parsedData, { code: reversal.code, message: reversal.message });
+  }
+
+  const reversalData = {
+    ...parsedData,
+    amount: reversal.debitAmount,
+    currency: reversal.debitCurrency,
+    debitAccount: reversal.original.credit_account,
+    creditAccount: reversal.original.debit_account,
+  };
+
+  const { accounts, debitAccount, creditAccounts } = getRelevantAccounts(
+    allAccounts,
+    reversalData.debitAccount,
+    [reversalData.creditAccount]
+  );
+
+  const accountsValidation = validateAccountsExist(
+    debitAccount,
+    creditAccounts,
+    reversalData,
+    accounts
+  );
+  if (!accountsValidation.valid) {
+    return buildErrorResponse(
+      reversalData,
+      { code: accountsValidation.status_code, message: accountsValidation.status_reason },
+      accountsValidation.accounts
+    );
+  }
+
+  const accountCurrencies = [debitAccount, creditAccounts[0]].map((account) =>
+    (account.currency || '').toUpperCase()
+  );
+  const currencyValidation =
+    accountCurrencies[0] !== reversal.debitCurrency ||
+    accountCurrencies[1] !== reversal.original.currency
+      ? {
+          valid: false,
+          code: STATUS_CODES.CURRENCY_MISMATCH,
+          message: `${PaymentMessages.CURRENCY_MISMATCH}: account currencies no longer match transaction ${reversal.original.transaction_id}`,
+        }
+      : { valid: true };
+
+  const fundsValidation = validateSufficientFunds(debitAccount, reversalData.amount);
+  const failures = [
+    ...validateAccountStatuses(debitAccount, creditAccounts),
+    currencyValidation,
+    fundsValidation,
+  ].filter((validation) => !validation.valid);
+  if (failures.length > 0) {
+    return buildErrorResponse(
+      reversalData,
+      { ...failures[0], failures: context.dryRun ? failures : undefined },
+      accounts
+    );
+  }
+
+  return buildSuccessResponse(
+    {
+      ...reversalData,
+      overdraft: fundsValidation.overdraft,
+      legs: [
+        {
+          accountId: reversalData.creditAccount,
+          amount: reversal.debitAmount,
+          creditAmount: reversal.creditAmount,
+          fx: reversal.fx,
+        },
+      ],
+    },
+    {
+      status: 'successful',
+      status_code: STATUS_CODES.SUCCESS,
+      status_reason:
+        parsedData.type === TRANSACTION_TYPES.REFUND
+          ? PaymentMessages.TRANSACTION_REFUNDED
+          : PaymentMessages.TRANSACTION_REVERSED,
+    },
+    accounts
+  );
+}
+
+/**
+ * Holds are stored against account ids, which only stored accounts own: an inline account
+ * could carry the id of an account someone else holds funds on.
+ */
+function validateHoldAccountSource(context) {
+  return context.useStoredAccounts
+    ? { valid: true }
+    : {
+        valid: false,
+        code: STATUS_CODES.STORED_ACCOUNTS_REQUIRED,
+        message: PaymentMessages.HOLDS_REQUIRE_STORED_ACCOUNTS,
+      };
+}
+
+/**
+ * Places a hold for an AUTHORIZE instruction. It is checked the way a debit is, against the
+ * available balance and the account limits, but no money moves until the hold is captured.
+ */
+function processAuthorizationRules(parsedData, allAccounts, context = {}) {
+  const { accounts, debitAccount, creditAccounts } = getRelevantAccounts(
+    allAccounts,
+    parsedData.debitAccount,
+    [parsedData.creditAccount]
+  );
+
+  const accountsValidation = validateAccountsExist(
+    debitAccount,
+    creditAccounts,
+    parsedData,
+    accounts
+  );
+  if (!accountsValidation.valid) {
+    return {
+      ...parsedData,
+      ...accountsValidation,
+    };
+  }
+
+  const leg = resolveCreditLeg(
+    debitAccount,
+    creditAccounts[0],
+    { accountId: parsedData.creditAccount, amount: parsedData.amount },
+    parsedData.currency
+  );
+
+  const limitValidation = checkTransactionLimits({
+    accountId: parsedData.debitAccount,
+    amount: parsedData.amount,
+    currency: parsedData.currency,
+    usage: context.usage,
+    checkCumulative: true,
+  });
+
+  const failures = [
+    ...validateAccountStatuses(debitAccount, creditAccounts),
+    validateHoldAccountSource(context),
+    leg,
+    validateSufficientFunds(debitAccount, parsedData.amount),
+    ...buildLimitFailures(limitValidation),
+  ].filter((validation) => !validation.valid);
+
+  if (failures.length > 0) {
+    return buildErrorResponse(
+      parsedData,
+      { ...failures[0], failures: context.dryRun ? failures : undefined },
+      accounts
+    );
+  }
+
+  return buildSuccessResponse(
+    { ...parsedData, legs: [leg] },
+    {
+      status: 'successful',
+      status_code: STATUS_CODES.SUCCESS,
+      status_reason: PaymentMessages.HOLD_PLACED,
+    },
+    accounts
+  );
+}
+
+/**
+ * Looks up the hold a CAPTURE or VOID settles. A capture without an amount takes the whole
+ * hold; a partial capture releases what it does not take.
+ */
+function resolveHoldSettlement(parsedData, holds = {}, now = Date.now()) {
+  const hold = holds[parsedData.holdId];
+  if (!hold) {
+    return {
+      valid: false,
+      code: STATUS_CODES.HOLD_NOT_FOUND,
+      message: `${PaymentMessages.HOLD_NOT_FOUND}: ${parsedData.holdId}`,
+    };
+  }
+
+  if (hold.status !== 'active') {
+    return {
+      valid: false,
+      code: STATUS_CODES.HOLD_CLOSED,
+      message: `${PaymentMessages.HOLD_CLOSED}: ${hold.hold_id} is ${hold.status}`,
+    };
+  }
+
+  if (hold.expires_at <= now) {
+    return {
+      valid: false,
+      code: STATUS_CODES.HOLD_EXPIRED,
+      message: `${PaymentMessages.HOLD_EXPIRED}: ${hold.hold_id} expired at ${new Date(hold.expires_at).toISOString()}`,
+    };
+  }
+
+  if (parsedData.amount === undefined) {
+    return { valid: true, hold, amount: hold.amount };
+  }
+
+  if (parsedData.currency !== hold.currency) {
+    return {
+      valid: false,
+      code: STATUS_CODES.CURRENCY_MISMATCH,
+      message: `${PaymentMessages.CURRENCY_MISMATCH}: Capture currency ${parsedData.currency} does not match hold currency ${hold.currency}`,
+    };
+  }
+
+  if (toMinorUnits(parsedData.amount, hold.currency) > toMinorUnits(hold.amount, hold.currency)) {
+    return {
+      valid: false,
+      code: STATUS_CODES.CAPTURE_EXCEEDS_HOLD,
+      message: `${PaymentMessages.CAPTURE_EXCEEDS_HOLD}: at most ${hold.amount} ${hold.currency} can be captured`,
+    };
+  }
+
+  return { valid: true, hold, amount: parsedData.amount };
+}
+
+function processHoldRules(parsedData, allAccounts, context = {}) {
+  const accountSource = validateHoldAccountSource(context);
+  if (!accountSource.valid) {
+    return buildErrorResponse(parsedData, accountSource);
+  }
+
+  const settlement = resolveHoldSettlement(parsedData, context.holds);
+  if (!settlement.valid) {
+    return buildErrorResponse(parsedData, { code: settlement.code, message: settlement.message });
+  }
+
+  const { hold } = settlement;
+  const holdData = {
+    ...parsedData,
+    amount: settlement.amount,
+    currency: hold.currency,
+    debitAccount: hold.debit_account,
+    creditAccount: hold.credit_account,
+    releasedAmount: hold.amount,
+  };
+
+  const { accounts, debitAccount, creditAccounts } = getRelevantAccounts(
+    allAccounts,
+    holdData.debitAccount,
+    [holdData.creditAccount]
+  );
+
+  const accountsValidation = validateAccountsExist(
+    debitAccount,
+    creditAccounts,
+    holdData,
+    accounts
+  );
+  if (!accountsValidation.valid) {
+    return buildErrorResponse(
+      holdData,
+      { code: accountsValidation.status_code, message: accountsValidation.status_reason },
+      accountsValidation.accounts
+    );
+  }
+
+  const isCapture = parsedData.type === TRANSACTION_TYPES.CAPTURE;
+  const leg = isCapture
+    ? resolveCreditLeg(
+        debitAccount,
+        creditAccounts[0],
+        { accountId: holdData.creditAccount, amount: holdData.amount },
+        holdData.currency
+      )
+    : { valid: true, accountId: holdData.creditAccount, amount: holdData.amount, fx: null };
+  const fee = isCapture
+    ? calculateFee({ type: parsedData.type, amount: holdData.amount, currency: holdData.currency })
+    : { total: 0 };
+
+  const fundsValidation = isCapture
+    ? validateSufficientFunds(debitAccount, holdData.amount, {
+        feeAmount: fee.total,
+        releasedAmount: hold.amount,
+        type: parsedData.type,
+      })
+    : { valid: true };
+  const totalFee = isCapture ? addOverdraftCharge(fee, fundsValidation) : fee;
+
+  // releasing a hold moves no money, whatever the accounts' status
+  const failures = [
+    ...(isCapture ? validateAccountStatuses(debitAccount, creditAccounts) : []),
+    leg,
+    fundsValidation,
+  ].filter((validation) => !validation.valid);
+  if (failures.length > 0) {
+    return buildErrorResponse(
+      holdData,
+      { ...failures[0], failures: context.dryRun ? failures : undefined },
+      accounts
+    );
+  }
+
+  return buildSuccessResponse(
+    {
+      ...holdData,
+      legs: [leg],
+      fee: totalFee.total > 0 ? totalFee : null,
+      overdraft: fundsValidation.overdraft,
+    },
+    {
+      status: 'successful',
+      status_code: STATUS_CODES.SUCCESS,
+      status_reason: isCapture ? PaymentMessages.HOLD_CAPTURED : PaymentMessages.HOLD_VOIDED,
+    },
+    accounts
+  );
+}
+
+/**
+ * Runs the risk scorer over a transfer whose accounts are all known, ahead of its business
+ * rules, standing orders included. A blocked transfer fails and one held for review is stored
+ * as `pending_review` until it is approved or rejected. Pending instructions run on their date
+ * were assessed when they were accepted and are not assessed again; each standing order run
+ * is, as a transfer of its own.
+ * @returns {import('./risk-engine').RiskAssessment|null}
+ */
+function assessInstructionRisk(parsedData, allAccounts, context = {}) {
+  if (context.isScheduledRun) {
+    return null;
+  }
+
+  const creditAccountIds = getCreditLegs(parsedData).map((leg) => leg.accountId);
+  const { debitAccount, creditAccounts } = getRelevantAccounts(
+    allAccounts,
+    parsedData.debitAccount,
+    creditAccountIds
+  );
+
+  // missing accounts are for the business rules to report
+  if (!debitAccount || creditAccounts.some((account) => !account)) {
+    return null;
+  }
+
+  return evaluateRisk({
+    instruction: {
+      type: parsedData.type,
+      amount: parsedData.amount,
+      currency: parsedData.currency,
+      debit_account: parsedData.debitAccount,
+      credit_accounts: creditAccountIds,
+      execute_by: parsedData.executeBy || null,
+    },
+    debit_account: debitAccount,
+    credit_accounts: creditAccounts,
+    history: context.riskHistory || { recent: [], counterparties: {} },
+    request: context.request || { ip: null, user_agent: null },
+  });
+}
+
+function buildRiskBlockedResponse(parsedData, risk, allAccounts) {
+  const { accounts } = getRelevantAccounts(
+    allAccounts,
+    parsedData.debitAccount,
+    getCreditLegs(parsedData).map((leg) => leg.accountId)
+  );
+
+  return {
+    ...buildErrorResponse(
+      parsedData,
+      {
+        code: STATUS_CODES.RISK_BLOCKED,
+        message: `${PaymentMessages.RISK_BLOCKED}: ${describeRiskReasons(risk)}`,
+      },
+      accounts
+    ),
+    risk,
+  };
+}
+
+/**
+ * The account ids and beneficiary name an instruction moves money between. Reversals are
+ * screened with the accounts of the transaction they give back and captures with those of
+ * their hold; a VOID moves nothing and is not screened.
+ * @returns {import('./sanctions-screening').ScreeningSubject[]}
+ */
+function getScreeningSubjects(parsedData, context = {}) {
+  let debitAccountId = parsedData.debitAccount;
+  let creditAccountIds = getCreditLegs(parsedData).map((leg) => leg.accountId);
+  let { beneficiary } = parsedData;
+
+  if (REVERSAL_TYPES.includes(parsedData.type)) {
+    const original = (context.transactions || {})[parsedData.originalTransactionId];
+    debitAccountId = original && original.credit_account;
+    creditAccountIds = original ? [original.debit_account] : [];
+  } else if (HOLD_SETTLEMENT_TYPES.includes(parsedData.type)) {
+    const hold =
+      parsedData.type === TRANSACTION_TYPES.CAPTURE && (context.holds || {})[parsedData.holdId];
+    debitAccountId = hold && hold.debit_account;
+    creditAccountIds = hold ? [hold.credit_account] : [];
+    beneficiary = hold && hold.beneficiary;
+  }
+
+  return [
+    { field: 'debit_account', value: debitAccountId },
+    ...creditAccountIds.map((accountId) => ({ field: 'credit_account', value: accountId })),
+    { field: 'beneficiary', value: beneficiary },
+  ].filter((subject) => subject.value);
+}
+
+/**
+ * Screens an instruction against the sanctions and blocklists. Unlike the risk checks,
+ * scheduled runs are screened again, against the lists as they are when the money moves.
+ * With no lists loaded there is nothing to screen against, and no decision to record.
+ * @returns {import('./sanctions-screening').ScreeningDecision|null}
+ */
+function screenInstruction(parsedData, context = {}) {
+  if (!hasScreeningLists()) return null;
+
+  const subjects = getScreeningSubjects(parsedData, context);
+  return subjects.length > 0 ? screenSubjects(subjects) : null;
+}
+
+function buildScreeningHitResponse(parsedData, screening, allAccounts) {
+  const { accounts } = getRelevantAccounts(
+    allAccounts,
+    parsedData.debitAccount,
+    getCreditLegs(parsedData).map((leg) => leg.accountId)
+  );
+  const hits = [
+    ...new Set(screening.matches.map((match) => `${match.field} ${match.value} (${match.list})`)),
+  ];
+
+  return buildErrorResponse(
+    parsedData,
+    {
+      code: STATUS_CODES.SANCTIONS_HIT,
+      message: `${PaymentMessages.SANCTIONS_HIT}: ${hits.join(', ')}`,
+    },
+    accounts
+  );
+}
+
+/**
+ * Runs one instruction through parsing and the business rules. Instructions written in a
+ * configured phrasing are parsed in their canonical form, which is echoed back as
+ * `canonical_instruction`; error locations then point into that form.
+ */
+function processInstruction(instructionText, accounts, context = {}) {
+  let response;
+  const normalised = normaliseInstruction(instructionText || '');
+  const { instruction } = normalised;
+  const { diagnostics, ...parseResult } = parseInstructionText(instruction, {
+    diagnostics: context.diagnostics,
+  });
+  const screening = parseResult.valid ? screenInstruction(parseResult, context) : null;
+
+  if (!instruction.trim()) {
+    response = buildUnparseableResponse();
+  } else if (!parseResult.valid && !parseResult.type) {
+    response = buildUnparseableResponse(parseResult.error.location);
+  } else if (!parseResult.valid) {
+    // For parse errors, include relevant accounts if we can identify them
+    const candidateAccounts = accounts
+      .filter((account) => account && parseResult.accountIds.includes(account.id))
+      .map(createAccountSnapshot);
+
+    response = buildErrorResponse(parseResult, parseResult.error, candidateAccounts);
+  } else if (screening && screening.outcome === 'hit') {
+    response = buildScreeningHitResponse(parseResult, screening, accounts);
+  } else if (REVERSAL_TYPES.includes(parseResult.type)) {
+    response = processReversalRules(parseResult, accounts, context);
+  } else if (parseResult.type === TRANSACTION_TYPES.AUTHORIZE) {
+    response = processAuthorizationRules(parseResult, accounts, context);
+  } else if (HOLD_SETTLEMENT_TYPES.includes(parseResult.type)) {
+    response = processHoldRules(parseResult, accounts, context);
+  } else {
+    const risk = assessInstructionRisk(parseResult, accounts, context);
+    const processRules = parseResult.frequency ? processStandingOrderRules : processBusinessRules;
+    response =
+      risk && risk.outcome === 'block'
+        ? buildRiskBlockedResponse(parseResult, risk, accounts)
+        : processRules(parseResult, accounts, { ...context, risk });
+  }
+
+  if (normalised.normalised) {
+    response.canonical_instruction = instruction;
+  }
+
+  if (diagnostics) {
+    response.diagnostics = diagnostics;
+  }
+
+  if (screening) {
+    response.screening = screening;
+  }
+
+  // failures found before the rules run (parsing, missing accounts) are the only failing rule
+  if (context.dryRun && response.status === 'failed' && !response.failed_rules) {
+    response.failed_rules = [
+      { status_code: response.status_code, status_reason: response.status_reason },
+    ];
+  }
+
+  return response;
+}
+
+// BATCH PROCESSING
+
+function applyResultBalances(workingAccounts, result) {
+  if (result.status !== 'successful') {
+    return workingAccounts;
+  }
+
+  return workingAccounts.map((account) => {
+    const updated = account && findAccountById(result.accounts, account.id);
+    if (!updated) return account;
+
+    const { currency } = updated;
+    return {
+      ...account,
+      balance: updated.balance,
+      held_amount: fromMinorUnits(
+        toMinorUnits(updated.balance, currency) - toMinorUnits(updated.available_balance, currency),
+        currency
+      ),
+    };
+  });
+}
+
+function buildBatchSummary(results) {
+  return results.reduce(
+    (summary, result) => {
+      const next = { ...summary };
+      if (result.status === 'successful') next.successful += 1;
+      else if (result.status === 'pending') next.pending += 1;
+      else if (result.status === 'pending_review') next.pending_review += 1;
+      else if (result.status === 'scheduled') next.scheduled += 1;
+      else if (result.status === 'rolled_back') next.rolled_back += 1;
+      else next.failed += 1;
+      return next;
+    },
+    {
+      total: results.length,
+      successful: 0,
+      pending: 0,
+      pending_review: 0,
+      scheduled: 0,
+      failed: 0,
+      rolled_back: 0,
+    }
+  );
+}
+
+function buildBatchAccounts(originalAccounts, workingAccounts) {
+  return originalAccounts
+    .filter((account) => account)
+    .map((account) => {
+      const working = findAccountById(workingAccounts, account.id);
+      return {
+        ...createAccountSnapshot(account),
+        balance: working.balance,
+        available_balance: getAvailableBalance(working),
+      };
+    });
+}
+
+function rollBackResult(result, failedIndexes) {
+  if (result.status === 'failed') {
+    return { ...result, rolled_back: false };
+  }
+
+  return {
+    ...result,
+    status: 'rolled_back',
+    status_code: STATUS_CODES.ROLLED_BACK,
+    status_reason: `${PaymentMessages.TRANSACTION_ROLLED_BACK}: instruction(s) ${failedIndexes.join(', ')} failed`,
+    rolled_back: true,
+    overdraft: undefined,
+    accounts: result.accounts.map((account) => {
+      const { currency } = account;
+      const heldMinor = getHoldChanges(result)
+        .filter((change) => change.accountId === account.id)
+        .reduce((total, change) => total + toMinorUnits(change.amount, currency), 0);
+
+      return {
+        ...account,
+        balance: account.balance_before,
+        available_balance: fromMinorUnits(
+          toMinorUnits(account.available_balance, currency) -
+            toMinorUnits(account.balance, currency) +
+            toMinorUnits(account.balance_before, currency) +
+            heldMinor,
+          currency
+        ),
+      };
+    }),
+  };
+}
+
+function applyResultUsage(context, result) {
+  // reversals give money back and do not count towards the account's limits, and captures
+  // and voids were counted when their hold was authorized
+  if (
+    result.status !== 'successful' ||
+    result.original_transaction_id ||
+    HOLD_SETTLEMENT_TYPES.includes(result.type)
+  ) {
+    return context;
+  }
+
+  return {
+    ...context,
+    usage: addAccountUsage(context.usage || {}, {
+      accountId: result.debit_account,
+      amount: result.amount,
+      currency: result.currency,
+    }),
+  };
+}
+
+function applyResultRefund(context, result) {
+  if (result.status !== 'successful' || !result.original_transaction_id) {
+    return context;
+  }
+
+  const original = context.transactions[result.original_transaction_id];
+  const returned = result.fx ? result.fx.converted_amount : result.amount;
+
+  return {
+    ...context,
+    transactions: {
+      ...context.transactions,
+      [original.transaction_id]: {
+        ...original,
+        refunded_amount: fromMinorUnits(
+          toMinorUnits(original.refunded_amount, original.currency) +
+            toMinorUnits(returned, original.currency),
+          original.currency
+        ),
+      },
+    },
+  };
+}
+
+function applyResultHold(context, result) {
+  if (result.status !== 'successful' || !HOLD_SETTLEMENT_TYPES.includes(result.type)) {
+    return context;
+  }
+
+  // a hold settles once, later instructions in the batch see it closed
+  return {
+    ...context,
+    holds: {
+      ...context.holds,
+      [result.hold_id]: {
+        ...context.holds[result.hold_id],
+        status: result.type === TRANSACTION_TYPES.CAPTURE ? 'captured' : 'voided',
+      },
+    },
+  };
+}
+
+function applyResultRiskHistory(context, result) {
+  const isAccepted = ['successful', 'pending', 'pending_review'].includes(result.status);
+  if (!isAccepted || !context.riskHistory || result.original_transaction_id) {
+    return context;
+  }
+
+  // later instructions in the batch are assessed as if this transfer had already been made
+  const creditAccountIds = result.credit_legs
+    ? result.credit_legs.map((leg) => leg.account_id)
+    : [result.credit_account];
+  const { recent, counterparties } = context.riskHistory;
+  const known = counterparties[result.debit_account] || [];
+
+  return {
+    ...context,
+    riskHistory: {
+      recent: [
+        ...recent,
+        ...creditAccountIds.map((accountId) => ({
+          debit_account: result.debit_account,
+          credit_account: accountId,
+          amount: result.amount,
+          currency: result.currency,
+          created: Date.now(),
+        })),
+      ],
+      counterparties: {
+        ...counterparties,
+        [result.debit_account]: [
+          ...known,
+          ...creditAccountIds.filter((accountId) => !known.includes(accountId)),
+        ],
+      },
+    },
+  };
+}
+
+function processInstructionBatch(instructions, accounts, atomic = false, context = {}) {
+  let workingAccounts = accounts.map((account) => account && { ...account });
+  let workingContext = context;
+  let results = instructions.map((instruction, index) => {
+    const result = processInstruction(instruction, workingAccounts, workingContext);
+    workingAccounts = applyResultBalances(workingAccounts, result);
+    workingContext = applyResultRiskHistory(
+      applyResultHold(applyResultRefund(applyResultUsage(workingContext, result), result), result),
+      result
+    );
+
+    return { index, instruction, ...result };
+  });
+
+  const failedIndexes = results
+    .filter((result) => result.status === 'failed')
+    .map((result) => result.index);
+  const shouldRollBack = atomic && failedIndexes.length > 0;
+
+  if (shouldRollBack) {
+    // All-or-nothing: discard every balance change made by the batch
+    results = results.map((result) => rollBackResult(result, failedIndexes));
+    workingAccounts = accounts;
+  }
+
+  return {
+    atomic,
+    rolled_back: shouldRollBack,
+    accounts: buildBatchAccounts(accounts, workingAccounts),
+    instructions: results,
+    summary: buildBatchSummary(results),
+  };
+}
+
+// PERSISTENCE
+
+function listInstructionResults(response, instruction) {
+  return response.instructions || [{ ...response, instruction }];
+}
+
+function attachTransactionIds(response) {
+  const withId = (result) => {
+    if (result.status !== 'successful' || result.type === TRANSACTION_TYPES.VOID) return result;
+
+    // an authorization places a hold, the transaction comes with its capture
+    if (result.type === TRANSACTION_TYPES.AUTHORIZE) {
+      return { ...result, hold_id: ulid() };
+    }
+
+    // every leg of a split payment is its own transaction
+    return result.credit_legs
+      ? {
+          ...result,
+          credit_legs: result.credit_legs.map((leg) => ({ ...leg, transaction_id: ulid() })),
+        }
+      : { ...result, transaction_id: ulid() };
+  };
+
+  return response.instructions
+    ? { ...response, instructions: response.instructions.map(withId) }
+    : withId(response);
+}
+
+function createExecutedTransaction(result) {
+  return {
+    transaction_id: result.transaction_id,
+    type: result.type,
+    instruction: result.instruction,
+    amount: result.amount,
+    credit_amount: result.fx ? result.fx.converted_amount : result.amount,
+    fee_amount: result.fee ? result.fee.total : 0,
+    currency: result.currency,
+    credit_currency: result.fx ? result.fx.target_currency : result.currency,
+    debit_account: result.debit_account,
+    credit_account: result.credit_account,
+    original_transaction_id: result.original_transaction_id,
+    standing_order_id: result.standing_order_id,
+    hold_id: result.hold_id,
+    reference: result.reference,
+    narration: result.narration,
+    beneficiary: result.beneficiary,
+    accounts: result.accounts,
+  };
+}
+
+/**
+ * Splits a multi-leg result into one transaction per leg. The debit account balance
+ * steps down leg by leg and the fee is charged with the first leg.
+ */
+function createLegTransactions(result) {
+  const debitSnapshot = findAccountById(result.accounts, result.debit_account);
+  const { currency } = debitSnapshot;
+  const feeAmount = result.fee ? result.fee.total : 0;
+  let debitBalanceMinor = toMinorUnits(debitSnapshot.balance_before, currency);
+
+  return result.credit_legs.map((leg, index) => {
+    const legFee = index === 0 ? feeAmount : 0;
+    const balanceBefore = fromMinorUnits(debitBalanceMinor, currency);
+    debitBalanceMinor -= toMinorUnits(leg.amount, currency) + toMinorUnits(legFee, currency);
+
+    return {
+      ...createExecutedTransaction({ ...result, fx: leg.fx, fee: null }),
+      transaction_id: leg.transaction_id,
+      amount: leg.amount,
+      credit_amount: leg.fx ? leg.credit_amount : leg.amount,
+      fee_amount: legFee,
+      credit_account: leg.account_id,
+      accounts: [
+        {
+          ...debitSnapshot,
+          balance_before: balanceBefore,
+          balance: fromMinorUnits(debitBalanceMinor, currency),
+        },
+        findAccountById(result.accounts, leg.account_id),
+      ],
+    };
+  });
+}
+
+function collectExecutedTransactions(response, instruction) {
+  return listInstructionResults(response, instruction)
+    .filter((result) => result.status === 'successful' && !HOLD_ONLY_TYPES.includes(result.type))
+    .flatMap((result) =>
+      result.credit_legs ? createLegTransactions(result) : [createExecutedTransaction(result)]
+    );
+}
+
+function collectHoldChanges(response, instruction) {
+  const results = listInstructionResults(response, instruction).filter(
+    (result) => result.status === 'successful'
+  );
+
+  return {
+    created: results
+      .filter((result) => result.type === TRANSACTION_TYPES.AUTHORIZE)
+      .map((result) => ({
+        hold_id: result.hold_id,
+        instruction: result.instruction,
+        amount: result.amount,
+        currency: result.currency,
+        debit_account: result.debit_account,
+        credit_account: result.credit_account,
+        reference: result.reference,
+        narration: result.narration,
+        beneficiary: result.beneficiary,
+      })),
+    settled: results
+      .filter((result) => HOLD_SETTLEMENT_TYPES.includes(result.type))
+      .map((result) => {
+        const isCapture = result.type === TRANSACTION_TYPES.CAPTURE;
+        return {
+          hold_id: result.hold_id,
+          status: isCapture ? 'captured' : 'voided',
+          captured_amount: isCapture ? result.amount : 0,
+          capture_transaction_id: result.transaction_id,
+        };
+      }),
+  };
+}
+
+function attachHoldExpiry(response, records) {
+  const expiryById = Object.fromEntries(
+    records.map((record) => [record.hold_id, record.expires_at])
+  );
+  const withExpiry = (result) =>
+    result.status === 'successful' && result.type === TRANSACTION_TYPES.AUTHORIZE
+      ? { ...result, expires_at: expiryById[result.hold_id] }
+      : result;
+
+  return response.instructions
+    ? { ...response, instructions: response.instructions.map(withExpiry) }
+    : withExpiry(response);
+}
+
+function getReferencedId(instructionText, field) {
+  const { ast } = parseInstructionSyntax(normaliseInstruction(instructionText || '').instruction);
+  const node = ast && ast.fields[field];
+  const validation = node ? validateTransactionId(node.value) : null;
+
+  return validation && validation.valid ? validation.value : null;
+}
+
+function collectReferencedIds(instructions, field) {
+  return [
+    ...new Set(
+      instructions.map((instruction) => getReferencedId(instruction, field)).filter(Boolean)
+    ),
+  ];
+}
+
+async function loadReferencedTransactions(instructions, options = {}) {
+  const transactionIds = collectReferencedIds(instructions, 'transaction_id');
+
+  if (transactionIds.length === 0) {
+    return {};
+  }
+
+  return getStoredTransactions({ transaction_ids: transactionIds }, options);
+}
+
+async function loadReferencedHolds(instructions, options = {}) {
+  const holdIds = collectReferencedIds(instructions, 'hold_id');
+
+  if (holdIds.length === 0) {
+    return {};
+  }
+
+  return getStoredHolds({ hold_ids: holdIds }, options);
+}
+
+async function loadRiskHistory(accounts, options = {}) {
+  const accountIds = accounts.filter(Boolean).map((account) => account.id);
+
+  if (options.isScheduledRun || accountIds.length === 0) {
+    return { recent: [], counterparties: {} };
+  }
+
+  const now = Date.now();
+  return getRiskHistory(
+    {
+      account_ids: accountIds,
+      since: now - getRiskHistoryWindowSecs() * 1000,
+      counterparties_since: now - getCounterpartyWindowSecs() * 1000,
+    },
+    options
+  );
+}
+
+/**
+ * Sets the amount held by active holds on each account, which the available balance
+ * leaves out.
+ */
+async function attachHeldAmounts(accounts, options = {}) {
+  const accountIds = accounts.filter(Boolean).map((account) => account.id);
+
+  if (accountIds.length === 0) {
+    return accounts;
+  }
+
+  const heldAmounts = await getHeldAmounts({ account_ids: accountIds }, options);
+  return accounts.map((account) =>
+    account ? { ...account, held_amount: heldAmounts[account.id] || 0 } : account
+  );
+}
+
+/**
+ * Runs `work` with a session inside a transaction, which commits when it resolves and is
+ * aborted when it throws. With `options.session` the work joins the caller's transaction.
+ * @param {function(Object): Promise<*>} work
+ * @param {Object} [options]
+ */
+async function runInTransaction(work, options = {}) {
+  if (options.session) {
+    return work(options.session);
+  }
+
+  const session = await createSession();
+  let result;
+
+  try {
+    session.startTransaction();
+    result = await work(session);
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  return result;
+}
+
+/**
+ * Stores every executed transaction under its transaction id, so it can later be reversed or
+ * refunded. Stored accounts also have their balances moved and a ledger entry written each.
+ * @param {{transactions: Object[], originals: Object[], recordLedger: boolean, holds: {created: Object[], settled: Object[]}}} persistData
+ * @param {Object} session
+ * @returns {Promise<Object[]>} The holds created
+ */
+async function persistExecutedTransactions(persistData, session) {
+  const { transactions, originals, recordLedger, holds } = persistData;
+  let createdHolds = [];
+
+  if (transactions.length > 0) {
+    await recordTransactions({ transactions, originals }, { session });
+
+    if (recordLedger) {
+      await recordLedgerEntries({ transactions }, { session });
+    }
+  }
+
+  if (holds.created.length > 0 || holds.settled.length > 0) {
+    createdHolds = await recordHolds(holds, { session });
+  }
+
+  return createdHolds;
+}
+
+function getResultTransactionIds(result) {
+  if (result.credit_legs) {
+    return result.credit_legs.map((leg) => leg.transaction_id).filter(Boolean);
+  }
+  return result.transaction_id ? [result.transaction_id] : [];
+}
+
+/**
+ * Every screening decision of a run, clear ones included, to be put on record.
+ */
+function collectScreeningDecisions(response, instruction, context) {
+  return listInstructionResults(response, instruction)
+    .filter((result) => result.screening)
+    .map((result) => ({
+      instruction: result.instruction,
+      type: result.type,
+      amount: result.amount || undefined,
+      currency: result.currency || undefined,
+      outcome: result.screening.outcome,
+      subjects: result.screening.subjects,
+      matches: result.screening.matches.map((match) => ({
+        ...match,
+        reference: match.reference || undefined,
+      })),
+      lists: result.screening.lists,
+      status: result.status,
+      status_code: result.status_code,
+      transaction_ids: getResultTransactionIds(result),
+      hold_id: result.hold_id,
+      standing_order_id: result.standing_order_id || response.standing_order_id,
+      is_scheduled_run: context.isScheduledRun,
+      request_ip: context.request.ip || undefined,
+    }));
+}
+
+const STORED_PENDING_STATUSES = ['pending', 'pending_review'];
+
+/**
+ * The pending instructions of a run to store. With inline accounts, the accounts as they
+ * were sent are kept for the run to replay, as the snapshot in the response leaves out
+ * their status and overdraft facility.
+ */
+function collectPendingInstructions(response, instruction, accountInputs) {
+  return listInstructionResults(response, instruction)
+    .filter((result) => STORED_PENDING_STATUSES.includes(result.status))
+    .map((result) => ({
+      instruction: result.instruction,
+      type: result.type,
+      amount: result.amount,
+      currency: result.currency,
+      debit_account: result.debit_account,
+      credit_account: result.credit_account || undefined,
+      credit_legs: result.credit_legs,
+      // an instruction held for review without a date runs once it is approved
+      execute_by: result.execute_by || new Date().toISOString(),
+      timezone: result.timezone,
+      standing_order_id: result.standing_order_id,
+      status: result.status,
+      status_code: result.status_code,
+      status_reason: result.status_reason,
+      risk: result.risk,
+      accounts: result.accounts,
+      account_inputs: accountInputs
+        ? accountInputs.filter((input) =>
+            result.accounts.some((account) => account.id === input.id)
+          )
+        : undefined,
+    }));
+}
+
+/**
+ * The recurring (EVERY) instructions of a run accepted as standing orders, stored with the
+ * schedule their runs are queued on.
+ */
+function collectStandingOrders(response, instruction) {
+  return listInstructionResults(response, instruction)
+    .filter((result) => result.status === 'scheduled')
+    .map((result) => ({
+      instruction: result.instruction,
+      type: result.type,
+      amount: result.amount,
+      currency: result.currency,
+      debit_account: result.debit_account,
+      credit_account: result.credit_account || undefined,
+      credit_legs: result.credit_legs,
+      ...result.standing_order,
+      end_date: result.standing_order.end_date || undefined,
+    }));
+}
+
+function attachStandingOrderIds(response, records) {
+  let position = 0;
+  const withId = (result) => {
+    if (result.status !== 'scheduled') return result;
+
+    const record = records[position];
+    position += 1;
+    return { ...result, standing_order_id: `${record._id}` };
+  };
+
+  return response.instructions
+    ? { ...response, instructions: response.instructions.map(withId) }
+    : withId(response);
+}
+
+function attachPendingInstructionIds(response, records) {
+  let position = 0;
+  const withId = (result) => {
+    if (!STORED_PENDING_STATUSES.includes(result.status)) return result;
+
+    const record = records[position];
+    position += 1;
+    return { ...result, pending_instruction_id: `${record._id}` };
+  };
+
+  return response.instructions
+    ? { ...response, instructions: response.instructions.map(withId) }
+    : withId(response);
+}
+
+/**
+ * Everything a run has to store: its screening decisions, transactions, holds, the debits
+ * added to the limit counters, pending instructions and standing orders.
+ */
+function collectRunWrites(response, instruction, context) {
+  const transactions = collectExecutedTransactions(response, instruction);
+
+  return {
+    screeningDecisions: collectScreeningDecisions(response, instruction, context),
+    transactions,
+    // the originals as loaded, before this run gave anything back
+    originals: transactions
+      .filter((transaction) => transaction.original_transaction_id)
+      .map((transaction) => context.transactions[transaction.original_transaction_id]),
+    recordLedger: context.useStoredAccounts,
+    holds: collectHoldChanges(response, instruction),
+    debits: listInstructionResults(response, instruction)
+      // a hold counts towards the limits once, when it is placed
+      .filter(
+        (result) =>
+          result.status === 'successful' &&
+          !result.original_transaction_id &&
+          !HOLD_SETTLEMENT_TYPES.includes(result.type)
+      )
+      .map((result) => ({ accountId: result.debit_account, amount: result.amount })),
+    accountSource: context.useStoredAccounts ? 'stored' : 'inline',
+    // a scheduled run replays a stored pending instruction and is not stored again
+    pendingInstructions: context.isScheduledRun
+      ? []
+      : collectPendingInstructions(response, instruction, context.accountInputs),
+    standingOrders: collectStandingOrders(response, instruction),
+  };
+}
+
+function hasRunWrites(writes) {
+  return (
+    writes.screeningDecisions.length > 0 ||
+    writes.transactions.length > 0 ||
+    writes.holds.created.length > 0 ||
+    writes.holds.settled.length > 0 ||
+    (writes.debits.length > 0 && hasConfiguredLimits()) ||
+    writes.pendingInstructions.length > 0 ||
+    writes.standingOrders.length > 0
+  );
+}
+
+/**
+ * Stores the writes of a run in the given session, so none of them is kept unless all of
+ * them are.
+ * @returns {Promise<Object>} The response with the expiry of the holds created and the ids of
+ * the pending instructions and standing orders stored
+ */
+async function persistRun(response, writes, session) {
+  const { screeningDecisions, transactions, holds, pendingInstructions, standingOrders } = writes;
+  let persisted = response;
+
+  if (screeningDecisions.length > 0) {
+    await recordScreeningDecisions({ decisions: screeningDecisions }, { session });
+  }
+
+  if (transactions.length > 0 || holds.created.length > 0 || holds.settled.length > 0) {
+    const createdHolds = await persistExecutedTransactions(
+      { transactions, originals: writes.originals, recordLedger: writes.recordLedger, holds },
+      session
+    );
+    persisted = attachHoldExpiry(persisted, createdHolds);
+  }
+
+  await recordAccountUsage(writes.debits, Date.now(), { session });
+
+  if (pendingInstructions.length > 0) {
+    // a job that fires before the transaction commits finds no record and is retried
+    const records = await schedulePendingInstructions(
+      { account_source: writes.accountSource, instructions: pendingInstructions },
+      { session }
+    );
+    persisted = attachPendingInstructionIds(persisted, records);
+  }
+
+  if (standingOrders.length > 0) {
+    const records = await createStandingOrders({ standing_orders: standingOrders }, { session });
+    persisted = attachStandingOrderIds(persisted, records);
+  }
+
+  return persisted;
+}
+
+/**
+ * Processes a single `instruction` or a batch of `instructions` against accounts sent inline
+ * (`accounts`) or stored ones referenced by id (`account_ids`). Everything a run stores is
+ * written in one transaction, `options.session` when given.
+ * @param {{session?: Object, isScheduledRun?: boolean, standingOrderId?: string, requestProperties?: Object}} [options]
+ */
+async function parseInstruction(serviceData, options = {}) {
+  let response;
+  try {
+    const data = validator.validate(serviceData, parsedSpec);
+    await refreshCurrencyRegistry();
+    await refreshScreeningLists();
+
+    const hasSingle = typeof data.instruction === 'string';
+    const hasBatch = Array.isArray(data.instructions);
+    const useStoredAccounts = Array.isArray(data.account_ids);
+
+    if (hasSingle === hasBatch) {
+      throwAppError(PaymentMessages.INSTRUCTION_INPUT_REQUIRED, ERROR_CODE.VALIDATIONERR);
+    }
+
+    if (useStoredAccounts === Array.isArray(data.accounts)) {
+      throwAppError(PaymentMessages.ACCOUNT_SOURCE_REQUIRED, ERROR_CODE.VALIDATIONERR);
+    }
+
+    const invalidTimeZone = [
+      data.timezone,
+      ...(data.accounts || []).map((account) => account.timezone),
+    ]
+      .filter((timeZone) => timeZone !== undefined)
+      .find((timeZone) => !isValidTimeZone(timeZone));
+    if (invalidTimeZone !== undefined) {
+      throwAppError(
+        `${PaymentMessages.INVALID_TIMEZONE}: '${invalidTimeZone}'`,
+        ERROR_CODE.VALIDATIONERR
+      );
+    }
+
+    // holds belong to stored accounts, inline ones are taken as sent
+    const accounts = useStoredAccounts
+      ? await attachHeldAmounts(
+          await getStoredAccounts({ account_ids: data.account_ids }, options),
+          options
+        )
+      : data.accounts;
+    const instructionTexts = hasBatch ? data.instructions : [data.instruction];
+
+    const context = {
+      usage: await loadAccountUsage(accounts.filter(Boolean).map((account) => account.id)),
+      transactions: await loadReferencedTransactions(instructionTexts, options),
+      holds: useStoredAccounts ? await loadReferencedHolds(instructionTexts, options) : {},
+      riskHistory: await loadRiskHistory(accounts, options),
+      request: {
+        ip: (options.requestProperties && options.requestProperties.IP) || null,
+        user_agent: (options.requestProperties && options.requestProperties.userAgent) || null,
+      },
+      dryRun: !!data.dry_run,
+      diagnostics: !!data.diagnostics,
+      isScheduledRun: !!options.isScheduledRun,
+      useStoredAccounts,
+      timezone: data.timezone,
+      accountInputs: data.accounts,
+    };
+
+    if (hasBatch) {
+      response = processInstructionBatch(data.instructions, accounts, !!data.atomic, context);
+    } else {
+      response = processInstruction(data.instruction, accounts, context);
+    }
+
+    if (context.dryRun) {
+      return { ...response, dry_run: true };
+    }
+
+    response = attachTransactionIds(response);
+
+    if (options.standingOrderId) {
+      response = { ...response, standing_order_id: options.standingOrderId };
+    }
+
+    // a run with nothing to store, such as one that failed validation, opens no session
+    const writes = collectRunWrites(response, data.instruction, context);
+    if (hasRunWrites(writes)) {
+      response = await runInTransaction(
+        (session) => persistRun(response, writes, session),
+        options
+      );
     }
 
     return response;
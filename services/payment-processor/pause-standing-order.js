@@ -0,0 +1,49 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const StandingOrder = require('@app/repository/standing-order');
+const PaymentMessages = require('@app/messages/payment');
+const formatStandingOrder = require('./format-standing-order');
+const { unscheduleStandingOrder } = require('./standing-order-schedule');
+
+const spec = `root {
+  id string<trim>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Stops an active standing order from running until it is resumed.
+ */
+async function pauseStandingOrder(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const standingOrder = await StandingOrder.findOne({ query: { _id: data.id } });
+
+    if (!standingOrder) {
+      throwAppError(PaymentMessages.STANDING_ORDER_NOT_FOUND, ERROR_CODE.NOTFOUND);
+    }
+
+    const update = await StandingOrder.updateOne({
+      query: { _id: data.id, status: 'active' },
+      updateValues: { status: 'paused' },
+    });
+
+    if (update.modifiedCount === 0) {
+      throwAppError(PaymentMessages.STANDING_ORDER_NOT_ACTIVE, ERROR_CODE.VALIDATIONERR);
+    }
+
+    await unscheduleStandingOrder(standingOrder);
+
+    result = formatStandingOrder({ ...standingOrder, status: 'paused', updated: Date.now() });
+  } catch (error) {
+    appLogger.errorX(error, 'pause-standing-order-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = pauseStandingOrder;
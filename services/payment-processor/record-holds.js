@@ -0,0 +1,86 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const Hold = require('@app/repository/hold');
+const PaymentMessages = require('@app/messages/payment');
+
+const DEFAULT_EXPIRY_SECS = 7 * 24 * 60 * 60;
+
+const spec = `root {
+  created[]? {
+    hold_id string
+    instruction? string
+    amount number
+    currency string
+    debit_account string
+    credit_account string
+    reference? string
+    narration? string
+    beneficiary? string
+  }
+  settled[]? {
+    hold_id string
+    status string(captured|voided)
+    captured_amount number
+    capture_transaction_id? string
+  }
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+function getHoldExpirySecs() {
+  const expiry = parseInt(process.env.HOLD_EXPIRY_SECS, 10);
+  return expiry > 0 ? expiry : DEFAULT_EXPIRY_SECS;
+}
+
+/**
+ * Stores the holds placed by AUTHORIZE instructions, expiring after HOLD_EXPIRY_SECS, and
+ * closes the holds settled by CAPTURE and VOID. Must run inside the caller's transaction
+ * session.
+ * @returns {Promise<Object[]>} The holds created
+ */
+async function recordHolds(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  const { session } = options;
+  let result = [];
+
+  try {
+    // operations within a transaction session must not run concurrently
+    const { created = [], settled = [] } = data;
+    const updates = await settled.reduce(async (previous, settlement) => {
+      const results = await previous;
+      const { hold_id: holdId, ...updateValues } = settlement;
+      const update = await Hold.updateOne({
+        // guard against a concurrent capture or void of the same hold
+        query: { hold_id: holdId, status: 'active', expires_at: { $gt: Date.now() } },
+        updateValues,
+        options: { session },
+      });
+      return [...results, update];
+    }, Promise.resolve([]));
+
+    if (updates.some((update) => !update.modifiedCount)) {
+      throwAppError(PaymentMessages.HOLD_CHANGED, ERROR_CODE.APPERR);
+    }
+
+    if (created.length > 0) {
+      const expiresAt = Date.now() + getHoldExpirySecs() * 1000;
+      result = await Hold.createMany({
+        entries: created.map((hold) => ({
+          ...hold,
+          captured_amount: 0,
+          status: 'active',
+          expires_at: expiresAt,
+        })),
+        options: { session },
+      });
+    }
+  } catch (error) {
+    appLogger.errorX(error, 'record-holds-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = recordHolds;
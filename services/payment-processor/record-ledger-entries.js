@@ -0,0 +1,146 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const Account = require('@app/repository/account');
+const LedgerEntry = require('@app/repository/ledger-entry');
+const PaymentMessages = require('@app/messages/payment');
+const { toMinorUnits, fromMinorUnits } = require('./minor-units');
+
+const spec = `root {
+  transactions[] {
+    transaction_id string
+    instruction? string
+    amount number
+    credit_amount? number
+    fee_amount? number
+    currency string
+    debit_account string
+    credit_account string
+    accounts[] {
+      id string
+      balance number
+      balance_before number
+      currency string
+    }
+  }
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+function findSnapshot(accounts, accountId) {
+  return accounts.find((account) => account.id === accountId);
+}
+
+function createEntry(transaction, snapshot, entry) {
+  return {
+    transaction_id: transaction.transaction_id,
+    account_id: snapshot.id,
+    currency: snapshot.currency,
+    instruction: transaction.instruction,
+    ...entry,
+  };
+}
+
+/**
+ * Builds the debit and credit rows of a transaction, plus a separate fee row on the
+ * debit account when a fee was charged.
+ */
+function createTransactionEntries(transaction) {
+  const debitSnapshot = findSnapshot(transaction.accounts, transaction.debit_account);
+  const creditSnapshot = findSnapshot(transaction.accounts, transaction.credit_account);
+  const feeAmount = transaction.fee_amount || 0;
+  const { currency } = debitSnapshot;
+  const balanceBeforeFee = fromMinorUnits(
+    toMinorUnits(debitSnapshot.balance, currency) + toMinorUnits(feeAmount, currency),
+    currency
+  );
+
+  const entries = [
+    createEntry(transaction, debitSnapshot, {
+      entry_type: 'debit',
+      amount: transaction.amount,
+      balance_before: debitSnapshot.balance_before,
+      balance_after: balanceBeforeFee,
+    }),
+    createEntry(transaction, creditSnapshot, {
+      entry_type: 'credit',
+      amount:
+        transaction.credit_amount === undefined ? transaction.amount : transaction.credit_amount,
+      balance_before: creditSnapshot.balance_before,
+      balance_after: creditSnapshot.balance,
+    }),
+  ];
+
+  if (feeAmount > 0) {
+    entries.push(
+      createEntry(transaction, debitSnapshot, {
+        entry_type: 'fee',
+        amount: feeAmount,
+        balance_before: balanceBeforeFee,
+        balance_after: debitSnapshot.balance,
+      })
+    );
+  }
+
+  return entries;
+}
+
+/**
+ * Collapses the per-transaction snapshots into one balance move per account so that
+ * an account touched by several transactions in a batch is only written once.
+ */
+function collectBalanceMoves(transactions) {
+  const moves = new Map();
+
+  transactions.forEach((transaction) => {
+    transaction.accounts.forEach((snapshot) => {
+      const existing = moves.get(snapshot.id);
+      moves.set(snapshot.id, {
+        id: snapshot.id,
+        from: existing ? existing.from : snapshot.balance_before,
+        to: snapshot.balance,
+      });
+    });
+  });
+
+  return [...moves.values()];
+}
+
+/**
+ * Writes double-entry ledger rows for executed transactions and moves the stored
+ * account balances. Must run inside the caller's transaction session.
+ */
+async function recordLedgerEntries(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  const { session } = options;
+  let result;
+
+  try {
+    const entries = data.transactions.flatMap(createTransactionEntries);
+
+    // operations within a transaction session must not run concurrently
+    const updates = await collectBalanceMoves(data.transactions).reduce(async (previous, move) => {
+      const results = await previous;
+      const update = await Account.updateOne({
+        // guard against the balance moving underneath us since it was read
+        query: { _id: move.id, balance: move.from },
+        updateValues: { balance: move.to },
+        options: { session },
+      });
+      return [...results, update];
+    }, Promise.resolve([]));
+
+    if (updates.some((update) => !update.modifiedCount)) {
+      throwAppError(PaymentMessages.ACCOUNT_BALANCE_CHANGED, ERROR_CODE.APPERR);
+    }
+
+    result = await LedgerEntry.createMany({ entries, options: { session } });
+  } catch (error) {
+    appLogger.errorX(error, 'record-ledger-entries-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = recordLedgerEntries;
@@ -0,0 +1,65 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const ScreeningDecision = require('@app/repository/screening-decision');
+
+const spec = `root {
+  decisions[] {
+    instruction? string
+    type string
+    amount? number
+    currency? string
+    outcome string(clear|hit)
+    subjects[] {
+      field string
+      value string
+    }
+    matches[]? {
+      field string
+      value string
+      list string
+      entry string
+      reference? string
+      match_type string(exact|normalised|fuzzy)
+      distance number
+    }
+    lists[]? string
+    status string
+    status_code string
+    transaction_ids[]? string
+    hold_id? string
+    standing_order_id? string
+    is_scheduled_run boolean
+    request_ip? string
+  }
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Stores the audit record of every screening decision made in a run, in the run's
+ * transaction session (`options.session`) so they are kept together with what the run moved.
+ * @returns {Promise<Object[]>}
+ */
+async function recordScreeningDecisions(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    result = await ScreeningDecision.createMany({
+      entries: data.decisions.map((decision) => ({
+        matches: [],
+        lists: [],
+        transaction_ids: [],
+        ...decision,
+      })),
+      options: { session: options.session },
+    });
+  } catch (error) {
+    appLogger.errorX(error, 'record-screening-decisions-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = recordScreeningDecisions;
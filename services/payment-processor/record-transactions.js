@@ -0,0 +1,125 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const Transaction = require('@app/repository/transaction');
+const PaymentMessages = require('@app/messages/payment');
+const { toMinorUnits, fromMinorUnits } = require('./minor-units');
+
+const spec = `root {
+  transactions[] {
+    transaction_id string
+    type string
+    instruction? string
+    amount number
+    credit_amount number
+    fee_amount? number
+    currency string
+    credit_currency string
+    debit_account string
+    credit_account string
+    original_transaction_id? string
+    standing_order_id? string
+    hold_id? string
+    reference? string
+    narration? string
+    beneficiary? string
+  }
+  originals[]? {
+    transaction_id string
+    amount number
+    currency string
+    refunded_amount number
+  }
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Sums what each reversal or refund in the run gives back, per original transaction.
+ * Returned amounts are in the original transaction currency, i.e. the credit side.
+ */
+function collectRefunds(transactions, originals) {
+  const refunds = new Map();
+
+  transactions
+    .filter((transaction) => transaction.original_transaction_id)
+    .forEach((transaction) => {
+      const original = originals.find(
+        (item) => item.transaction_id === transaction.original_transaction_id
+      );
+      const { currency } = original;
+      const existing = refunds.get(original.transaction_id);
+      const fromMinor = toMinorUnits(original.refunded_amount, currency);
+      const toMinor =
+        (existing ? existing.toMinor : fromMinor) +
+        toMinorUnits(transaction.credit_amount, currency);
+
+      refunds.set(original.transaction_id, {
+        original,
+        fromMinor,
+        toMinor,
+      });
+    });
+
+  return [...refunds.values()];
+}
+
+function getRefundStatus(original, refundedMinor) {
+  return refundedMinor >= toMinorUnits(original.amount, original.currency)
+    ? 'reversed'
+    : 'partially_reversed';
+}
+
+/**
+ * Stores executed transactions under their stable ids and moves the refunded amount of
+ * any transaction they reverse. Must run inside the caller's transaction session.
+ */
+async function recordTransactions(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  const { session } = options;
+  let result;
+
+  try {
+    const entries = data.transactions.map((transaction) => ({
+      ...transaction,
+      fee_amount: transaction.fee_amount || 0,
+      refunded_amount: 0,
+      status: 'completed',
+    }));
+
+    // operations within a transaction session must not run concurrently
+    const updates = await collectRefunds(data.transactions, data.originals || []).reduce(
+      async (previous, refund) => {
+        const results = await previous;
+        const { original } = refund;
+        const update = await Transaction.updateOne({
+          // guard against a concurrent reversal of the same transaction
+          query: {
+            transaction_id: original.transaction_id,
+            refunded_amount: original.refunded_amount,
+          },
+          updateValues: {
+            refunded_amount: fromMinorUnits(refund.toMinor, original.currency),
+            status: getRefundStatus(original, refund.toMinor),
+          },
+          options: { session },
+        });
+        return [...results, update];
+      },
+      Promise.resolve([])
+    );
+
+    if (updates.some((update) => !update.modifiedCount)) {
+      throwAppError(PaymentMessages.TRANSACTION_CHANGED, ERROR_CODE.DUPLRCRD);
+    }
+
+    result = await Transaction.createMany({ entries, options: { session } });
+  } catch (error) {
+    appLogger.errorX(error, 'record-transactions-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = recordTransactions;
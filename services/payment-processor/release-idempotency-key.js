@@ -0,0 +1,26 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const IdempotencyKey = require('@app/repository/idempotency-key');
+
+const spec = `root {
+  key string<trim|minLength:1|maxLength:255>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Frees a claimed idempotency key when its request errored, so the client can retry it.
+ * @param {{key: string}} serviceData
+ */
+async function releaseIdempotencyKey(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  try {
+    await IdempotencyKey.deleteOne({ query: { key: data.key, status: 'processing' } });
+  } catch (error) {
+    appLogger.errorX(error, 'release-idempotency-key-error');
+    throw error;
+  }
+}
+
+module.exports = releaseIdempotencyKey;
@@ -0,0 +1,67 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const StandingOrder = require('@app/repository/standing-order');
+const PaymentMessages = require('@app/messages/payment');
+const formatStandingOrder = require('./format-standing-order');
+const {
+  getNextRun,
+  getScheduleToday,
+  scheduleStandingOrder,
+} = require('./standing-order-schedule');
+
+const spec = `root {
+  id string<trim>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Restarts a paused standing order from its next run on or after today. Runs that fell due
+ * while it was paused are skipped; an order paused past its end date is completed instead.
+ */
+async function resumeStandingOrder(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const standingOrder = await StandingOrder.findOne({ query: { _id: data.id } });
+
+    if (!standingOrder) {
+      throwAppError(PaymentMessages.STANDING_ORDER_NOT_FOUND, ERROR_CODE.NOTFOUND);
+    }
+
+    const nextRun = getNextRun(
+      standingOrder,
+      standingOrder.run_index,
+      getScheduleToday(standingOrder)
+    );
+    const updateValues = nextRun.runDate
+      ? { status: 'active', run_index: nextRun.runIndex, next_run_date: nextRun.runDate }
+      : { status: 'completed' };
+
+    const update = await StandingOrder.updateOne({
+      query: { _id: data.id, status: 'paused' },
+      updateValues,
+    });
+
+    if (update.modifiedCount === 0) {
+      throwAppError(PaymentMessages.STANDING_ORDER_NOT_PAUSED, ERROR_CODE.VALIDATIONERR);
+    }
+
+    result = { ...standingOrder, ...updateValues };
+
+    if (result.status === 'active') {
+      await scheduleStandingOrder(result);
+    }
+
+    result = formatStandingOrder(result);
+  } catch (error) {
+    appLogger.errorX(error, 'resume-standing-order-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = resumeStandingOrder;
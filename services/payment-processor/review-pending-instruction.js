@@ -0,0 +1,82 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const PendingInstruction = require('@app/repository/pending-instruction');
+const PaymentMessages = require('@app/messages/payment');
+const { executePendingInstruction } = require('@app/workers');
+const getPendingInstruction = require('./get-pending-instruction');
+
+// alongside the RK01 and RK02 risk outcomes of parse-instruction
+const REJECTED_STATUS_CODE = 'RK03';
+
+const spec = `root {
+  id string<trim>
+  decision string(approve|reject)
+  reviewer? string<trim>
+  note? string<trim>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Decides on an instruction held for risk review. An approved instruction goes back to
+ * pending and is queued for its execute_by date, where it runs without being assessed
+ * again; a rejected one is closed for good.
+ */
+async function reviewPendingInstruction(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const pendingInstruction = await PendingInstruction.findOne({ query: { _id: data.id } });
+
+    if (!pendingInstruction) {
+      throwAppError(PaymentMessages.PENDING_INSTRUCTION_NOT_FOUND, ERROR_CODE.NOTFOUND);
+    }
+
+    const isApproved = data.decision === 'approve';
+    const updateValues = {
+      review: {
+        decision: data.decision,
+        reviewer: data.reviewer || null,
+        note: data.note || null,
+        at: Date.now(),
+      },
+      ...(isApproved
+        ? { status: 'pending' }
+        : {
+            status: 'rejected',
+            status_code: REJECTED_STATUS_CODE,
+            status_reason: PaymentMessages.RISK_REVIEW_REJECTED,
+          }),
+    };
+
+    const update = await PendingInstruction.updateOne({
+      query: { _id: data.id, status: 'pending_review' },
+      updateValues,
+    });
+
+    if (update.modifiedCount === 0) {
+      throwAppError(PaymentMessages.PENDING_INSTRUCTION_NOT_IN_REVIEW, ERROR_CODE.VALIDATIONERR);
+    }
+
+    if (isApproved) {
+      await executePendingInstruction.scheduleJob(
+        { pending_instruction_id: data.id },
+        {
+          delay: Math.max(0, Date.parse(pendingInstruction.execute_by) - Date.now()),
+          jobId: data.id,
+        }
+      );
+    }
+
+    result = await getPendingInstruction({ id: data.id });
+  } catch (error) {
+    appLogger.errorX(error, 'review-pending-instruction-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = reviewPendingInstruction;
@@ -0,0 +1,306 @@
+const { appLogger } = require('@app-core/logger');
+const { toMinorUnits } = require('./minor-units');
+
+/**
+ * @typedef {Object} RiskHistory
+ * @property {{debit_account: String, credit_account: String, amount: Number, currency: String, created: Number}[]} recent
+ *   Transfers out of the accounts within the history window
+ * @property {Object<string, String[]>} counterparties - Accounts each account has paid within
+ *   the counterparty window
+ */
+
+/**
+ * @typedef {Object} RiskInput
+ * @property {{type: String, amount: Number, currency: String, debit_account: String, credit_accounts: String[], execute_by: String|null}} instruction
+ * @property {Object} debit_account - The debit account as sent or stored
+ * @property {Object[]} credit_accounts
+ * @property {RiskHistory} history
+ * @property {{ip: String|null, user_agent: String|null}} request - Where the instruction came from
+ */
+
+/**
+ * @typedef {Object} RiskReason
+ * @property {String} rule
+ * @property {'block'|'pending_review'|'allow'} outcome
+ * @property {String} reason
+ */
+
+/**
+ * @typedef {Object} RiskAssessment
+ * @property {'block'|'pending_review'|'allow'} outcome
+ * @property {RiskReason[]} reasons
+ */
+
+/**
+ * @typedef {Object} RiskRule
+ * @property {String} name - Identifies the rule in the reasons
+ * @property {function(RiskInput): ({outcome: String, reason: String}|null)} evaluate - Null when the rule has nothing to say
+ */
+
+/**
+ * @typedef {Object} RiskScorer
+ * @property {String} name
+ * @property {Number} [history_window_secs] - How far back the transfers in `history.recent` go
+ * @property {Number} [counterparty_window_secs] - How far back `history.counterparties` goes
+ * @property {function(RiskInput): RiskAssessment} evaluate
+ */
+
+const OUTCOMES = ['allow', 'pending_review', 'block'];
+const DEFAULT_HISTORY_WINDOW_SECS = 3600;
+const DEFAULT_COUNTERPARTY_WINDOW_SECS = 90 * 24 * 3600;
+
+/**
+ * Defaults of the built-in rules, overridden by the RISK_RULES config. Rules marked `opt_in`
+ * only run once RISK_RULES has an entry for them.
+ */
+const DEFAULT_RULES_CONFIG = {
+  first_time_large_transfer: {
+    // amounts at or above which a first transfer to an account is reviewed
+    amounts: { NGN: 1000000, USD: 1000, GBP: 800, GHS: 10000 },
+    outcome: 'pending_review',
+    // how far back an earlier payment to the account makes it known
+    counterparty_window_secs: DEFAULT_COUNTERPARTY_WINDOW_SECS,
+  },
+  rapid_repeat_transfers: {
+    // repeat payments between two accounts are common, so this one is left to each deployment
+    opt_in: true,
+    window_secs: 600,
+    review_after: 3,
+    block_after: 6,
+  },
+  request_origin: {
+    opt_in: true,
+    // IP addresses, and user agent fragments matched case-insensitively
+    ips: [],
+    user_agents: [],
+    outcome: 'block',
+  },
+};
+
+function resolveRuleConfig(config, name) {
+  if (DEFAULT_RULES_CONFIG[name].opt_in && !config[name]) return null;
+
+  return { ...DEFAULT_RULES_CONFIG[name], ...config[name] };
+}
+
+function parseRulesConfig(rawConfig) {
+  if (!rawConfig) return {};
+
+  try {
+    const config = JSON.parse(rawConfig);
+    return config && typeof config === 'object' ? config : {};
+  } catch (error) {
+    appLogger.warn({ error: error.message }, 'risk-rules-config-invalid');
+    return {};
+  }
+}
+
+/**
+ * Reviews transfers of a large amount to an account the debit account never paid before.
+ * @param {{amounts: Object<string, Number>, outcome?: String}} config
+ * @returns {RiskRule}
+ */
+function createFirstTimeLargeTransferRule(config) {
+  return {
+    name: 'first_time_large_transfer',
+    evaluate({ instruction, history }) {
+      const threshold = config.amounts[instruction.currency];
+      if (
+        typeof threshold !== 'number' ||
+        toMinorUnits(instruction.amount, instruction.currency) <
+          toMinorUnits(threshold, instruction.currency)
+      ) {
+        return null;
+      }
+
+      const knownAccounts = history.counterparties[instruction.debit_account] || [];
+      const newAccounts = instruction.credit_accounts.filter(
+        (accountId) => !knownAccounts.includes(accountId)
+      );
+      if (newAccounts.length === 0) return null;
+
+      return {
+        outcome: config.outcome || 'pending_review',
+        reason: `First transfer to ${newAccounts.join(', ')} is ${instruction.amount} ${instruction.currency}, at or above ${threshold}`,
+      };
+    },
+  };
+}
+
+/**
+ * Reviews, then blocks, repeated transfers from one account to the same account within a
+ * short window.
+ * @param {{window_secs: Number, review_after: Number, block_after: Number}} config
+ * @returns {RiskRule}
+ */
+function createRapidRepeatTransfersRule(config) {
+  return {
+    name: 'rapid_repeat_transfers',
+    evaluate({ instruction, history }) {
+      const since = Date.now() - config.window_secs * 1000;
+      const repeats = history.recent.filter(
+        (transfer) =>
+          transfer.created >= since &&
+          transfer.debit_account === instruction.debit_account &&
+          instruction.credit_accounts.includes(transfer.credit_account)
+      ).length;
+
+      let outcome = null;
+      if (repeats >= config.block_after) outcome = 'block';
+      else if (repeats >= config.review_after) outcome = 'pending_review';
+      if (!outcome) return null;
+
+      return {
+        outcome,
+        reason: `${repeats} transfers to the same account in the last ${config.window_secs} seconds`,
+      };
+    },
+  };
+}
+
+/**
+ * Holds or blocks instructions sent from a listed IP address or by a user agent containing a
+ * listed fragment. Instructions without a request, such as standing order runs, pass.
+ * @param {{ips: String[], user_agents: String[], outcome?: String}} config
+ * @returns {RiskRule}
+ */
+function createRequestOriginRule(config) {
+  const userAgents = config.user_agents.map((fragment) => fragment.toLowerCase());
+
+  return {
+    name: 'request_origin',
+    evaluate({ request }) {
+      let reason = null;
+      if (request.ip && config.ips.includes(request.ip)) {
+        reason = `Sent from listed IP address ${request.ip}`;
+      } else if (
+        request.user_agent &&
+        userAgents.some((fragment) => request.user_agent.toLowerCase().includes(fragment))
+      ) {
+        reason = `Sent by listed user agent ${request.user_agent}`;
+      }
+      if (!reason) return null;
+
+      return { outcome: config.outcome || 'block', reason };
+    },
+  };
+}
+
+/**
+ * The built-in rules with their defaults, each overridable by its entry in `config`. Opt-in
+ * rules are left out until `config` has an entry for them.
+ * @param {Object} [config]
+ * @returns {RiskRule[]}
+ */
+function createDefaultRiskRules(config = {}) {
+  const largeTransfer = resolveRuleConfig(config, 'first_time_large_transfer');
+  const rapidRepeats = resolveRuleConfig(config, 'rapid_repeat_transfers');
+  const requestOrigin = resolveRuleConfig(config, 'request_origin');
+
+  return [
+    createFirstTimeLargeTransferRule(largeTransfer),
+    rapidRepeats && createRapidRepeatTransfersRule(rapidRepeats),
+    requestOrigin && createRequestOriginRule(requestOrigin),
+  ].filter(Boolean);
+}
+
+/**
+ * Creates a scorer that runs every rule and goes with the strictest outcome among them.
+ * @param {RiskRule[]} rules
+ * @param {{history_window_secs?: Number, counterparty_window_secs?: Number}} [options]
+ * @returns {RiskScorer}
+ */
+function createRuleBasedScorer(rules, options = {}) {
+  return {
+    name: 'rules',
+    history_window_secs: options.history_window_secs || DEFAULT_HISTORY_WINDOW_SECS,
+    counterparty_window_secs: options.counterparty_window_secs || DEFAULT_COUNTERPARTY_WINDOW_SECS,
+    evaluate(input) {
+      const reasons = rules
+        .map((rule) => {
+          const verdict = rule.evaluate(input);
+          return verdict && { rule: rule.name, outcome: verdict.outcome, reason: verdict.reason };
+        })
+        .filter(Boolean);
+
+      const outcome = reasons.reduce(
+        (strictest, reason) =>
+          OUTCOMES.indexOf(reason.outcome) > OUTCOMES.indexOf(strictest)
+            ? reason.outcome
+            : strictest,
+        'allow'
+      );
+
+      return { outcome, reasons };
+    },
+  };
+}
+
+function createConfiguredScorer(config) {
+  const largeTransfer = resolveRuleConfig(config, 'first_time_large_transfer');
+  const rapidRepeats = resolveRuleConfig(config, 'rapid_repeat_transfers');
+
+  return createRuleBasedScorer(createDefaultRiskRules(config), {
+    history_window_secs: Math.max(
+      DEFAULT_HISTORY_WINDOW_SECS,
+      rapidRepeats ? rapidRepeats.window_secs : 0
+    ),
+    counterparty_window_secs: largeTransfer.counterparty_window_secs,
+  });
+}
+
+let activeScorer = createConfiguredScorer(parseRulesConfig(process.env.RISK_RULES));
+
+/**
+ * Replaces the scorer instructions are checked with before their business rules. Scorers
+ * are called synchronously, so anything remote should be served from a local snapshot.
+ * @param {RiskScorer} scorer
+ */
+function setRiskScorer(scorer) {
+  if (!scorer || typeof scorer.evaluate !== 'function') {
+    throw new Error('Risk scorer must implement evaluate(input)');
+  }
+  activeScorer = scorer;
+}
+
+function getRiskScorer() {
+  return activeScorer;
+}
+
+/**
+ * How far back the history given to the active scorer goes, in seconds.
+ */
+function getRiskHistoryWindowSecs() {
+  return activeScorer.history_window_secs || DEFAULT_HISTORY_WINDOW_SECS;
+}
+
+/**
+ * How far back the accounts paid before are looked up for the active scorer, in seconds.
+ */
+function getCounterpartyWindowSecs() {
+  return activeScorer.counterparty_window_secs || DEFAULT_COUNTERPARTY_WINDOW_SECS;
+}
+
+/**
+ * Assesses an instruction with the active scorer. Unknown outcomes count as allow.
+ * @param {RiskInput} input
+ * @returns {RiskAssessment}
+ */
+function evaluateRisk(input) {
+  const assessment = activeScorer.evaluate(input) || {};
+
+  return {
+    outcome: OUTCOMES.includes(assessment.outcome) ? assessment.outcome : 'allow',
+    reasons: Array.isArray(assessment.reasons) ? assessment.reasons : [],
+  };
+}
+
+module.exports = {
+  createDefaultRiskRules,
+  createRuleBasedScorer,
+  setRiskScorer,
+  getRiskScorer,
+  getRiskHistoryWindowSecs,
+  getCounterpartyWindowSecs,
+  evaluateRisk,
+};
@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { appLogger } = require('@app-core/logger');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const PaymentMessages = require('@app/messages/payment');
+const { levenshteinDistance } = require('./string-distance');
+
+/**
+ * @typedef {Object} BlocklistEntry
+ * @property {String} list - The list the entry belongs to, by default the name of its file
+ * @property {'account'|'name'} type - Whether it blocks an account id or a beneficiary name
+ * @property {String} value
+ * @property {String} [reference] - The entry's id in its source list
+ */
+
+/**
+ * @typedef {Object} ScreeningSubject
+ * @property {String} field - debit_account, credit_account or beneficiary
+ * @property {String} value
+ */
+
+/**
+ * @typedef {Object} ScreeningMatch
+ * @property {String} field
+ * @property {String} value - The screened value
+ * @property {String} list
+ * @property {String} entry - The value of the list entry it matched
+ * @property {String|null} reference
+ * @property {'exact'|'normalised'|'fuzzy'} match_type
+ * @property {Number} distance - Edits between the normalised forms, 0 unless fuzzy
+ */
+
+/**
+ * @typedef {Object} ScreeningDecision
+ * @property {'clear'|'hit'} outcome
+ * @property {ScreeningSubject[]} subjects
+ * @property {ScreeningMatch[]} matches
+ * @property {String[]} lists - The lists screened against
+ */
+
+const ENTRY_TYPES = ['account', 'name'];
+const SUBJECT_ENTRY_TYPES = {
+  debit_account: 'account',
+  credit_account: 'account',
+  beneficiary: 'name',
+};
+
+// shorter names are too alike for a few edits to tell a misspelling from another name
+const MIN_FUZZY_LENGTH = 6;
+const DEFAULT_FUZZY_RATIO = 0.2;
+
+const LIST_PATHS = (process.env.SCREENING_LISTS || '')
+  .split(',')
+  .map((listPath) => listPath.trim())
+  .filter(Boolean);
+const REFRESH_INTERVAL_MILLIS = (Number(process.env.SCREENING_LISTS_TTL_SECS) || 300) * 1000;
+// the share of a name's characters that may differ for it to still match
+const FUZZY_RATIO = process.env.SCREENING_FUZZY_RATIO
+  ? Number(process.env.SCREENING_FUZZY_RATIO)
+  : DEFAULT_FUZZY_RATIO;
+
+const readFile = promisify(fs.readFile);
+
+let entries = [];
+let lastRefreshTimestamp = 0;
+
+/**
+ * Names compare without case, accents, punctuation or word order, so `DOE, John` is
+ * `john doe`. Account ids compare without case and separators.
+ */
+function normaliseValue(type, value) {
+  if (type === 'account') {
+    return value.toUpperCase().replace(/[^\p{L}\p{N}]/gu, '');
+  }
+
+  return value
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+}
+
+/**
+ * Reads CSV content into one object per row, keyed by the lower-cased header. Quoted
+ * fields may hold commas, line breaks and `""` escaped quotes.
+ */
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let index = 0; index < content.length; index++) {
+    const char = content[index];
+
+    if (inQuotes) {
+      if (char === '"' && content[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[index + 1] === '\n') index += 1;
+      rows.push([...row, field]);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  rows.push([...row, field]);
+
+  const [header = [], ...records] = rows.filter((values) => values.some((value) => value.trim()));
+  const columns = header.map((column) => column.trim().toLowerCase());
+
+  return records.map((values) =>
+    Object.fromEntries(columns.map((column, index) => [column, (values[index] || '').trim()]))
+  );
+}
+
+/**
+ * The entries of a list file: a JSON array of entries, or a CSV file with `type` and
+ * `value` columns and an optional `reference` and `list`.
+ */
+function parseListFile(filePath, content) {
+  const extension = path.extname(filePath);
+  const list = path.basename(filePath, extension);
+  const rawEntries = extension.toLowerCase() === '.json' ? JSON.parse(content) : parseCsv(content);
+
+  if (!Array.isArray(rawEntries)) {
+    throw new Error(`${filePath} must hold an array of entries`);
+  }
+
+  return rawEntries.map((entry) => ({ list, ...entry }));
+}
+
+function normaliseEntry(entry) {
+  const type = `${entry.type || ''}`.trim().toLowerCase();
+  const value = typeof entry.value === 'string' ? entry.value.trim() : '';
+  if (!ENTRY_TYPES.includes(type) || !value || !entry.list) {
+    return null;
+  }
+
+  return {
+    list: `${entry.list}`,
+    type,
+    value,
+    reference: entry.reference ? `${entry.reference}` : null,
+    normalised: normaliseValue(type, value),
+  };
+}
+
+/**
+ * Replaces the entries instructions are screened against, until the lists are next read
+ * from SCREENING_LISTS. Entries without a known type or a value are dropped.
+ * @param {BlocklistEntry[]} blocklistEntries
+ */
+function loadScreeningLists(blocklistEntries) {
+  const loaded = blocklistEntries.map(normaliseEntry).filter(Boolean);
+
+  if (loaded.length < blocklistEntries.length) {
+    appLogger.warn(
+      { dropped: blocklistEntries.length - loaded.length },
+      'sanctions-screening-entries-invalid'
+    );
+  }
+  entries = loaded;
+}
+
+/**
+ * Reads the list files named in SCREENING_LISTS once the loaded copy has expired. A failed
+ * read keeps the last copy; with no copy loaded yet it throws, so nothing goes through
+ * unscreened.
+ */
+async function refreshScreeningLists() {
+  const isStale = Date.now() - lastRefreshTimestamp >= REFRESH_INTERVAL_MILLIS;
+  if (LIST_PATHS.length === 0 || !isStale) {
+    return;
+  }
+
+  try {
+    const lists = await Promise.all(
+      LIST_PATHS.map(async (listPath) =>
+        parseListFile(listPath, await readFile(listPath, { encoding: 'utf-8' }))
+      )
+    );
+    loadScreeningLists(lists.flat());
+    lastRefreshTimestamp = Date.now();
+  } catch (error) {
+    if (lastRefreshTimestamp === 0) {
+      appLogger.errorX(error, 'sanctions-screening-lists-error');
+      throwAppError(PaymentMessages.SCREENING_LISTS_UNAVAILABLE, ERROR_CODE.APPERR);
+    }
+    appLogger.warn({ error: error.message }, 'sanctions-screening-lists-stale');
+  }
+}
+
+/**
+ * How a screened value matches an entry: exactly, once both are normalised, or, for names,
+ * within a few edits of each other. Account ids are not matched fuzzily, an id one
+ * character away is another account.
+ * @returns {{match_type: String, distance: Number}|null}
+ */
+function matchEntry(value, normalised, entry) {
+  if (value === entry.value) {
+    return { match_type: 'exact', distance: 0 };
+  }
+
+  if (!normalised) {
+    return null;
+  }
+
+  if (normalised === entry.normalised) {
+    return { match_type: 'normalised', distance: 0 };
+  }
+
+  const length = Math.max(normalised.length, entry.normalised.length);
+  const maxDistance = Math.floor(length * FUZZY_RATIO);
+  if (
+    entry.type !== 'name' ||
+    Math.min(normalised.length, entry.normalised.length) < MIN_FUZZY_LENGTH ||
+    Math.abs(normalised.length - entry.normalised.length) > maxDistance
+  ) {
+    return null;
+  }
+
+  const distance = levenshteinDistance(normalised, entry.normalised);
+  return distance <= maxDistance ? { match_type: 'fuzzy', distance } : null;
+}
+
+/**
+ * Whether any list entries are loaded to screen against.
+ */
+function hasScreeningLists() {
+  return entries.length > 0;
+}
+
+/**
+ * Screens account ids and beneficiary names against the loaded lists.
+ * @param {ScreeningSubject[]} subjects
+ * @returns {ScreeningDecision}
+ */
+function screenSubjects(subjects) {
+  const matches = subjects.flatMap((subject) => {
+    const type = SUBJECT_ENTRY_TYPES[subject.field];
+    const value = subject.value.trim();
+    const normalised = normaliseValue(type, value);
+
+    return entries
+      .filter((entry) => entry.type === type)
+      .map((entry) => {
+        const match = matchEntry(value, normalised, entry);
+        return (
+          match && {
+            field: subject.field,
+            value: subject.value,
+            list: entry.list,
+            entry: entry.value,
+            reference: entry.reference,
+            ...match,
+          }
+        );
+      })
+      .filter(Boolean);
+  });
+
+  return {
+    outcome: matches.length > 0 ? 'hit' : 'clear',
+    subjects,
+    matches,
+    lists: [...new Set(entries.map((entry) => entry.list))],
+  };
+}
+
+module.exports = {
+  loadScreeningLists,
+  refreshScreeningLists,
+  hasScreeningLists,
+  screenSubjects,
+};
@@ -0,0 +1,97 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const PendingInstruction = require('@app/repository/pending-instruction');
+const { executePendingInstruction } = require('@app/workers');
+
+const spec = `root {
+  account_source string(inline|stored)
+  instructions[] {
+    instruction string
+    type string
+    amount number
+    currency string
+    debit_account string
+    credit_account? string
+    credit_legs[]? {
+      account_id string
+      amount number
+    }
+    execute_by string
+    timezone? string
+    standing_order_id? string
+    status? string(pending|pending_review)
+    status_code string
+    status_reason string
+    risk? {
+      outcome string
+      reasons[] {
+        rule string
+        outcome string
+        reason string
+      }
+    }
+    accounts[] {
+      id string
+      balance number
+      balance_before number
+      currency string
+    }
+    account_inputs[]? {
+      id string
+      balance number
+      currency string
+      timezone? string
+      status? string
+      overdraft? {
+        limit number
+        mode? string(block|warn)
+      }
+    }
+  }
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+function getExecutionDelay(executeBy) {
+  return Math.max(0, Date.parse(executeBy) - Date.now());
+}
+
+/**
+ * Stores pending (AP02) instructions and queues each one to run on its execute_by date.
+ * Instructions held for review (RK02) are stored without a job until they are approved.
+ */
+async function schedulePendingInstructions(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const entries = data.instructions.map((instruction) => ({
+      ...instruction,
+      account_source: data.account_source,
+      status: instruction.status || 'pending',
+    }));
+
+    result = await PendingInstruction.createMany({
+      entries,
+      options: { session: options.session },
+    });
+
+    await Promise.all(
+      result
+        .filter((record) => record.status === 'pending')
+        .map((record) =>
+          executePendingInstruction.scheduleJob(
+            { pending_instruction_id: `${record._id}` },
+            { delay: getExecutionDelay(record.execute_by), jobId: `${record._id}` }
+          )
+        )
+    );
+  } catch (error) {
+    appLogger.errorX(error, 'schedule-pending-instructions-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = schedulePendingInstructions;
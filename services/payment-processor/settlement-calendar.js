@@ -0,0 +1,196 @@
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const PaymentMessages = require('@app/messages/payment');
+
+/**
+ * @typedef {Object} SettlementCalendar
+ * @property {String[]} [weekend] - Days with no settlement, e.g. ['SATURDAY', 'SUNDAY']
+ * @property {String[]} [holidays] - YYYY-MM-DD dates with no settlement
+ * @property {'roll_forward'|'reject'} [policy] - What happens to instructions dated on those days
+ */
+
+/**
+ * @typedef {Object} CalendarConfig
+ * @property {'roll_forward'|'reject'} [policy] - Policy for calendars that do not set their own
+ * @property {Number|null} [max_past_days] - How far back an execution date may be, unlimited when null
+ * @property {SettlementCalendar} [default] - Calendar of currencies without their own
+ * @property {Object<string, SettlementCalendar>} [currencies] - Calendars keyed by currency code
+ */
+
+const DAY_MILLIS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SUNDAY', 'MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY'];
+const POLICIES = new Set(['roll_forward', 'reject']);
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// a calendar closed for longer than this is treated as having no business day at all
+const MAX_ROLL_DAYS = 366;
+
+let calendarConfig = {
+  policy: 'roll_forward',
+  maxPastDays: null,
+  default: { weekend: new Set(), holidays: new Set(), policy: null },
+  currencies: {},
+};
+
+function parseWeekday(day) {
+  const upperDay = `${day}`.toUpperCase();
+  return upperDay.length >= 3 ? WEEKDAYS.findIndex((name) => name.startsWith(upperDay)) : -1;
+}
+
+function isValidCalendar(calendar) {
+  if (!calendar || typeof calendar !== 'object') return false;
+  if (calendar.policy !== undefined && !POLICIES.has(calendar.policy)) return false;
+
+  const { weekend = [], holidays = [] } = calendar;
+  return (
+    Array.isArray(weekend) &&
+    Array.isArray(holidays) &&
+    weekend.every((day) => parseWeekday(day) !== -1) &&
+    holidays.every((date) => typeof date === 'string' && DATE_PATTERN.test(date))
+  );
+}
+
+function normaliseCalendar(calendar = {}) {
+  return {
+    weekend: new Set((calendar.weekend || []).map(parseWeekday)),
+    holidays: new Set(calendar.holidays || []),
+    policy: calendar.policy || null,
+  };
+}
+
+/**
+ * Replaces the settlement calendars.
+ * @param {CalendarConfig} config
+ */
+function setSettlementCalendars(config) {
+  const currencies = (config && config.currencies) || {};
+  const maxPastDays = config && config.max_past_days;
+  const isValid =
+    !!config &&
+    typeof config === 'object' &&
+    (config.policy === undefined || POLICIES.has(config.policy)) &&
+    (maxPastDays === undefined ||
+      maxPastDays === null ||
+      (Number.isInteger(maxPastDays) && maxPastDays >= 0)) &&
+    (config.default === undefined || isValidCalendar(config.default)) &&
+    typeof currencies === 'object' &&
+    Object.values(currencies).every(isValidCalendar);
+
+  if (!isValid) {
+    throwAppError(PaymentMessages.INVALID_CALENDAR_CONFIG, ERROR_CODE.APPERR);
+  }
+
+  calendarConfig = {
+    policy: config.policy || 'roll_forward',
+    maxPastDays: typeof maxPastDays === 'number' ? maxPastDays : null,
+    default: normaliseCalendar(config.default),
+    currencies: Object.fromEntries(
+      Object.entries(currencies).map(([code, calendar]) => [
+        code.toUpperCase(),
+        normaliseCalendar(calendar),
+      ])
+    ),
+  };
+}
+
+/**
+ * @param {String} currency
+ */
+function getSettlementCalendar(currency) {
+  return calendarConfig.currencies[`${currency || ''}`.toUpperCase()] || calendarConfig.default;
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(date) + days * DAY_MILLIS).toISOString().slice(0, 10);
+}
+
+/**
+ * Works out why a date cannot settle in a currency, or null when it is a business day.
+ * @param {String} date - YYYY-MM-DD
+ * @param {String} currency
+ * @returns {'weekend'|'holiday'|null}
+ */
+function getClosureReason(date, currency) {
+  const calendar = getSettlementCalendar(currency);
+  if (calendar.holidays.has(date)) return 'holiday';
+  if (calendar.weekend.has(new Date(Date.parse(date)).getUTCDay())) return 'weekend';
+  return null;
+}
+
+/**
+ * @param {String} date - YYYY-MM-DD
+ * @param {String[]} currencies - Every currency that has to settle on the date
+ * @returns {Boolean}
+ */
+function isBusinessDay(date, currencies) {
+  return currencies.every((currency) => getClosureReason(date, currency) === null);
+}
+
+/**
+ * Checks an execution date against the settlement calendars of the currencies involved.
+ * Past dates only need to be inside the configured window; today and later dates falling on
+ * a weekend or holiday are rolled to the next business day or rejected, following the
+ * strictest policy among the currencies.
+ * @param {{executeBy: String, currencies: String[], today: String, allowAnyPastDate?: Boolean}} schedule
+ * @returns {{valid: Boolean, executeBy?: String, rolled?: Boolean, message?: String}}
+ */
+function resolveExecutionDate({ executeBy, currencies, today, allowAnyPastDate = false }) {
+  if (executeBy < today) {
+    const { maxPastDays } = calendarConfig;
+    if (!allowAnyPastDate && maxPastDays !== null && executeBy < addDays(today, -maxPastDays)) {
+      return {
+        valid: false,
+        message: `${PaymentMessages.EXECUTION_DATE_TOO_OLD}: ${executeBy} is more than ${maxPastDays} day(s) ago`,
+      };
+    }
+    return { valid: true, executeBy, rolled: false };
+  }
+
+  const closed = currencies
+    .map((currency) => ({ currency, reason: getClosureReason(executeBy, currency) }))
+    .filter(({ reason }) => reason !== null);
+  if (closed.length === 0) {
+    return { valid: true, executeBy, rolled: false };
+  }
+
+  const rejects = currencies.some(
+    (currency) => (getSettlementCalendar(currency).policy || calendarConfig.policy) === 'reject'
+  );
+  const closure = closed.map(({ currency, reason }) => `${reason} for ${currency}`).join(', ');
+  let rolledDate = null;
+  for (let days = 1; !rejects && !rolledDate && days <= MAX_ROLL_DAYS; days += 1) {
+    const candidate = addDays(executeBy, days);
+    if (isBusinessDay(candidate, currencies)) rolledDate = candidate;
+  }
+
+  if (!rolledDate) {
+    return {
+      valid: false,
+      message: `${PaymentMessages.NON_BUSINESS_DAY}: ${executeBy} is a ${closure}`,
+    };
+  }
+
+  return { valid: true, executeBy: rolledDate, rolled: true };
+}
+
+/**
+ * Loads the SETTLEMENT_CALENDARS config. Invalid config is logged and the built-in calendars
+ * stay in place, rather than keeping the app from starting.
+ */
+function loadConfiguredCalendars(rawCalendars) {
+  if (!rawCalendars) return;
+
+  try {
+    setSettlementCalendars(JSON.parse(rawCalendars));
+  } catch (error) {
+    appLogger.warn({ error: error.message }, 'settlement-calendars-config-invalid');
+  }
+}
+
+loadConfiguredCalendars(process.env.SETTLEMENT_CALENDARS);
+
+module.exports = {
+  setSettlementCalendars,
+  getSettlementCalendar,
+  isBusinessDay,
+  resolveExecutionDate,
+};
@@ -0,0 +1,157 @@
+const { executeStandingOrder } = require('@app/workers');
+const { getLocalDate, toInstant } = require('./execution-time');
+
+/**
+ * @typedef {Object} StandingOrderSchedule
+ * @property {'DAY'|'WEEK'|'MONTH'|'YEAR'} frequency
+ * @property {String} start_date - YYYY-MM-DD of the first run
+ * @property {String} [end_date] - YYYY-MM-DD after which no run happens
+ * @property {String} run_time - HH:MM:SS local to the timezone
+ * @property {String} timezone - IANA timezone the dates and run time are read in
+ */
+
+const FREQUENCIES = ['DAY', 'WEEK', 'MONTH', 'YEAR'];
+const DAY_MILLIS = 24 * 60 * 60 * 1000;
+
+function addDays(date, days) {
+  return new Date(Date.parse(date) + days * DAY_MILLIS).toISOString().slice(0, 10);
+}
+
+function addMonths(date, months) {
+  const [year, month, day] = date.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(
+    Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+
+  // a run on the 31st falls on the last day of shorter months
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().slice(0, 10);
+}
+
+/**
+ * The date of a run, counting the first run as 0. Every date is worked out from the start
+ * date, so a monthly order starting on the 31st keeps coming back to the 31st.
+ * @param {StandingOrderSchedule} schedule
+ * @param {Number} runIndex
+ * @returns {String} YYYY-MM-DD
+ */
+function getRunDate(schedule, runIndex) {
+  const { frequency, start_date: startDate } = schedule;
+
+  if (frequency === 'DAY') return addDays(startDate, runIndex);
+  if (frequency === 'WEEK') return addDays(startDate, runIndex * 7);
+  if (frequency === 'MONTH') return addMonths(startDate, runIndex);
+  return addMonths(startDate, runIndex * 12);
+}
+
+/**
+ * Finds the first run from `fromIndex` on that falls on or after `notBefore`. Runs that were
+ * missed, while the order was paused for instance, are skipped rather than made up.
+ * @param {StandingOrderSchedule} schedule
+ * @param {Number} fromIndex
+ * @param {String} notBefore - YYYY-MM-DD
+ * @returns {{runIndex: Number, runDate: String|null}} A null runDate once past the end date
+ */
+function getNextRun(schedule, fromIndex, notBefore) {
+  let runIndex = fromIndex;
+  while (getRunDate(schedule, runIndex) < notBefore) {
+    runIndex += 1;
+  }
+
+  const runDate = getRunDate(schedule, runIndex);
+  const isFinished = !!schedule.end_date && runDate > schedule.end_date;
+
+  return { runIndex, runDate: isFinished ? null : runDate };
+}
+
+/**
+ * @param {StandingOrderSchedule} schedule
+ * @param {String} runDate
+ * @returns {Number} Epoch milliseconds
+ */
+function getRunInstant(schedule, runDate) {
+  return toInstant({ date: runDate, time: schedule.run_time }, { timeZone: schedule.timezone });
+}
+
+/**
+ * @param {StandingOrderSchedule} schedule
+ * @param {Number} [now]
+ * @returns {String} YYYY-MM-DD in the timezone of the order
+ */
+function getScheduleToday(schedule, now = Date.now()) {
+  return getLocalDate({ timeZone: schedule.timezone }, now);
+}
+
+/**
+ * Bull repeat options firing at the run time on every day a run can fall on. Days past the
+ * 28th match the end of every month, the job itself checks which of them is due.
+ * @param {StandingOrderSchedule} schedule
+ */
+function buildRepeatOptions(schedule) {
+  const [hours, minutes, seconds] = schedule.run_time.split(':').map(Number);
+  const [, month, day] = schedule.start_date.split('-').map(Number);
+  const dayOfMonth = day > 28 ? '28-31' : `${day}`;
+
+  const calendarFields = {
+    DAY: '* * *',
+    WEEK: `* * ${new Date(Date.parse(schedule.start_date)).getUTCDay()}`,
+    MONTH: `${dayOfMonth} * *`,
+    YEAR: `${dayOfMonth} ${month} *`,
+  };
+
+  const repeat = {
+    cron: `${seconds} ${minutes} ${hours} ${calendarFields[schedule.frequency]}`,
+    tz: schedule.timezone,
+  };
+
+  if (schedule.end_date) {
+    repeat.endDate = getRunInstant(schedule, addDays(schedule.end_date, 1));
+  }
+
+  return repeat;
+}
+
+/**
+ * Queues the repeatable job of an active standing order. When its next run is already due,
+ * a one-off job runs it straight away instead of waiting for the next firing.
+ * @param {Object} standingOrder
+ * @param {Number} [now]
+ */
+async function scheduleStandingOrder(standingOrder, now = Date.now()) {
+  const standingOrderId = `${standingOrder._id}`;
+
+  await executeStandingOrder.scheduleJob(
+    { standing_order_id: standingOrderId },
+    { repeat: buildRepeatOptions(standingOrder), jobId: standingOrderId }
+  );
+
+  if (getRunInstant(standingOrder, standingOrder.next_run_date) <= now) {
+    await executeStandingOrder.scheduleJob(
+      { standing_order_id: standingOrderId },
+      { jobId: `${standingOrderId}-${standingOrder.next_run_date}` }
+    );
+  }
+}
+
+/**
+ * Stops the repeatable job of a standing order.
+ * @param {Object} standingOrder
+ */
+async function unscheduleStandingOrder(standingOrder) {
+  await executeStandingOrder.removeRepeatableJob({
+    ...buildRepeatOptions(standingOrder),
+    jobId: `${standingOrder._id}`,
+  });
+}
+
+module.exports = {
+  FREQUENCIES,
+  getRunDate,
+  getNextRun,
+  getRunInstant,
+  getScheduleToday,
+  buildRepeatOptions,
+  scheduleStandingOrder,
+  unscheduleStandingOrder,
+};
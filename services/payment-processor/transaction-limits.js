@@ -0,0 +1,219 @@
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const PaymentMessages = require('@app/messages/payment');
+const { toMinorUnits, fromMinorUnits } = require('./minor-units');
+const { getLimitCounterStore } = require('./limit-counter-store');
+
+/**
+ * @typedef {Object} AccountLimits
+ * @property {Number} [per_transaction_max] - Largest single debit, in the account currency
+ * @property {Number} [daily_debit_limit] - Cumulative debits allowed per UTC day
+ * @property {Number} [max_transactions] - Debits allowed per velocity window
+ * @property {Number} [window_seconds] - Length of the velocity window
+ */
+
+/**
+ * @typedef {Object} AccountUsage
+ * @property {Number} daily_debit_total
+ * @property {Number} window_transaction_count
+ */
+
+const DAY_MILLIS = 24 * 60 * 60 * 1000;
+const DEFAULT_WINDOW_SECONDS = 3600;
+
+let limitsConfig = { default: {}, accounts: {} };
+
+/**
+ * Replaces the limits configuration.
+ * @param {{default?: AccountLimits, accounts?: Object<string, AccountLimits>}} config
+ */
+function setTransactionLimits(config) {
+  if (!config || typeof config !== 'object') {
+    throwAppError(PaymentMessages.INVALID_LIMIT_CONFIG, ERROR_CODE.APPERR);
+  }
+  limitsConfig = { default: config.default || {}, accounts: config.accounts || {} };
+}
+
+/**
+ * @param {String} accountId
+ * @returns {AccountLimits}
+ */
+function getAccountLimits(accountId) {
+  return { ...limitsConfig.default, ...(limitsConfig.accounts[accountId] || {}) };
+}
+
+function hasConfiguredLimits() {
+  const hasLimits = (limits) => Object.keys(limits || {}).length > 0;
+  return hasLimits(limitsConfig.default) || Object.values(limitsConfig.accounts).some(hasLimits);
+}
+
+function getCounterKeys(limits, now) {
+  const dayStart = Math.floor(now / DAY_MILLIS) * DAY_MILLIS;
+  const windowMillis = (limits.window_seconds || DEFAULT_WINDOW_SECONDS) * 1000;
+  const windowStart = Math.floor(now / windowMillis) * windowMillis;
+
+  return {
+    daily: {
+      counter_key: `daily:${new Date(dayStart).toISOString().substring(0, 10)}`,
+      expires_at: new Date(dayStart + DAY_MILLIS),
+    },
+    window: {
+      counter_key: `window:${windowMillis / 1000}:${windowStart}`,
+      expires_at: new Date(windowStart + windowMillis),
+    },
+  };
+}
+
+/**
+ * Reads the current counters of the given accounts from the active counter store.
+ * @param {String[]} accountIds
+ * @param {Number} [now]
+ * @returns {Promise<Object<string, AccountUsage>>}
+ */
+async function loadAccountUsage(accountIds, now = Date.now()) {
+  const usage = {};
+  if (!hasConfiguredLimits() || accountIds.length === 0) return usage;
+
+  const keysByAccount = accountIds.map((accountId) => ({
+    accountId,
+    keys: getCounterKeys(getAccountLimits(accountId), now),
+  }));
+  const counterKeys = [
+    ...new Set(
+      keysByAccount.flatMap(({ keys }) => [keys.daily.counter_key, keys.window.counter_key])
+    ),
+  ];
+
+  const counters = await getLimitCounterStore().getCounters(accountIds, counterKeys);
+
+  keysByAccount.forEach(({ accountId, keys }) => {
+    const find = (counterKey) =>
+      counters.find(
+        (counter) => counter.account_id === accountId && counter.counter_key === counterKey
+      );
+
+    usage[accountId] = {
+      daily_debit_total: find(keys.daily.counter_key)?.debit_total || 0,
+      window_transaction_count: find(keys.window.counter_key)?.transaction_count || 0,
+    };
+  });
+
+  return usage;
+}
+
+/**
+ * Returns a copy of the usage map with a debit added, so later instructions in a
+ * batch see the effect of earlier ones.
+ */
+function addAccountUsage(usage, { accountId, amount, currency }) {
+  const current = usage[accountId] || { daily_debit_total: 0, window_transaction_count: 0 };
+
+  return {
+    ...usage,
+    [accountId]: {
+      daily_debit_total: fromMinorUnits(
+        toMinorUnits(current.daily_debit_total, currency) + toMinorUnits(amount, currency),
+        currency
+      ),
+      window_transaction_count: current.window_transaction_count + 1,
+    },
+  };
+}
+
+/**
+ * Checks a debit against the account's limits. Cumulative limits (daily total and
+ * velocity) only apply when the debit executes now.
+ * @param {{accountId: String, amount: Number, currency: String, usage: Object<string, AccountUsage>, checkCumulative: Boolean}} debit
+ */
+function checkTransactionLimits({ accountId, amount, currency, usage, checkCumulative }) {
+  const limits = getAccountLimits(accountId);
+  const current = (usage && usage[accountId]) || {
+    daily_debit_total: 0,
+    window_transaction_count: 0,
+  };
+  const amountMinor = toMinorUnits(amount, currency);
+  const failures = [];
+
+  if (
+    typeof limits.per_transaction_max === 'number' &&
+    amountMinor > toMinorUnits(limits.per_transaction_max, currency)
+  ) {
+    failures.push({
+      limit: 'per_transaction',
+      message: `${PaymentMessages.PER_TRANSACTION_LIMIT_EXCEEDED}: maximum is ${limits.per_transaction_max} ${currency}`,
+    });
+  }
+
+  if (
+    checkCumulative &&
+    typeof limits.daily_debit_limit === 'number' &&
+    toMinorUnits(current.daily_debit_total, currency) + amountMinor >
+      toMinorUnits(limits.daily_debit_limit, currency)
+  ) {
+    failures.push({
+      limit: 'daily_debit',
+      message: `${PaymentMessages.DAILY_LIMIT_EXCEEDED}: ${current.daily_debit_total} of ${limits.daily_debit_limit} ${currency} already used today`,
+    });
+  }
+
+  if (
+    checkCumulative &&
+    typeof limits.max_transactions === 'number' &&
+    current.window_transaction_count >= limits.max_transactions
+  ) {
+    failures.push({
+      limit: 'velocity',
+      message: `${PaymentMessages.VELOCITY_LIMIT_EXCEEDED}: ${limits.max_transactions} transaction(s) allowed every ${limits.window_seconds || DEFAULT_WINDOW_SECONDS} seconds`,
+    });
+  }
+
+  // the first breach decides the outcome, the full list is kept for dry runs
+  return failures.length > 0 ? { valid: false, ...failures[0], failures } : { valid: true };
+}
+
+/**
+ * Adds executed debits to the persisted counters, in the transaction `options.session` the
+ * debits were stored in.
+ * @param {{accountId: String, amount: Number}[]} debits
+ * @param {Number} [now]
+ * @param {{session?: Object}} [options]
+ */
+async function recordAccountUsage(debits, now = Date.now(), options = {}) {
+  if (!hasConfiguredLimits() || debits.length === 0) return;
+
+  const increments = debits.flatMap(({ accountId, amount }) => {
+    const keys = getCounterKeys(getAccountLimits(accountId), now);
+    return [
+      { account_id: accountId, ...keys.daily, debit_total: amount, transaction_count: 1 },
+      { account_id: accountId, ...keys.window, debit_total: amount, transaction_count: 1 },
+    ];
+  });
+
+  await getLimitCounterStore().incrementCounters(increments, options);
+}
+
+/**
+ * Loads the TRANSACTION_LIMITS config. Invalid config is logged and no limits apply, rather
+ * than keeping the app from starting.
+ */
+function loadConfiguredLimits(rawLimits) {
+  if (!rawLimits) return;
+
+  try {
+    setTransactionLimits(JSON.parse(rawLimits));
+  } catch (error) {
+    appLogger.warn({ error: error.message }, 'transaction-limits-config-invalid');
+  }
+}
+
+loadConfiguredLimits(process.env.TRANSACTION_LIMITS);
+
+module.exports = {
+  setTransactionLimits,
+  getAccountLimits,
+  hasConfiguredLimits,
+  loadAccountUsage,
+  addAccountUsage,
+  checkTransactionLimits,
+  recordAccountUsage,
+};
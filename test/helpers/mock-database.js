@@ -0,0 +1,160 @@
+/* eslint-disable no-param-reassign */
+const mongoose = require('mongoose');
+const { ulid } = require('@app-core/randomness');
+const { MockModels, MockModelStubs } = require('@app/mock-models');
+
+function matchesCondition(value, condition) {
+  if (condition instanceof Date) {
+    return value instanceof Date && value.getTime() === condition.getTime();
+  }
+
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    return value === condition;
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$in':
+        return operand.includes(value);
+      case '$ne':
+        return value !== operand;
+      case '$gt':
+        return value > operand;
+      case '$gte':
+        return value >= operand;
+      case '$lt':
+        return value < operand;
+      case '$lte':
+        return value <= operand;
+      default:
+        throw new Error(`Unsupported query operator ${operator}`);
+    }
+  });
+}
+
+function matchesQuery(doc, query = {}) {
+  return Object.entries(query).every(([field, condition]) => {
+    if (field === '$or') return condition.some((branch) => matchesQuery(doc, branch));
+    if (field === '$and') return condition.every((branch) => matchesQuery(doc, branch));
+    return matchesCondition(doc[field], condition);
+  });
+}
+
+function applyUpdate(doc, updateValues, isInsert) {
+  const { $inc = {}, $set = {}, $setOnInsert = {}, ...plainValues } = updateValues;
+  const updated = { ...doc, ...plainValues, ...$set, ...(isInsert ? $setOnInsert : {}) };
+
+  Object.entries($inc).forEach(([field, amount]) => {
+    updated[field] = (updated[field] || 0) + amount;
+  });
+
+  return updated;
+}
+
+function sortDocs(docs, sort) {
+  if (!sort) return docs;
+
+  return [...docs].sort((a, b) =>
+    Object.entries(sort).reduce((order, [field, direction]) => {
+      if (order !== 0 || a[field] === b[field]) return order;
+      return (a[field] < b[field] ? -1 : 1) * direction;
+    }, 0)
+  );
+}
+
+function createCollection(model, stubs) {
+  let docs = [];
+
+  return {
+    get docs() {
+      return docs;
+    },
+    reset() {
+      docs = [];
+    },
+    install() {
+      model.insertMany = async (entries) => {
+        const created = entries.map((entry) => ({ _id: ulid(), ...entry }));
+        docs.push(...created);
+        return created.map((doc) => ({ ...doc }));
+      };
+      // `create` saves through a document the model builds from this stub
+      stubs.create.default = (entry) => {
+        docs.push({ _id: ulid(), ...entry });
+        return { ...docs[docs.length - 1] };
+      };
+      model.find = async (query, projections, options = {}) => {
+        const found = sortDocs(
+          docs.filter((doc) => matchesQuery(doc, query)),
+          options.sort
+        );
+        return (options.limit ? found.slice(0, options.limit) : found).map((doc) => ({
+          ...doc,
+        }));
+      };
+      model.findOne = async (query) => {
+        const found = docs.find((doc) => matchesQuery(doc, query));
+        return found ? { ...found } : null;
+      };
+      model.updateOne = async (query, updateValues, options = {}) => {
+        const position = docs.findIndex((doc) => matchesQuery(doc, query));
+
+        if (position === -1) {
+          if (!options.upsert) return { acknowledged: true, modifiedCount: 0 };
+
+          const inserted = applyUpdate({ ...query }, updateValues, true);
+          docs.push(inserted);
+          return { acknowledged: true, modifiedCount: 0, upsertedCount: 1 };
+        }
+
+        docs[position] = applyUpdate(docs[position], updateValues, false);
+        return { acknowledged: true, modifiedCount: 1 };
+      };
+      model.updateMany = async (query, updateValues) => {
+        let modifiedCount = 0;
+        docs = docs.map((doc) => {
+          if (!matchesQuery(doc, query)) return doc;
+
+          modifiedCount += 1;
+          return applyUpdate(doc, updateValues, false);
+        });
+        return { acknowledged: true, modifiedCount };
+      };
+    },
+  };
+}
+
+/**
+ * Backs every mock model with an in-memory collection and stubs Mongo sessions, so services
+ * can be run end to end without a database. Call `reset` between tests and `restore` once
+ * the suite is done.
+ */
+function useMockDatabase() {
+  const collections = Object.fromEntries(
+    Object.entries(MockModels).map(([modelName, model]) => [
+      modelName,
+      createCollection(model, MockModelStubs[modelName]),
+    ])
+  );
+  const originalStartSession = mongoose.startSession;
+
+  Object.values(collections).forEach((collection) => collection.install());
+  mongoose.startSession = async () => ({
+    startTransaction() {},
+    commitTransaction: async () => {},
+    abortTransaction: async () => {},
+    endSession: async () => {},
+  });
+
+  return {
+    collections,
+    reset() {
+      Object.values(collections).forEach((collection) => collection.reset());
+    },
+    restore() {
+      mongoose.startSession = originalStartSession;
+    },
+  };
+}
+
+module.exports = { useMockDatabase };
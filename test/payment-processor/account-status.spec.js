@@ -0,0 +1,56 @@
+const { expect } = require('chai');
+const { HTTPStatusCode } = require('@app-core/server/enums');
+const { useMockDatabase } = require('../helpers/mock-database');
+const parseInstruction = require('../../services/payment-processor/parse-instruction');
+const parseInstructionEndpoint = require('../../endpoints/payment-processor/parse-instruction');
+
+function transfer(from, to, status) {
+  return {
+    instruction: `DEBIT 10 USD FROM ACCOUNT ${from} FOR CREDIT TO ACCOUNT ${to}`,
+    accounts: [
+      { id: 'a', balance: 50, currency: 'USD', status },
+      { id: 'b', balance: 50, currency: 'USD' },
+    ],
+  };
+}
+
+describe('account status', () => {
+  let database;
+
+  before(() => {
+    database = useMockDatabase();
+  });
+
+  afterEach(() => {
+    database.reset();
+  });
+
+  after(() => {
+    database.restore();
+  });
+
+  [
+    { status: 'frozen', debit: 'AC05', credit: 'AC05' },
+    { status: 'debit-blocked', debit: 'AC06', credit: 'AP00' },
+    { status: 'credit-blocked', debit: 'AP00', credit: 'AC07' },
+    { status: 'closed', debit: 'AC08', credit: 'AC08' },
+    { status: 'dormant', debit: 'AC09', credit: 'AP00' },
+  ].forEach(({ status, debit, credit }) => {
+    it(`enforces a ${status} account on the leg it blocks`, async () => {
+      const debited = await parseInstruction(transfer('a', 'b', status));
+      const credited = await parseInstruction(transfer('b', 'a', status));
+
+      expect([debited.status_code, credited.status_code]).to.deep.equal([debit, credit]);
+    });
+  });
+
+  it('refuses an instruction on an inactive account with 403', async () => {
+    const result = await parseInstructionEndpoint.handler(
+      { body: transfer('a', 'b', 'frozen'), headers: {}, properties: {} },
+      { http_statuses: HTTPStatusCode }
+    );
+
+    expect(result.status).to.equal(HTTPStatusCode.HTTP_403_FORBIDDEN);
+    expect(result.data.status_reason).to.equal('Account is frozen: debit account a is frozen');
+  });
+});
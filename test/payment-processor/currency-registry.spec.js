@@ -0,0 +1,72 @@
+const { expect } = require('chai');
+const { useMockDatabase } = require('../helpers/mock-database');
+const parseInstruction = require('../../services/payment-processor/parse-instruction');
+const {
+  loadCurrencies,
+  getCurrency,
+  getEnabledCurrencyCodes,
+  describeEnabledCurrencies,
+} = require('../../services/payment-processor/currency-registry');
+
+const DEFAULT_CODES = ['NGN', 'USD', 'GBP', 'GHS'];
+
+describe('currency registry', () => {
+  let database;
+  let previousCurrencies;
+
+  before(() => {
+    database = useMockDatabase();
+  });
+
+  beforeEach(() => {
+    previousCurrencies = DEFAULT_CODES.map(getCurrency);
+  });
+
+  afterEach(() => {
+    loadCurrencies(previousCurrencies);
+    database.reset();
+  });
+
+  after(() => {
+    database.restore();
+  });
+
+  it('lists the enabled currencies in the unsupported currency error', async () => {
+    const response = await parseInstruction({
+      instruction: 'DEBIT 10 XYZ FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      accounts: [
+        { id: 'a', balance: 100, currency: 'USD' },
+        { id: 'b', balance: 0, currency: 'USD' },
+      ],
+    });
+
+    expect(response.status_code).to.equal('CU02');
+    expect(response.status_reason).to.include('only NGN, USD, GBP and GHS are supported');
+  });
+
+  it('accepts a currency once it is loaded and enabled', async () => {
+    loadCurrencies([
+      ...previousCurrencies,
+      { code: 'jpy', minor_units: 0, symbol: '¥' },
+      { code: 'EUR', minor_units: 2, enabled: false },
+    ]);
+
+    const response = await parseInstruction({
+      instruction: 'DEBIT 500 JPY FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      accounts: [
+        { id: 'a', balance: 1000, currency: 'JPY' },
+        { id: 'b', balance: 0, currency: 'JPY' },
+      ],
+    });
+
+    expect(response.status_code).to.equal('AP00');
+    expect(getCurrency('JPY')).to.deep.equal({
+      code: 'JPY',
+      minor_units: 0,
+      symbol: '¥',
+      enabled: true,
+    });
+    expect(getEnabledCurrencyCodes()).to.deep.equal([...DEFAULT_CODES, 'JPY']);
+    expect(describeEnabledCurrencies()).to.equal('NGN, USD, GBP, GHS and JPY');
+  });
+});
@@ -0,0 +1,54 @@
+const { expect } = require('chai');
+const { useMockDatabase } = require('../helpers/mock-database');
+const parseInstruction = require('../../services/payment-processor/parse-instruction');
+
+const ACCOUNTS = [
+  { id: 'a', balance: 300, currency: 'USD' },
+  { id: 'b', balance: 0, currency: 'USD' },
+];
+
+describe('diagnostics', () => {
+  let database;
+
+  before(() => {
+    database = useMockDatabase();
+  });
+
+  after(() => {
+    database.restore();
+  });
+
+  it('lists every error in the instruction text with its location and a suggestion', async () => {
+    const response = await parseInstruction({
+      instruction: 'DEBT 10 USDD FORM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      accounts: ACCOUNTS,
+      diagnostics: true,
+    });
+
+    expect(response.status_code).to.equal('SY03');
+    expect(
+      response.diagnostics.map(({ status_code: code, token_index: index, offset, found }) => ({
+        code,
+        index,
+        offset,
+        found,
+      }))
+    ).to.deep.equal([
+      { code: 'SY03', index: 0, offset: 0, found: 'DEBT' },
+      { code: 'CU02', index: 2, offset: 8, found: 'USDD' },
+      { code: 'SY02', index: 3, offset: 13, found: 'FORM' },
+    ]);
+    expect(response.diagnostics[0].suggestion).to.equal('DEBIT');
+    expect(response.diagnostics[1]).to.include({ suggestion: 'USD' });
+    expect(response.diagnostics[2].expected).to.deep.equal(['FROM']);
+  });
+
+  it('is left out unless asked for', async () => {
+    const response = await parseInstruction({
+      instruction: 'DEBT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      accounts: ACCOUNTS,
+    });
+
+    expect(response).not.to.have.property('diagnostics');
+  });
+});
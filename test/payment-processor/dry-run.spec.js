@@ -0,0 +1,52 @@
+const { expect } = require('chai');
+const { useMockDatabase } = require('../helpers/mock-database');
+const parseInstruction = require('../../services/payment-processor/parse-instruction');
+const { setTransactionLimits } = require('../../services/payment-processor/transaction-limits');
+
+const ACCOUNTS = [
+  { id: 'a', balance: 300, currency: 'USD' },
+  { id: 'b', balance: 0, currency: 'USD' },
+];
+
+describe('dry runs', () => {
+  let database;
+
+  before(() => {
+    database = useMockDatabase();
+  });
+
+  afterEach(() => {
+    setTransactionLimits({});
+    database.reset();
+  });
+
+  after(() => {
+    database.restore();
+  });
+
+  it('returns the projected balances without storing anything', async () => {
+    const response = await parseInstruction({
+      instruction: 'DEBIT 50 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      accounts: ACCOUNTS,
+      dry_run: true,
+    });
+
+    expect(response).to.include({ status_code: 'AP00', dry_run: true });
+    expect(response).not.to.have.property('transaction_id');
+    expect(response.accounts.map((account) => account.balance)).to.deep.equal([250, 50]);
+    expect(database.collections.Transaction.docs).to.have.length(0);
+  });
+
+  it('lists every rule that would fail', async () => {
+    setTransactionLimits({ default: { per_transaction_max: 100 } });
+
+    const response = await parseInstruction({
+      instruction: 'DEBIT 400 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      accounts: ACCOUNTS,
+      dry_run: true,
+    });
+
+    expect(response.status_code).to.equal('AC01');
+    expect(response.failed_rules.map((rule) => rule.status_code)).to.deep.equal(['AC01', 'LM01']);
+  });
+});
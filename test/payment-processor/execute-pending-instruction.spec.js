@@ -0,0 +1,152 @@
+const { expect } = require('chai');
+const { ERROR_CODE } = require('@app-core/errors');
+const { useMockDatabase } = require('../helpers/mock-database');
+const parseInstruction = require('../../services/payment-processor/parse-instruction');
+const executePendingInstruction = require('../../services/payment-processor/execute-pending-instruction');
+
+const DAY_MILLIS = 24 * 60 * 60 * 1000;
+const MINUTE_MILLIS = 60 * 1000;
+const FIRST_ATTEMPT = { attempt: 1, max_attempts: 5 };
+
+function toDate(millis) {
+  return new Date(millis).toISOString().slice(0, 10);
+}
+
+async function runLater(millis, run) {
+  const realNow = Date.now;
+  const shiftedNow = realNow() + millis;
+  Date.now = () => shiftedNow;
+
+  try {
+    return await run();
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+describe('executePendingInstruction', () => {
+  let database;
+
+  before(() => {
+    database = useMockDatabase();
+  });
+
+  afterEach(() => {
+    database.reset();
+  });
+
+  after(() => {
+    database.restore();
+  });
+
+  it('replays inline accounts with the overdraft facility they were sent with', async () => {
+    const tomorrow = toDate(Date.now() + DAY_MILLIS);
+    const scheduled = await parseInstruction({
+      instruction: `DEBIT 120 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON ${tomorrow}`,
+      accounts: [
+        { id: 'a', balance: 50, currency: 'USD', overdraft: { limit: 100 } },
+        { id: 'b', balance: 0, currency: 'USD' },
+      ],
+    });
+
+    expect(scheduled.status_code).to.equal('AP02');
+
+    const result = await runLater(2 * DAY_MILLIS, () =>
+      executePendingInstruction({
+        pending_instruction_id: scheduled.pending_instruction_id,
+        ...FIRST_ATTEMPT,
+      })
+    );
+
+    expect(result.status).to.equal('successful');
+    expect(result.result.overdraft).to.deep.include({ account_id: 'a', drawn_amount: 70 });
+    expect(database.collections.PendingInstruction.docs[0].status).to.equal('successful');
+  });
+
+  describe('claims', () => {
+    let pendingInstructionId;
+
+    beforeEach(async () => {
+      const tomorrow = toDate(Date.now() + DAY_MILLIS);
+      const scheduled = await parseInstruction({
+        instruction: `DEBIT 20 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON ${tomorrow}`,
+        accounts: [
+          { id: 'a', balance: 50, currency: 'USD' },
+          { id: 'b', balance: 0, currency: 'USD' },
+        ],
+      });
+      pendingInstructionId = scheduled.pending_instruction_id;
+    });
+
+    function claimAt(claimedAt) {
+      Object.assign(database.collections.PendingInstruction.docs[0], {
+        status: 'executing',
+        claimed_at: claimedAt,
+      });
+    }
+
+    it('leaves an instruction claimed by a running job alone', async () => {
+      const result = await runLater(2 * DAY_MILLIS, () => {
+        claimAt(Date.now() - MINUTE_MILLIS);
+        return executePendingInstruction({
+          pending_instruction_id: pendingInstructionId,
+          ...FIRST_ATTEMPT,
+        });
+      });
+
+      expect(result.status).to.equal('executing');
+      expect(database.collections.Transaction.docs).to.have.length(0);
+    });
+
+    it('takes over a stale claim left by a job that died mid-run', async () => {
+      const result = await runLater(2 * DAY_MILLIS, () => {
+        claimAt(Date.now() - 15 * MINUTE_MILLIS);
+        return executePendingInstruction({
+          pending_instruction_id: pendingInstructionId,
+          attempt: 2,
+          max_attempts: 5,
+        });
+      });
+
+      expect(result.status).to.equal('successful');
+      expect(database.collections.PendingInstruction.docs[0].status).to.equal('successful');
+    });
+
+    it('hands the claim back when an attempt fires before the execution date', async () => {
+      let error;
+      try {
+        await executePendingInstruction({
+          pending_instruction_id: pendingInstructionId,
+          ...FIRST_ATTEMPT,
+        });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.errorCode).to.equal(ERROR_CODE.APPERR);
+      expect(database.collections.PendingInstruction.docs[0].status).to.equal('pending');
+    });
+
+    it('marks the instruction failed when its last attempt fails', async () => {
+      let error;
+      try {
+        await executePendingInstruction({
+          pending_instruction_id: pendingInstructionId,
+          attempt: 5,
+          max_attempts: 5,
+        });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.errorCode).to.equal(ERROR_CODE.APPERR);
+      expect(database.collections.PendingInstruction.docs[0]).to.include({
+        status: 'failed',
+        status_code: 'PI01',
+      });
+      expect(database.collections.PendingInstruction.docs[0].status_reason).to.include(
+        'last attempt'
+      );
+    });
+  });
+});
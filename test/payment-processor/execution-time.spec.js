@@ -0,0 +1,90 @@
+const { expect } = require('chai');
+const { ERROR_CODE } = require('@app-core/errors');
+const { useMockDatabase } = require('../helpers/mock-database');
+const parseInstruction = require('../../services/payment-processor/parse-instruction');
+
+const ACCOUNTS = [
+  { id: 'a', balance: 300, currency: 'USD' },
+  { id: 'b', balance: 0, currency: 'USD' },
+];
+const INSTRUCTION = 'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2026-10-20';
+// 00:30 on 2026-10-20 in Lagos
+const LAGOS_AFTER_MIDNIGHT = Date.parse('2026-10-19T23:30:00Z');
+
+async function runAt(millis, run) {
+  const realNow = Date.now;
+  Date.now = () => millis;
+
+  try {
+    return await run();
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+describe('execution times', () => {
+  let database;
+
+  before(() => {
+    database = useMockDatabase();
+  });
+
+  afterEach(() => {
+    database.reset();
+  });
+
+  after(() => {
+    database.restore();
+  });
+
+  it('reads the date in the request timezone', async () => {
+    const response = await runAt(LAGOS_AFTER_MIDNIGHT, () =>
+      parseInstruction({ instruction: INSTRUCTION, accounts: ACCOUNTS, timezone: 'Africa/Lagos' })
+    );
+
+    expect(response).to.include({ status_code: 'AP00', execute_by: '2026-10-20T00:00:00+01:00' });
+  });
+
+  it('falls back to the timezone of the debit account, then UTC', async () => {
+    const inLagos = await runAt(LAGOS_AFTER_MIDNIGHT, () =>
+      parseInstruction({
+        instruction: INSTRUCTION,
+        accounts: [{ ...ACCOUNTS[0], timezone: 'Africa/Lagos' }, ACCOUNTS[1]],
+      })
+    );
+    const inUtc = await runAt(LAGOS_AFTER_MIDNIGHT, () =>
+      parseInstruction({ instruction: INSTRUCTION, accounts: ACCOUNTS })
+    );
+
+    expect(inLagos.status_code).to.equal('AP00');
+    expect(inUtc).to.include({ status_code: 'AP02', execute_by: '2026-10-20' });
+  });
+
+  it('accepts an ISO datetime with its offset', async () => {
+    const response = await runAt(LAGOS_AFTER_MIDNIGHT, () =>
+      parseInstruction({
+        instruction:
+          'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON 2026-10-20T09:00+01:00',
+        accounts: ACCOUNTS,
+      })
+    );
+
+    expect(response).to.include({ status_code: 'AP02', execute_by: '2026-10-20T09:00:00+01:00' });
+  });
+
+  it('rejects an unknown timezone', async () => {
+    let error;
+    try {
+      await parseInstruction({
+        instruction: INSTRUCTION,
+        accounts: ACCOUNTS,
+        timezone: 'Mars/Base',
+      });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).to.be.an('error');
+    expect(error.errorCode).to.equal(ERROR_CODE.VALIDATIONERR);
+  });
+});
@@ -0,0 +1,86 @@
+const { expect } = require('chai');
+const { ERROR_CODE } = require('@app-core/errors');
+const { useMockDatabase } = require('../helpers/mock-database');
+const parseInstruction = require('../../services/payment-processor/parse-instruction');
+const { setFeeRules, calculateFee } = require('../../services/payment-processor/fee-engine');
+
+const ACCOUNTS = [
+  { id: 'a', balance: 100, currency: 'USD' },
+  { id: 'b', balance: 0, currency: 'USD' },
+];
+
+describe('fees', () => {
+  let database;
+
+  before(() => {
+    database = useMockDatabase();
+  });
+
+  beforeEach(() => {
+    setFeeRules([
+      { name: 'transfer', type: 'percentage', rate: 1.5, min: 1, max: 10 },
+      { name: 'usd_flat', type: 'flat', amount: 0.5, currency: 'USD' },
+    ]);
+  });
+
+  afterEach(() => {
+    setFeeRules([]);
+    database.reset();
+  });
+
+  after(() => {
+    database.restore();
+  });
+
+  it('debits the fee with the amount and lists each rule charged', async () => {
+    const response = await parseInstruction({
+      instruction: 'DEBIT 50 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      accounts: ACCOUNTS,
+    });
+
+    expect(response.status_code).to.equal('AP00');
+    expect(response.fee).to.deep.equal({
+      total: 1.5,
+      currency: 'USD',
+      lines: [
+        { rule: 'transfer', type: 'percentage', amount: 1 },
+        { rule: 'usd_flat', type: 'flat', amount: 0.5 },
+      ],
+    });
+    expect(response.accounts.map((account) => account.balance)).to.deep.equal([48.5, 50]);
+  });
+
+  it('checks the funds against the amount plus the fee', async () => {
+    const response = await parseInstruction({
+      instruction: 'DEBIT 99 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      accounts: ACCOUNTS,
+    });
+
+    expect(response.status_code).to.equal('AC01');
+    expect(response.status_reason).to.include('required is 100.99 (including fee of 1.99)');
+  });
+
+  it('charges the tier the amount falls in', () => {
+    setFeeRules([
+      {
+        name: 'tiered',
+        type: 'tiered',
+        applies_to: ['debit'],
+        tiers: [
+          { up_to: 100, amount: 1 },
+          { up_to: null, rate: 2 },
+        ],
+      },
+    ]);
+
+    expect(calculateFee({ type: 'DEBIT', amount: 100, currency: 'USD' }).total).to.equal(1);
+    expect(calculateFee({ type: 'DEBIT', amount: 500, currency: 'USD' }).total).to.equal(10);
+    expect(calculateFee({ type: 'CREDIT', amount: 500, currency: 'USD' }).total).to.equal(0);
+  });
+
+  it('rejects an invalid rule with FEEERR', () => {
+    expect(() => setFeeRules([{ name: 'broken', type: 'flat' }]))
+      .to.throw('broken')
+      .with.property('errorCode', ERROR_CODE.FEEERR);
+  });
+});
@@ -0,0 +1,77 @@
+const { expect } = require('chai');
+const { useMockDatabase } = require('../helpers/mock-database');
+const parseInstruction = require('../../services/payment-processor/parse-instruction');
+const {
+  createStaticRateProvider,
+  setRateProvider,
+  getRateProvider,
+  convertAmount,
+} = require('../../services/payment-processor/fx-rate-provider');
+
+const ACCOUNTS = [
+  { id: 'a', balance: 100, currency: 'USD' },
+  { id: 'b', balance: 0, currency: 'NGN' },
+  { id: 'c', balance: 0, currency: 'GHS' },
+];
+
+describe('cross-currency transfers', () => {
+  let database;
+  let previousProvider;
+
+  before(() => {
+    database = useMockDatabase();
+  });
+
+  beforeEach(() => {
+    previousProvider = getRateProvider();
+    setRateProvider(createStaticRateProvider({ 'USD:NGN': 1550.5 }));
+  });
+
+  afterEach(() => {
+    setRateProvider(previousProvider);
+    database.reset();
+  });
+
+  after(() => {
+    database.restore();
+  });
+
+  it('credits the converted amount and reports the rate applied', async () => {
+    const response = await parseInstruction({
+      instruction: 'DEBIT 10.25 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      accounts: ACCOUNTS,
+    });
+
+    expect(response.status_code).to.equal('AP00');
+    expect(response.fx).to.deep.equal({
+      provider: 'static',
+      rate: 1550.5,
+      source_currency: 'USD',
+      target_currency: 'NGN',
+      source_amount: 10.25,
+      converted_amount: 15892.63,
+      rounding: { decimals: 2, mode: 'half_up' },
+    });
+    expect(response.accounts.map((account) => account.balance)).to.deep.equal([89.75, 15892.63]);
+  });
+
+  it('fails with CU01 when no rate is available', async () => {
+    const response = await parseInstruction({
+      instruction: 'DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT c',
+      accounts: ACCOUNTS,
+    });
+
+    expect(response.status_code).to.equal('CU01');
+    expect(response.status_reason).to.include('No exchange rate available from USD to GHS');
+  });
+
+  it('derives the inverse of a configured pair', () => {
+    const conversion = convertAmount({ amount: 3101, from: 'NGN', to: 'USD' });
+
+    expect(conversion).to.include({ valid: true, converted_amount: 2 });
+  });
+
+  it('only accepts providers implementing getRate', () => {
+    expect(() => setRateProvider({ name: 'broken' })).to.throw('getRate');
+  });
+});
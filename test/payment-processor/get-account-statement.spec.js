@@ -0,0 +1,95 @@
+const { expect } = require('chai');
+const { ERROR_CODE } = require('@app-core/errors');
+const { useMockDatabase } = require('../helpers/mock-database');
+const getAccountStatement = require('../../services/payment-processor/get-account-statement');
+
+const CREATED = Date.parse('2026-01-15T12:00:00Z');
+
+function createTransaction(position) {
+  return {
+    transaction_id: `txn-${position}`,
+    type: 'DEBIT',
+    amount: 1,
+    currency: 'USD',
+    debit_account: 'a',
+    credit_account: 'b',
+    status: 'successful',
+    created: CREATED + position,
+  };
+}
+
+describe('getAccountStatement', () => {
+  let database;
+
+  before(() => {
+    database = useMockDatabase();
+  });
+
+  beforeEach(() => {
+    database.collections.Account.docs.push({ _id: 'a', balance: 0, currency: 'USD' });
+  });
+
+  afterEach(() => {
+    database.reset();
+  });
+
+  after(() => {
+    database.restore();
+  });
+
+  it('totals the range between the opening and closing balances', async () => {
+    database.collections.Transaction.docs.push(createTransaction(1), createTransaction(2));
+    database.collections.LedgerEntry.docs.push(
+      { _id: '1', transaction_id: 'txn-1', account_id: 'a', balance_before: 10, balance_after: 9 },
+      { _id: '2', transaction_id: 'txn-2', account_id: 'a', balance_before: 9, balance_after: 8 }
+    );
+
+    const statement = await getAccountStatement({
+      account_id: 'a',
+      from: '2026-01-01',
+      to: '2026-01-31',
+    });
+
+    expect(statement).to.include({ format: 'json', opening_balance: 10, closing_balance: 8 });
+    expect(statement.totals).to.deep.equal({ credits: 0, debits: 2, fees: 0 });
+    expect(statement.transactions.map((row) => row.transaction_id)).to.deep.equal([
+      'txn-1',
+      'txn-2',
+    ]);
+  });
+
+  it('builds the statement as a CSV document', async () => {
+    database.collections.Transaction.docs.push(createTransaction(1));
+
+    const statement = await getAccountStatement({
+      account_id: 'a',
+      from: '2026-01-01',
+      to: '2026-01-31',
+      format: 'csv',
+    });
+
+    expect(statement).to.include({
+      content_type: 'text/csv',
+      file_name: 'statement-a-2026-01-01-2026-01-31.csv',
+    });
+    expect(statement.content.split('\r\n')[0]).to.match(/^date,transaction_id,type,/);
+    expect(statement.content).to.include('txn-1');
+  });
+
+  it('refuses a range holding more than 5000 transactions', async () => {
+    database.collections.Transaction.docs.push(
+      ...Array.from({ length: 5001 }, (_, position) => createTransaction(position))
+    );
+
+    let error;
+    try {
+      await getAccountStatement({ account_id: 'a', from: '2026-01-01', to: '2026-01-31' });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).to.be.an('error');
+    expect(error.errorCode).to.equal(ERROR_CODE.VALIDATIONERR);
+    expect(error.message).to.include('at most 5000 transactions');
+  });
+});
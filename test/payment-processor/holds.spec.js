@@ -0,0 +1,96 @@
+const { expect } = require('chai');
+const { useMockDatabase } = require('../helpers/mock-database');
+const parseInstruction = require('../../services/payment-processor/parse-instruction');
+
+const AUTHORIZE = 'AUTHORIZE 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b';
+
+describe('account holds', () => {
+  let database;
+
+  before(() => {
+    database = useMockDatabase();
+  });
+
+  beforeEach(() => {
+    database.collections.Account.docs.push(
+      { _id: 'a', balance: 150, currency: 'USD', status: 'active' },
+      { _id: 'b', balance: 0, currency: 'USD', status: 'active' }
+    );
+  });
+
+  afterEach(() => {
+    database.reset();
+  });
+
+  after(() => {
+    database.restore();
+  });
+
+  it('holds funds on stored accounts and leaves them out of the available balance', async () => {
+    const hold = await parseInstruction({ instruction: AUTHORIZE, account_ids: ['a', 'b'] });
+
+    expect(hold.status_code).to.equal('AP00');
+    expect(hold.hold_id).to.be.a('string');
+
+    const debit = await parseInstruction({
+      instruction: 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      account_ids: ['a', 'b'],
+    });
+
+    expect(debit.status_code).to.equal('AC01');
+  });
+
+  it('captures a hold on stored accounts', async () => {
+    const hold = await parseInstruction({ instruction: AUTHORIZE, account_ids: ['a', 'b'] });
+    const capture = await parseInstruction({
+      instruction: `CAPTURE HOLD ${hold.hold_id}`,
+      account_ids: ['a', 'b'],
+    });
+
+    expect(capture.status_code).to.equal('AP00');
+    expect(capture.accounts.find((account) => account.id === 'a').balance).to.equal(50);
+  });
+
+  it('releases the held funds when a hold is voided', async () => {
+    const hold = await parseInstruction({ instruction: AUTHORIZE, account_ids: ['a', 'b'] });
+    const voided = await parseInstruction({
+      instruction: `VOID HOLD ${hold.hold_id}`,
+      account_ids: ['a', 'b'],
+    });
+    const debit = await parseInstruction({
+      instruction: 'DEBIT 150 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      account_ids: ['a', 'b'],
+    });
+
+    expect(voided.status_code).to.equal('AP00');
+    expect(database.collections.Hold.docs[0].status).to.equal('voided');
+    expect(debit.status_code).to.equal('AP00');
+  });
+
+  it('refuses to place a hold on inline accounts', async () => {
+    const hold = await parseInstruction({
+      instruction: AUTHORIZE,
+      accounts: [
+        { id: 'a', balance: 150, currency: 'USD' },
+        { id: 'b', balance: 0, currency: 'USD' },
+      ],
+    });
+
+    expect(hold.status_code).to.equal('SO01');
+    expect(database.collections.Hold.docs).to.have.length(0);
+  });
+
+  it('does not apply holds on stored accounts to inline accounts with the same id', async () => {
+    await parseInstruction({ instruction: AUTHORIZE, account_ids: ['a', 'b'] });
+
+    const debit = await parseInstruction({
+      instruction: 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      accounts: [
+        { id: 'a', balance: 150, currency: 'USD' },
+        { id: 'b', balance: 0, currency: 'USD' },
+      ],
+    });
+
+    expect(debit.status_code).to.equal('AP00');
+  });
+});
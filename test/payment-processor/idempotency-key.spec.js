@@ -0,0 +1,76 @@
+const { expect } = require('chai');
+const { ERROR_CODE } = require('@app-core/errors');
+const { HTTPStatusCode } = require('@app-core/server/enums');
+const { useMockDatabase } = require('../helpers/mock-database');
+const parseInstructionEndpoint = require('../../endpoints/payment-processor/parse-instruction');
+
+const BODY = {
+  instruction: 'DEBIT 60 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+  account_ids: ['a', 'b'],
+};
+
+function post(body, idempotencyKey) {
+  return parseInstructionEndpoint.handler(
+    {
+      body,
+      headers: idempotencyKey ? { 'idempotency-key': idempotencyKey } : {},
+      properties: {},
+    },
+    { http_statuses: HTTPStatusCode }
+  );
+}
+
+describe('POST /payment-instructions with an Idempotency-Key', () => {
+  let database;
+
+  before(() => {
+    database = useMockDatabase();
+  });
+
+  beforeEach(() => {
+    database.collections.Account.docs.push(
+      { _id: 'a', balance: 200, currency: 'USD', status: 'active' },
+      { _id: 'b', balance: 0, currency: 'USD', status: 'active' }
+    );
+  });
+
+  afterEach(() => {
+    database.reset();
+  });
+
+  after(() => {
+    database.restore();
+  });
+
+  it('returns the stored response to a replay without executing it again', async () => {
+    const first = await post(BODY, 'key-1');
+    const replay = await post(BODY, 'key-1');
+
+    expect(replay).to.deep.equal(first);
+    expect(database.collections.Transaction.docs).to.have.length(1);
+    expect(database.collections.Account.docs[0].balance).to.equal(140);
+  });
+
+  it('rejects the same key with a different body as DUPLRCRD', async () => {
+    await post(BODY, 'key-1');
+
+    let error;
+    try {
+      await post({ ...BODY, instruction: BODY.instruction.replace('60', '10') }, 'key-1');
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).to.be.an('error');
+    expect(error.errorCode).to.equal(ERROR_CODE.DUPLRCRD);
+  });
+
+  it('takes over a key once it has expired', async () => {
+    await post(BODY, 'key-1');
+    database.collections.IdempotencyKey.docs[0].expires_at = new Date(Date.now() - 1000);
+
+    await post(BODY, 'key-1');
+
+    expect(database.collections.Transaction.docs).to.have.length(2);
+  });
+});
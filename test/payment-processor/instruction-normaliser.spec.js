@@ -0,0 +1,89 @@
+const { expect } = require('chai');
+const { ERROR_CODE } = require('@app-core/errors');
+const { useMockDatabase } = require('../helpers/mock-database');
+const parseInstruction = require('../../services/payment-processor/parse-instruction');
+const {
+  DEFAULT_PHRASINGS,
+  setInstructionPhrasings,
+} = require('../../services/payment-processor/instruction-normaliser');
+
+const ACCOUNTS = [
+  { id: 'a', balance: 300, currency: 'USD' },
+  { id: 'b', balance: 0, currency: 'USD' },
+];
+
+describe('instruction phrasings', () => {
+  let database;
+
+  before(() => {
+    database = useMockDatabase();
+  });
+
+  afterEach(() => {
+    setInstructionPhrasings(DEFAULT_PHRASINGS);
+    database.reset();
+  });
+
+  after(() => {
+    database.restore();
+  });
+
+  it('runs a SEND instruction in its canonical form and echoes it back', async () => {
+    const response = await parseInstruction({
+      instruction: 'SEND 50 USD FROM a TO b',
+      accounts: ACCOUNTS,
+    });
+
+    expect(response).to.include({
+      status_code: 'AP00',
+      type: 'DEBIT',
+      canonical_instruction: 'DEBIT 50 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+    });
+  });
+
+  it('reads a TRANSFER to an account from another as a credit', async () => {
+    const response = await parseInstruction({
+      instruction: 'TRANSFER 50 USD TO ACCOUNT b FROM ACCOUNT a',
+      accounts: ACCOUNTS,
+    });
+
+    expect(response).to.include({
+      status_code: 'AP00',
+      canonical_instruction: 'CREDIT 50 USD TO ACCOUNT b FOR DEBIT FROM ACCOUNT a',
+    });
+  });
+
+  it('uses the phrasings configured', async () => {
+    setInstructionPhrasings([
+      {
+        verbs: ['MOVE'],
+        pattern: '<amount> <currency> <debit_account> -> <credit_account>',
+        canonical:
+          'DEBIT <amount> <currency> FROM ACCOUNT <debit_account> FOR CREDIT TO ACCOUNT <credit_account>',
+      },
+    ]);
+
+    const moved = await parseInstruction({ instruction: 'move 20 USD a -> b', accounts: ACCOUNTS });
+    const sent = await parseInstruction({
+      instruction: 'SEND 50 USD FROM a TO b',
+      accounts: ACCOUNTS,
+    });
+
+    expect(moved.status_code).to.equal('AP00');
+    expect(sent.status_code).to.equal('SY03');
+  });
+
+  it('rejects a phrasing missing a slot of its canonical form', () => {
+    expect(() =>
+      setInstructionPhrasings([
+        {
+          verbs: ['MOVE'],
+          pattern: '<amount> <currency> <debit_account>',
+          canonical: DEFAULT_PHRASINGS[0].canonical,
+        },
+      ])
+    )
+      .to.throw()
+      .with.property('errorCode', ERROR_CODE.APPERR);
+  });
+});
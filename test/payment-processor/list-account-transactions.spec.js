@@ -0,0 +1,74 @@
+const { expect } = require('chai');
+const { useMockDatabase } = require('../helpers/mock-database');
+const listAccountTransactions = require('../../services/payment-processor/list-account-transactions');
+
+const CREATED = Date.parse('2026-01-15T12:00:00Z');
+
+function toId(position) {
+  return `${position}`.padStart(26, '0');
+}
+
+describe('listAccountTransactions', () => {
+  let database;
+
+  before(() => {
+    database = useMockDatabase();
+  });
+
+  beforeEach(() => {
+    database.collections.Account.docs.push({ _id: 'a', balance: 70, currency: 'USD' });
+    [1, 2, 3].forEach((position) => {
+      database.collections.Transaction.docs.push({
+        _id: toId(position),
+        transaction_id: `txn-${position}`,
+        type: 'DEBIT',
+        amount: 10,
+        currency: 'USD',
+        debit_account: 'a',
+        credit_account: 'b',
+        status: 'completed',
+        created: CREATED + position,
+      });
+      database.collections.LedgerEntry.docs.push({
+        _id: toId(position),
+        transaction_id: `txn-${position}`,
+        account_id: 'a',
+        balance_before: 110 - position * 10,
+        balance_after: 100 - position * 10,
+      });
+    });
+  });
+
+  afterEach(() => {
+    database.reset();
+  });
+
+  after(() => {
+    database.restore();
+  });
+
+  it('lists the transactions newest first with the balance after each', async () => {
+    const page = await listAccountTransactions({ account_id: 'a', limit: 2 });
+
+    expect(
+      page.transactions.map((transaction) => [
+        transaction.transaction_id,
+        transaction.direction,
+        transaction.balance_after,
+      ])
+    ).to.deep.equal([
+      ['txn-3', 'debit', 70],
+      ['txn-2', 'debit', 80],
+    ]);
+    expect(page.pagination).to.deep.equal({ limit: 2, next_cursor: toId(2) });
+  });
+
+  it('reads the next page from the cursor', async () => {
+    const page = await listAccountTransactions({ account_id: 'a', limit: 2, cursor: toId(2) });
+
+    expect(page.transactions.map((transaction) => transaction.transaction_id)).to.deep.equal([
+      'txn-1',
+    ]);
+    expect(page.pagination.next_cursor).to.equal(null);
+  });
+});
@@ -0,0 +1,72 @@
+const { expect } = require('chai');
+const { useMockDatabase } = require('../helpers/mock-database');
+const parseInstruction = require('../../services/payment-processor/parse-instruction');
+const {
+  toMinorUnits,
+  fromMinorUnits,
+  roundToMinorUnits,
+} = require('../../services/payment-processor/minor-units');
+
+describe('decimal amounts', () => {
+  let database;
+
+  before(() => {
+    database = useMockDatabase();
+  });
+
+  afterEach(() => {
+    database.reset();
+  });
+
+  after(() => {
+    database.restore();
+  });
+
+  it('accepts amounts within the minor units of the currency', async () => {
+    const response = await parseInstruction({
+      instruction: 'DEBIT 10.50 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      accounts: [
+        { id: 'a', balance: 100, currency: 'USD' },
+        { id: 'b', balance: 0, currency: 'USD' },
+      ],
+    });
+
+    expect(response.status_code).to.equal('AP00');
+    expect(response.amount).to.equal(10.5);
+    expect(response.accounts.map((account) => account.balance)).to.deep.equal([89.5, 10.5]);
+  });
+
+  it('rejects more decimal places than the currency has (AM01)', async () => {
+    const response = await parseInstruction({
+      instruction: 'DEBIT 10.255 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      accounts: [
+        { id: 'a', balance: 100, currency: 'USD' },
+        { id: 'b', balance: 0, currency: 'USD' },
+      ],
+    });
+
+    expect(response.status_code).to.equal('AM01');
+    expect(response.status_reason).to.include('USD allows at most 2 decimal place(s)');
+  });
+
+  it('moves balances without floating point errors', async () => {
+    const response = await parseInstruction({
+      instructions: [
+        'DEBIT 0.1 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+        'DEBIT 0.2 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      ],
+      accounts: [
+        { id: 'a', balance: 0.3, currency: 'USD' },
+        { id: 'b', balance: 0, currency: 'USD' },
+      ],
+    });
+
+    expect(response.accounts.map((account) => account.balance)).to.deep.equal([0, 0.3]);
+  });
+
+  it('converts between major and minor units', () => {
+    expect(toMinorUnits(10.5, 'USD')).to.equal(1050);
+    expect(fromMinorUnits(1050, 'USD')).to.equal(10.5);
+    expect(roundToMinorUnits(1.005, 'USD')).to.equal(1.01);
+  });
+});
@@ -0,0 +1,79 @@
+const { expect } = require('chai');
+const { useMockDatabase } = require('../helpers/mock-database');
+const parseInstruction = require('../../services/payment-processor/parse-instruction');
+const {
+  createConfiguredChargeHook,
+  setOverdraftChargeHook,
+  getOverdraftChargeHook,
+} = require('../../services/payment-processor/overdraft-policy');
+
+function debit(amount, overdraft) {
+  return parseInstruction({
+    instruction: `DEBIT ${amount} USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b`,
+    accounts: [
+      { id: 'a', balance: 50, currency: 'USD', overdraft },
+      { id: 'b', balance: 0, currency: 'USD' },
+    ],
+  });
+}
+
+describe('overdrafts', () => {
+  let database;
+  let previousHook;
+
+  before(() => {
+    database = useMockDatabase();
+  });
+
+  beforeEach(() => {
+    previousHook = getOverdraftChargeHook();
+  });
+
+  afterEach(() => {
+    setOverdraftChargeHook(previousHook);
+    database.reset();
+  });
+
+  after(() => {
+    database.restore();
+  });
+
+  it('lets a debit draw on the overdraft and reports it', async () => {
+    const response = await debit(120, { limit: 100 });
+
+    expect(response.status_code).to.equal('AP00');
+    expect(response.accounts[0].balance).to.equal(-70);
+    expect(response.overdraft).to.include({
+      account_id: 'a',
+      entered: true,
+      drawn_amount: 70,
+      limit_exceeded: false,
+    });
+  });
+
+  it('fails with AC01 once the overdraft limit is used up', async () => {
+    const response = await debit(200, { limit: 100 });
+
+    expect(response.status_code).to.equal('AC01');
+    expect(response.status_reason).to.include('overdraft limit is 100');
+  });
+
+  it('lets a debit past the limit through flagged in warn mode', async () => {
+    const response = await debit(200, { limit: 100, mode: 'warn' });
+
+    expect(response.status_code).to.equal('AP00');
+    expect(response.overdraft).to.include({ limit_exceeded: true, overdrawn_amount: 150 });
+  });
+
+  it('debits the overdraft charge with the fee', async () => {
+    setOverdraftChargeHook(createConfiguredChargeHook({ amount: 5, rate: 10 }));
+
+    const response = await debit(120, { limit: 100 });
+
+    expect(response.overdraft.charge).to.equal(12);
+    expect(response.fee.lines).to.deep.equal([
+      { rule: 'overdraft', type: 'overdraft', amount: 12 },
+    ]);
+    expect(response.accounts[0].balance).to.equal(-82);
+  });
+});
@@ -0,0 +1,52 @@
+const { expect } = require('chai');
+const { useMockDatabase } = require('../helpers/mock-database');
+const parseInstruction = require('../../services/payment-processor/parse-instruction');
+
+const ACCOUNTS = [
+  { id: 'a', balance: 100, currency: 'USD' },
+  { id: 'b', balance: 0, currency: 'USD' },
+];
+const TRANSFER = 'DEBIT 60 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b';
+
+describe('parseInstruction atomic batches', () => {
+  let database;
+
+  before(() => {
+    database = useMockDatabase();
+  });
+
+  afterEach(() => {
+    database.reset();
+  });
+
+  after(() => {
+    database.restore();
+  });
+
+  it('rolls every instruction back when one fails', async () => {
+    const response = await parseInstruction({
+      instructions: [TRANSFER, TRANSFER],
+      accounts: ACCOUNTS,
+      atomic: true,
+    });
+
+    expect(response.rolled_back).to.equal(true);
+    expect(response.instructions[0]).to.include({ status_code: 'RB01', rolled_back: true });
+    expect(response.instructions[1]).to.include({ status_code: 'AC01', rolled_back: false });
+    expect(response.accounts.map((account) => account.balance)).to.deep.equal([100, 0]);
+    expect(response.summary).to.include({ successful: 0, failed: 1, rolled_back: 1 });
+    expect(database.collections.Transaction.docs).to.have.length(0);
+  });
+
+  it('applies every instruction when none fails', async () => {
+    const response = await parseInstruction({
+      instructions: [TRANSFER, 'DEBIT 40 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b'],
+      accounts: ACCOUNTS,
+      atomic: true,
+    });
+
+    expect(response.rolled_back).to.equal(false);
+    expect(response.accounts.map((account) => account.balance)).to.deep.equal([0, 100]);
+    expect(database.collections.Transaction.docs).to.have.length(2);
+  });
+});
@@ -0,0 +1,60 @@
+const { expect } = require('chai');
+const { useMockDatabase } = require('../helpers/mock-database');
+const parseInstruction = require('../../services/payment-processor/parse-instruction');
+
+const ACCOUNTS = [
+  { id: 'a', balance: 100, currency: 'USD' },
+  { id: 'b', balance: 0, currency: 'USD' },
+];
+const TRANSFER = 'DEBIT 60 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b';
+
+describe('parseInstruction batches', () => {
+  let database;
+
+  before(() => {
+    database = useMockDatabase();
+  });
+
+  afterEach(() => {
+    database.reset();
+  });
+
+  after(() => {
+    database.restore();
+  });
+
+  it('carries the balances of each instruction over to the next', async () => {
+    const response = await parseInstruction({
+      instructions: [TRANSFER, 'DEBIT 30 USD FROM ACCOUNT b FOR CREDIT TO ACCOUNT a'],
+      accounts: ACCOUNTS,
+    });
+
+    expect(response.instructions.map((result) => result.status_code)).to.deep.equal([
+      'AP00',
+      'AP00',
+    ]);
+    expect(response.instructions[1].accounts.find((account) => account.id === 'b')).to.include({
+      balance_before: 60,
+      balance: 30,
+    });
+    expect(response.accounts).to.deep.include({
+      id: 'a',
+      balance: 70,
+      balance_before: 100,
+      available_balance: 70,
+      currency: 'USD',
+    });
+  });
+
+  it('reports each instruction on its own and sums them up', async () => {
+    const response = await parseInstruction({
+      instructions: [TRANSFER, TRANSFER],
+      accounts: ACCOUNTS,
+    });
+
+    expect(response.instructions.map((result) => result.index)).to.deep.equal([0, 1]);
+    expect(response.instructions[1].status_code).to.equal('AC01');
+    expect(response.summary).to.include({ total: 2, successful: 1, failed: 1 });
+    expect(response.accounts.find((account) => account.id === 'a').balance).to.equal(40);
+  });
+});
@@ -0,0 +1,112 @@
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const { useMockDatabase } = require('../helpers/mock-database');
+const parseInstruction = require('../../services/payment-processor/parse-instruction');
+
+const ACCOUNTS = [
+  { id: 'a', balance: 500, currency: 'USD' },
+  { id: 'b', balance: 0, currency: 'USD' },
+];
+
+describe('parseInstruction persistence', () => {
+  let database;
+  let sessionsStarted;
+  let startSession;
+
+  before(() => {
+    database = useMockDatabase();
+  });
+
+  beforeEach(() => {
+    sessionsStarted = 0;
+    startSession = mongoose.startSession;
+    mongoose.startSession = async () => {
+      sessionsStarted += 1;
+      return startSession();
+    };
+  });
+
+  afterEach(() => {
+    mongoose.startSession = startSession;
+    database.reset();
+  });
+
+  after(() => {
+    database.restore();
+  });
+
+  it('stores every executed transaction under its transaction id', async () => {
+    const response = await parseInstruction({
+      instruction: 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      accounts: ACCOUNTS,
+    });
+
+    expect(response.status_code).to.equal('AP00');
+    expect(sessionsStarted).to.equal(1);
+    expect(database.collections.Transaction.docs).to.have.length(1);
+    expect(database.collections.Transaction.docs[0]).to.include({
+      transaction_id: response.transaction_id,
+      amount: 100,
+    });
+  });
+
+  it('moves the balances of stored accounts and writes a ledger entry per account', async () => {
+    database.collections.Account.docs.push(
+      { _id: 'a', balance: 500, currency: 'USD', status: 'active' },
+      { _id: 'b', balance: 0, currency: 'USD', status: 'active' }
+    );
+
+    const response = await parseInstruction({
+      instruction: 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      account_ids: ['a', 'b'],
+    });
+
+    expect(response.status_code).to.equal('AP00');
+    expect(database.collections.Account.docs.map((account) => account.balance)).to.deep.equal([
+      400, 100,
+    ]);
+    expect(
+      database.collections.LedgerEntry.docs.map((entry) => ({
+        account_id: entry.account_id,
+        entry_type: entry.entry_type,
+        balance_after: entry.balance_after,
+        transaction_id: entry.transaction_id,
+      }))
+    ).to.deep.equal([
+      {
+        account_id: 'a',
+        entry_type: 'debit',
+        balance_after: 400,
+        transaction_id: response.transaction_id,
+      },
+      {
+        account_id: 'b',
+        entry_type: 'credit',
+        balance_after: 100,
+        transaction_id: response.transaction_id,
+      },
+    ]);
+  });
+
+  it('opens no session for a run with nothing to store', async () => {
+    const response = await parseInstruction({
+      instruction: 'DEBIT 900 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      accounts: ACCOUNTS,
+    });
+
+    expect(response.status_code).to.equal('AC01');
+    expect(sessionsStarted).to.equal(0);
+  });
+
+  it('opens no session for a dry run', async () => {
+    const response = await parseInstruction({
+      instruction: 'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b',
+      accounts: ACCOUNTS,
+      dry_run: true,
+    });
+
+    expect(response.dry_run).to.equal(true);
+    expect(sessionsStarted).to.equal(0);
+    expect(database.collections.Transaction.docs).to.have.length(0);
+  });
+});
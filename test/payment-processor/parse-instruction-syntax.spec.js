@@ -0,0 +1,98 @@
+const { expect } = require('chai');
+const { useMockDatabase } = require('../helpers/mock-database');
+const parseInstruction = require('../../services/payment-processor/parse-instruction');
+
+const ACCOUNTS = [
+  { id: 'a', balance: 500, currency: 'USD' },
+  { id: 'b', balance: 0, currency: 'USD' },
+];
+
+function parse(instruction, extra = {}) {
+  return parseInstruction({ instruction, accounts: ACCOUNTS, ...extra });
+}
+
+function accountIds(response) {
+  return response.accounts.map((account) => account.id);
+}
+
+describe('parseInstruction syntax errors', () => {
+  let database;
+
+  before(() => {
+    database = useMockDatabase();
+  });
+
+  after(() => {
+    database.restore();
+  });
+
+  it('reports a missing keyword as SY01 at the end of the instruction', async () => {
+    const response = await parse('DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO');
+
+    expect(response.status_code).to.equal('SY01');
+    expect(response.status_reason).to.equal('Missing keyword(s): ACCOUNT');
+    expect(response.error_location).to.deep.equal({ token_index: 9, offset: 42, length: 0 });
+    expect(accountIds(response)).to.deep.equal(['a']);
+  });
+
+  it('reports a misspelt keyword as SY02 and still lists the accounts involved', async () => {
+    const response = await parse('DEBIT 100 USD FORM ACCOUNT a FOR CREDIT TO ACCOUNT b');
+
+    expect(response.status_code).to.equal('SY02');
+    expect(response.status_reason).to.equal("Invalid keyword: expected 'FROM' but found 'FORM'");
+    expect(response.error_location).to.deep.equal({ token_index: 3, offset: 14, length: 4 });
+    expect(accountIds(response)).to.deep.equal(['a', 'b']);
+  });
+
+  it('suggests the clause keyword closest to a misspelt one', async () => {
+    const response = await parse(
+      'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b NARATION "rent"',
+      { diagnostics: true }
+    );
+
+    expect(response.status_code).to.equal('SY02');
+    expect(response.error_location).to.deep.equal({ token_index: 11, offset: 53, length: 8 });
+    expect(response.diagnostics[0]).to.include({
+      status_code: 'SY02',
+      found: 'NARATION',
+      suggestion: 'NARRATION',
+    });
+    expect(accountIds(response)).to.deep.equal(['a', 'b']);
+  });
+
+  it('reports an unexpected trailing token as SY03', async () => {
+    const response = await parse('DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b EXTRA');
+
+    expect(response.status_code).to.equal('SY03');
+    expect(response.status_reason).to.equal("Malformed instruction: unexpected 'EXTRA'");
+    expect(response.error_location).to.deep.equal({ token_index: 11, offset: 53, length: 5 });
+    expect(accountIds(response)).to.deep.equal(['a', 'b']);
+  });
+
+  it('reports a clause given twice as SY03 at its second keyword', async () => {
+    const response = await parse(
+      'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b REF x REF y'
+    );
+
+    expect(response.status_code).to.equal('SY03');
+    expect(response.error_location).to.deep.equal({ token_index: 13, offset: 59, length: 3 });
+  });
+
+  it('reports an unterminated quote as SY03 at the quoted text', async () => {
+    const response = await parse(
+      'DEBIT 100 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b NARRATION "rent'
+    );
+
+    expect(response.status_code).to.equal('SY03');
+    expect(response.status_reason).to.equal('Malformed instruction: missing closing quote');
+    expect(response.error_location).to.deep.equal({ token_index: 12, offset: 63, length: 5 });
+    expect(accountIds(response)).to.deep.equal(['a', 'b']);
+  });
+
+  it('reports an unknown instruction type as SY03 on its first token', async () => {
+    const response = await parse('PAY 100 USD FROM ACCOUNT a');
+
+    expect(response.status_code).to.equal('SY03');
+    expect(response.error_location).to.deep.equal({ token_index: 0, offset: 0, length: 3 });
+  });
+});
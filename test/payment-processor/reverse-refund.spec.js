@@ -0,0 +1,69 @@
+const { expect } = require('chai');
+const { useMockDatabase } = require('../helpers/mock-database');
+const parseInstruction = require('../../services/payment-processor/parse-instruction');
+
+function run(instruction) {
+  return parseInstruction({ instruction, account_ids: ['a', 'b'] });
+}
+
+describe('reversals and refunds', () => {
+  let database;
+  let original;
+
+  before(() => {
+    database = useMockDatabase();
+  });
+
+  beforeEach(async () => {
+    database.collections.Account.docs.push(
+      { _id: 'a', balance: 100, currency: 'USD', status: 'active' },
+      { _id: 'b', balance: 0, currency: 'USD', status: 'active' }
+    );
+    original = await run('DEBIT 50 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b');
+  });
+
+  afterEach(() => {
+    database.reset();
+  });
+
+  after(() => {
+    database.restore();
+  });
+
+  it('reverses a transaction with its accounts swapped', async () => {
+    const response = await run(`REVERSE TRANSACTION ${original.transaction_id}`);
+
+    expect(response).to.include({
+      status_code: 'AP00',
+      debit_account: 'b',
+      credit_account: 'a',
+      amount: 50,
+      original_transaction_id: original.transaction_id,
+    });
+    expect(database.collections.Account.docs.map((account) => account.balance)).to.deep.equal([
+      100, 0,
+    ]);
+  });
+
+  it('refunds part of a transaction and refuses more than is left (TX03)', async () => {
+    const refund = await run(`REFUND 20 USD OF TRANSACTION ${original.transaction_id}`);
+    const overRefund = await run(`REFUND 40 USD OF TRANSACTION ${original.transaction_id}`);
+
+    expect(refund.status_code).to.equal('AP00');
+    expect(overRefund.status_code).to.equal('TX03');
+    expect(overRefund.status_reason).to.include('at most 30 USD can be refunded');
+  });
+
+  it('refuses to reverse a transaction twice (TX02)', async () => {
+    await run(`REVERSE TRANSACTION ${original.transaction_id}`);
+    const response = await run(`REVERSE TRANSACTION ${original.transaction_id}`);
+
+    expect(response.status_code).to.equal('TX02');
+  });
+
+  it('fails with TX01 for an unknown transaction', async () => {
+    const response = await run('REVERSE TRANSACTION 01M5AWF9TKYC8E201HNP28C6CV');
+
+    expect(response.status_code).to.equal('TX01');
+  });
+});
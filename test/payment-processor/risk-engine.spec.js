@@ -0,0 +1,102 @@
+const { expect } = require('chai');
+const { useMockDatabase } = require('../helpers/mock-database');
+const parseInstruction = require('../../services/payment-processor/parse-instruction');
+const reviewPendingInstruction = require('../../services/payment-processor/review-pending-instruction');
+const executePendingInstruction = require('../../services/payment-processor/execute-pending-instruction');
+const {
+  createDefaultRiskRules,
+  createRuleBasedScorer,
+  setRiskScorer,
+  getRiskScorer,
+} = require('../../services/payment-processor/risk-engine');
+
+function debit(amount, options) {
+  return parseInstruction(
+    {
+      instruction: `DEBIT ${amount} USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b`,
+      account_ids: ['a', 'b'],
+    },
+    options
+  );
+}
+
+describe('risk checks', () => {
+  let database;
+  let previousScorer;
+
+  before(() => {
+    database = useMockDatabase();
+  });
+
+  beforeEach(() => {
+    database.collections.Account.docs.push(
+      { _id: 'a', balance: 500, currency: 'USD', status: 'active' },
+      { _id: 'b', balance: 0, currency: 'USD', status: 'active' }
+    );
+    previousScorer = getRiskScorer();
+    setRiskScorer(
+      createRuleBasedScorer(
+        createDefaultRiskRules({
+          first_time_large_transfer: { amounts: { USD: 100 } },
+          request_origin: { ips: ['203.0.113.7'] },
+        })
+      )
+    );
+  });
+
+  afterEach(() => {
+    setRiskScorer(previousScorer);
+    database.reset();
+  });
+
+  after(() => {
+    database.restore();
+  });
+
+  it('holds a first large transfer to an account for review (RK02)', async () => {
+    const response = await debit(150);
+
+    expect(response).to.include({ status: 'pending_review', status_code: 'RK02' });
+    expect(response.risk.reasons[0]).to.include({
+      rule: 'first_time_large_transfer',
+      outcome: 'pending_review',
+    });
+    expect(database.collections.PendingInstruction.docs[0]).to.include({
+      _id: response.pending_instruction_id,
+      status: 'pending_review',
+    });
+    expect(database.collections.Account.docs[0].balance).to.equal(500);
+  });
+
+  it('lets a large transfer to an account paid before through', async () => {
+    await debit(50);
+    const response = await debit(150);
+
+    expect(response.status_code).to.equal('AP00');
+  });
+
+  it('blocks an instruction sent from a listed IP address (RK01)', async () => {
+    const response = await debit(50, { requestProperties: { IP: '203.0.113.7' } });
+
+    expect(response).to.include({ status: 'failed', status_code: 'RK01' });
+  });
+
+  it('runs an approved instruction without assessing it again', async () => {
+    const held = await debit(150);
+
+    const reviewed = await reviewPendingInstruction({
+      id: held.pending_instruction_id,
+      decision: 'approve',
+      reviewer: 'ops',
+    });
+    const run = await executePendingInstruction({
+      pending_instruction_id: held.pending_instruction_id,
+      attempt: 1,
+      max_attempts: 5,
+    });
+
+    expect(reviewed.status).to.equal('pending');
+    expect(run.status).to.equal('successful');
+    expect(database.collections.Account.docs[0].balance).to.equal(350);
+  });
+});
@@ -0,0 +1,97 @@
+const { expect } = require('chai');
+const { useMockDatabase } = require('../helpers/mock-database');
+const parseInstruction = require('../../services/payment-processor/parse-instruction');
+const { loadScreeningLists } = require('../../services/payment-processor/sanctions-screening');
+
+const ACCOUNTS = [
+  { id: 'a', balance: 500, currency: 'USD' },
+  { id: 'b', balance: 0, currency: 'USD' },
+  { id: 'acc-evil', balance: 0, currency: 'USD' },
+];
+
+function debit(creditAccount, beneficiary) {
+  const clause = beneficiary ? ` BENEFICIARY "${beneficiary}"` : '';
+  return parseInstruction({
+    instruction: `DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT ${creditAccount}${clause}`,
+    accounts: ACCOUNTS,
+  });
+}
+
+describe('sanctions screening', () => {
+  let database;
+
+  before(() => {
+    database = useMockDatabase();
+  });
+
+  beforeEach(() => {
+    loadScreeningLists([
+      { list: 'ofac', type: 'account', value: 'ACC EVIL' },
+      { list: 'ofac', type: 'name', value: 'Jonathan Smithers', reference: 'X1' },
+    ]);
+  });
+
+  afterEach(() => {
+    loadScreeningLists([]);
+    database.reset();
+  });
+
+  after(() => {
+    database.restore();
+  });
+
+  it('stops a transfer to a listed account (SC01)', async () => {
+    const response = await debit('acc-evil');
+
+    expect(response.status_code).to.equal('SC01');
+    expect(response.screening.matches).to.deep.equal([
+      {
+        field: 'credit_account',
+        value: 'acc-evil',
+        list: 'ofac',
+        entry: 'ACC EVIL',
+        reference: null,
+        match_type: 'normalised',
+        distance: 0,
+      },
+    ]);
+    expect(database.collections.Transaction.docs).to.have.length(0);
+  });
+
+  it('matches a beneficiary name within a few edits and in any word order', async () => {
+    const response = await debit('b', 'SMITHERS, Jonathon');
+
+    expect(response.status_code).to.equal('SC01');
+    expect(response.screening.matches[0]).to.include({
+      field: 'beneficiary',
+      reference: 'X1',
+      match_type: 'fuzzy',
+      distance: 1,
+    });
+  });
+
+  it('puts every decision on record, clear ones included', async () => {
+    await debit('acc-evil');
+    await debit('b', 'Mary Jane');
+
+    expect(
+      database.collections.ScreeningDecision.docs.map((decision) => [
+        decision.outcome,
+        decision.status_code,
+      ])
+    ).to.deep.equal([
+      ['hit', 'SC01'],
+      ['clear', 'AP00'],
+    ]);
+  });
+
+  it('records nothing when no lists are loaded', async () => {
+    loadScreeningLists([]);
+
+    const response = await debit('acc-evil');
+
+    expect(response.status_code).to.equal('AP00');
+    expect(response).not.to.have.property('screening');
+    expect(database.collections.ScreeningDecision.docs).to.have.length(0);
+  });
+});
@@ -0,0 +1,82 @@
+const { expect } = require('chai');
+const { useMockDatabase } = require('../helpers/mock-database');
+const parseInstruction = require('../../services/payment-processor/parse-instruction');
+const {
+  setSettlementCalendars,
+  resolveExecutionDate,
+} = require('../../services/payment-processor/settlement-calendar');
+
+const ACCOUNTS = [
+  { id: 'a', balance: 300, currency: 'USD' },
+  { id: 'b', balance: 0, currency: 'USD' },
+];
+// 2099-01-03 is a Saturday
+const SATURDAY = '2099-01-03';
+
+function debitOn(date) {
+  return parseInstruction({
+    instruction: `DEBIT 10 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b ON ${date}`,
+    accounts: ACCOUNTS,
+  });
+}
+
+describe('settlement calendars', () => {
+  let database;
+
+  before(() => {
+    database = useMockDatabase();
+  });
+
+  afterEach(() => {
+    setSettlementCalendars({});
+    database.reset();
+  });
+
+  after(() => {
+    database.restore();
+  });
+
+  it('rolls a date on a weekend or holiday forward to the next business day', async () => {
+    setSettlementCalendars({
+      currencies: { USD: { weekend: ['SAT', 'SUN'], holidays: ['2099-01-05'] } },
+    });
+
+    const response = await debitOn(SATURDAY);
+
+    expect(response).to.include({
+      status_code: 'AP02',
+      requested_execute_by: SATURDAY,
+      execute_by: '2099-01-06',
+    });
+  });
+
+  it('rejects a date on a non-business day under the reject policy (DT01)', async () => {
+    setSettlementCalendars({ policy: 'reject', currencies: { USD: { weekend: ['SATURDAY'] } } });
+
+    const response = await debitOn(SATURDAY);
+
+    expect(response.status_code).to.equal('DT01');
+    expect(response.status_reason).to.include(`${SATURDAY} is a weekend for USD`);
+  });
+
+  it('refuses a date further back than the configured window (DT01)', async () => {
+    setSettlementCalendars({ max_past_days: 5 });
+
+    const response = await debitOn('2000-01-03');
+
+    expect(response.status_code).to.equal('DT01');
+    expect(response.status_reason).to.include('more than 5 day(s) ago');
+  });
+
+  it('checks the calendar of every currency involved', () => {
+    setSettlementCalendars({ currencies: { NGN: { holidays: ['2099-01-06'] } } });
+
+    expect(
+      resolveExecutionDate({
+        executeBy: '2099-01-06',
+        currencies: ['USD', 'NGN'],
+        today: '2099-01-01',
+      })
+    ).to.deep.equal({ valid: true, executeBy: '2099-01-07', rolled: true });
+  });
+});
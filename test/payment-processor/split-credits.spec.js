@@ -0,0 +1,71 @@
+const { expect } = require('chai');
+const { useMockDatabase } = require('../helpers/mock-database');
+const parseInstruction = require('../../services/payment-processor/parse-instruction');
+
+const ACCOUNTS = [
+  { id: 'a', balance: 300, currency: 'USD' },
+  { id: 'b', balance: 0, currency: 'USD' },
+  { id: 'c', balance: 0, currency: 'USD' },
+  { id: 'd', balance: 0, currency: 'USD' },
+  { id: 'e', balance: 0, currency: 'NGN' },
+];
+
+describe('split credits', () => {
+  let database;
+
+  before(() => {
+    database = useMockDatabase();
+  });
+
+  afterEach(() => {
+    database.reset();
+  });
+
+  after(() => {
+    database.restore();
+  });
+
+  it('credits every leg and lists every account touched', async () => {
+    const response = await parseInstruction({
+      instruction: 'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNTS b:100, c:150, d:50',
+      accounts: ACCOUNTS,
+    });
+
+    expect(response.status_code).to.equal('AP00');
+    expect(response.credit_legs.map(({ account_id: id, amount }) => [id, amount])).to.deep.equal([
+      ['b', 100],
+      ['c', 150],
+      ['d', 50],
+    ]);
+    expect(
+      response.accounts.map(({ id, balance, balance_before: before }) => [id, before, balance])
+    ).to.deep.equal([
+      ['a', 300, 0],
+      ['b', 0, 100],
+      ['c', 0, 150],
+      ['d', 0, 50],
+    ]);
+    expect(database.collections.Transaction.docs).to.have.length(3);
+  });
+
+  it('fails with AM01 when the legs do not add up to the amount', async () => {
+    const response = await parseInstruction({
+      instruction: 'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNTS b:100, c:150',
+      accounts: ACCOUNTS,
+    });
+
+    expect(response.status_code).to.equal('AM01');
+    expect(response.status_reason).to.include('credit legs add up to 250');
+  });
+
+  it('moves nothing when one leg fails', async () => {
+    const response = await parseInstruction({
+      instruction: 'DEBIT 300 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNTS b:100, e:200',
+      accounts: ACCOUNTS,
+    });
+
+    expect(response.status_code).to.equal('CU01');
+    expect(response.accounts.map((account) => account.balance)).to.deep.equal([300, 0, 0]);
+    expect(database.collections.Transaction.docs).to.have.length(0);
+  });
+});
@@ -0,0 +1,111 @@
+const { expect } = require('chai');
+const { ERROR_CODE } = require('@app-core/errors');
+const { useMockDatabase } = require('../helpers/mock-database');
+const parseInstruction = require('../../services/payment-processor/parse-instruction');
+const executeStandingOrder = require('../../services/payment-processor/execute-standing-order');
+const pauseStandingOrder = require('../../services/payment-processor/pause-standing-order');
+const cancelStandingOrder = require('../../services/payment-processor/cancel-standing-order');
+
+function today() {
+  return new Date(Date.now()).toISOString().slice(0, 10);
+}
+
+function createStandingOrder(amount) {
+  return parseInstruction({
+    instruction: `DEBIT ${amount} USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b EVERY MONTH ON ${today()}`,
+    account_ids: ['a', 'b'],
+  });
+}
+
+describe('standing orders', () => {
+  let database;
+
+  before(() => {
+    database = useMockDatabase();
+  });
+
+  beforeEach(() => {
+    database.collections.Account.docs.push(
+      { _id: 'a', balance: 100, currency: 'USD', status: 'active' },
+      { _id: 'b', balance: 0, currency: 'USD', status: 'active' }
+    );
+  });
+
+  afterEach(() => {
+    database.reset();
+  });
+
+  after(() => {
+    database.restore();
+  });
+
+  it('stores a recurring instruction as a standing order', async () => {
+    const response = await createStandingOrder(50);
+
+    expect(response).to.include({ status_code: 'AP03', status: 'scheduled' });
+    expect(response.standing_order).to.include({ frequency: 'MONTH', start_date: today() });
+    expect(database.collections.StandingOrder.docs[0]).to.include({
+      _id: response.standing_order_id,
+      status: 'active',
+      next_run_date: today(),
+    });
+    expect(database.collections.Transaction.docs).to.have.length(0);
+  });
+
+  it('runs each occurrence as a transaction of its own and moves on to the next', async () => {
+    const { standing_order_id: id } = await createStandingOrder(50);
+
+    const standingOrder = await executeStandingOrder({
+      standing_order_id: id,
+      job_id: 'job-1',
+      attempt: 1,
+      max_attempts: 3,
+    });
+
+    expect(standingOrder).to.include({ run_index: 1, run_count: 1, status: 'active' });
+    expect(standingOrder.next_run_date).not.to.equal(today());
+    expect(standingOrder.last_run).to.include({ status: 'successful', status_code: 'AP00' });
+    expect(database.collections.Transaction.docs[0]).to.include({ standing_order_id: id });
+    expect(database.collections.Account.docs.map((account) => account.balance)).to.deep.equal([
+      50, 50,
+    ]);
+  });
+
+  it('retries a failed run and records it once the attempts run out', async () => {
+    const { standing_order_id: id } = await createStandingOrder(500);
+    const run = { standing_order_id: id, job_id: 'job-1', max_attempts: 2 };
+
+    let error;
+    try {
+      await executeStandingOrder({ ...run, attempt: 1 });
+    } catch (caught) {
+      error = caught;
+    }
+    const standingOrder = await executeStandingOrder({ ...run, attempt: 2 });
+
+    expect(error).to.be.an('error');
+    expect(error.errorCode).to.equal(ERROR_CODE.APPERR);
+    expect(standingOrder).to.include({ run_index: 1, failed_run_count: 1, status: 'active' });
+    expect(standingOrder.last_run).to.include({ status: 'failed', status_code: 'AC01' });
+  });
+
+  it('pauses and cancels a standing order', async () => {
+    const { standing_order_id: id } = await createStandingOrder(50);
+
+    expect((await pauseStandingOrder({ id })).status).to.equal('paused');
+    expect((await cancelStandingOrder({ id })).status).to.equal('cancelled');
+    expect(database.collections.StandingOrder.docs[0].status).to.equal('cancelled');
+  });
+
+  it('refuses recurring instructions on inline accounts (SO01)', async () => {
+    const response = await parseInstruction({
+      instruction: `DEBIT 50 USD FROM ACCOUNT a FOR CREDIT TO ACCOUNT b EVERY MONTH ON ${today()}`,
+      accounts: [
+        { id: 'a', balance: 100, currency: 'USD' },
+        { id: 'b', balance: 0, currency: 'USD' },
+      ],
+    });
+
+    expect(response.status_code).to.equal('SO01');
+  });
+});
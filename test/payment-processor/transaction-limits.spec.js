@@ -0,0 +1,209 @@
+const { expect } = require('chai');
+const { ERROR_CODE } = require('@app-core/errors');
+const {
+  createInMemoryCounterStore,
+  setLimitCounterStore,
+  getLimitCounterStore,
+} = require('../../services/payment-processor/limit-counter-store');
+const {
+  setTransactionLimits,
+  loadAccountUsage,
+  addAccountUsage,
+  checkTransactionLimits,
+  recordAccountUsage,
+} = require('../../services/payment-processor/transaction-limits');
+
+const DAY_MILLIS = 24 * 60 * 60 * 1000;
+const HOUR_MILLIS = 60 * 60 * 1000;
+
+async function checkDebit(accountId, amount, now) {
+  const usage = await loadAccountUsage([accountId], now);
+  return checkTransactionLimits({
+    accountId,
+    amount,
+    currency: 'USD',
+    usage,
+    checkCumulative: true,
+  });
+}
+
+describe('transaction limits', () => {
+  let previousStore;
+
+  beforeEach(() => {
+    previousStore = getLimitCounterStore();
+    setLimitCounterStore(createInMemoryCounterStore());
+  });
+
+  afterEach(() => {
+    setLimitCounterStore(previousStore);
+    setTransactionLimits({});
+  });
+
+  describe('configuration', () => {
+    it('reports an invalid configuration as an application error, not a limit breach', () => {
+      expect(() => setTransactionLimits('daily'))
+        .to.throw('Invalid transaction limit configuration')
+        .with.property('errorCode', ERROR_CODE.APPERR);
+    });
+  });
+
+  describe('per transaction', () => {
+    beforeEach(() => {
+      setTransactionLimits({
+        default: { per_transaction_max: 100 },
+        accounts: { vip: { per_transaction_max: 1000 } },
+      });
+    });
+
+    it('allows a debit up to the maximum', async () => {
+      expect(await checkDebit('a1', 100, Date.now())).to.deep.equal({ valid: true });
+    });
+
+    it('rejects a debit above the maximum', async () => {
+      const result = await checkDebit('a1', 100.01, Date.now());
+
+      expect(result.valid).to.equal(false);
+      expect(result.limit).to.equal('per_transaction');
+    });
+
+    it('applies the limits configured for the account over the default', async () => {
+      expect((await checkDebit('vip', 500, Date.now())).valid).to.equal(true);
+    });
+
+    it('still applies to debits that do not execute now', () => {
+      const result = checkTransactionLimits({
+        accountId: 'a1',
+        amount: 150,
+        currency: 'USD',
+        usage: {},
+        checkCumulative: false,
+      });
+
+      expect(result.limit).to.equal('per_transaction');
+    });
+  });
+
+  describe('daily debit limit', () => {
+    beforeEach(() => {
+      setTransactionLimits({ default: { daily_debit_limit: 500 } });
+    });
+
+    it('counts the debits recorded earlier in the day', async () => {
+      const now = Date.now();
+      await recordAccountUsage([{ accountId: 'a1', amount: 300 }], now);
+
+      expect((await checkDebit('a1', 200, now)).valid).to.equal(true);
+
+      const result = await checkDebit('a1', 200.01, now);
+      expect(result.valid).to.equal(false);
+      expect(result.limit).to.equal('daily_debit');
+    });
+
+    it('keeps the usage of each account apart', async () => {
+      const now = Date.now();
+      await recordAccountUsage([{ accountId: 'a1', amount: 500 }], now);
+
+      expect((await checkDebit('a2', 500, now)).valid).to.equal(true);
+    });
+
+    it('starts over on the next day', async () => {
+      const now = Date.now();
+      await recordAccountUsage([{ accountId: 'a1', amount: 500 }], now);
+
+      expect((await checkDebit('a1', 1, now)).valid).to.equal(false);
+      expect((await checkDebit('a1', 500, now + DAY_MILLIS)).valid).to.equal(true);
+    });
+
+    it('does not apply to debits that do not execute now', () => {
+      const result = checkTransactionLimits({
+        accountId: 'a1',
+        amount: 800,
+        currency: 'USD',
+        usage: {},
+        checkCumulative: false,
+      });
+
+      expect(result.valid).to.equal(true);
+    });
+  });
+
+  describe('velocity limit', () => {
+    beforeEach(() => {
+      setTransactionLimits({ default: { max_transactions: 2, window_seconds: 3600 } });
+    });
+
+    it('rejects a debit once the window has its transactions', async () => {
+      const now = Date.now();
+      await recordAccountUsage([{ accountId: 'a1', amount: 10 }], now);
+
+      expect((await checkDebit('a1', 10, now)).valid).to.equal(true);
+
+      await recordAccountUsage([{ accountId: 'a1', amount: 10 }], now);
+
+      const result = await checkDebit('a1', 10, now);
+      expect(result.valid).to.equal(false);
+      expect(result.limit).to.equal('velocity');
+    });
+
+    it('starts over in the next window', async () => {
+      const now = Date.now();
+      await recordAccountUsage(
+        [
+          { accountId: 'a1', amount: 10 },
+          { accountId: 'a1', amount: 10 },
+        ],
+        now
+      );
+
+      expect((await checkDebit('a1', 10, now)).valid).to.equal(false);
+      expect((await checkDebit('a1', 10, now + HOUR_MILLIS)).valid).to.equal(true);
+    });
+
+    it('counts earlier debits of the same batch', async () => {
+      const now = Date.now();
+      const usage = addAccountUsage(
+        addAccountUsage(await loadAccountUsage(['a1'], now), {
+          accountId: 'a1',
+          amount: 10,
+          currency: 'USD',
+        }),
+        { accountId: 'a1', amount: 10, currency: 'USD' }
+      );
+
+      const result = checkTransactionLimits({
+        accountId: 'a1',
+        amount: 10,
+        currency: 'USD',
+        usage,
+        checkCumulative: true,
+      });
+      expect(result.limit).to.equal('velocity');
+    });
+  });
+
+  it('lists every limit a debit breaches', async () => {
+    setTransactionLimits({
+      default: { per_transaction_max: 100, daily_debit_limit: 100, max_transactions: 1 },
+    });
+    const now = Date.now();
+    await recordAccountUsage([{ accountId: 'a1', amount: 50 }], now);
+
+    const result = await checkDebit('a1', 150, now);
+
+    expect(result.limit).to.equal('per_transaction');
+    expect(result.failures.map((failure) => failure.limit)).to.deep.equal([
+      'per_transaction',
+      'daily_debit',
+      'velocity',
+    ]);
+  });
+
+  it('records nothing without configured limits', async () => {
+    const now = Date.now();
+    await recordAccountUsage([{ accountId: 'a1', amount: 50 }], now);
+    setTransactionLimits({ default: { daily_debit_limit: 50 } });
+
+    expect((await checkDebit('a1', 50, now)).valid).to.equal(true);
+  });
+});
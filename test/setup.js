@@ -0,0 +1,3 @@
+// `set USE_MOCK_MODEL=1` in the test script only sets the variable on Windows. It has to be
+// in place before the first repository is required, so it is set here as well.
+process.env.USE_MOCK_MODEL = process.env.USE_MOCK_MODEL || '1';
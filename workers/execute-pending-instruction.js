@@ -0,0 +1,34 @@
+const { appLogger } = require('@app-core/logger');
+
+const MAX_ATTEMPTS = 5;
+
+module.exports = {
+  concurrency: 1,
+  queue_options: {},
+  // a job that fires before the execution date, or whose run fails, is retried later,
+  // and the instruction is marked failed once the last attempt fails
+  scheduler_options: {
+    attempts: MAX_ATTEMPTS,
+    removeOnComplete: true,
+    backoff: { type: 'exponential', delay: 30_000 },
+  },
+  processor_name: 'execute-pending-instruction',
+  async processor(job) {
+    // required lazily: the payment processor service schedules jobs through this worker
+    // eslint-disable-next-line global-require
+    const executePendingInstruction = require('@app/services/payment-processor/execute-pending-instruction');
+
+    const result = await executePendingInstruction({
+      pending_instruction_id: job.data?.pending_instruction_id,
+      attempt: job.attemptsMade + 1,
+      max_attempts: job.opts.attempts || 1,
+    });
+
+    appLogger.info(
+      { label: 'PENDING INSTRUCTION EXECUTED', jobId: job.id, status: result.status },
+      'Pending instruction executed'
+    );
+
+    return { status: result.status, status_code: result.status_code };
+  },
+};
@@ -0,0 +1,35 @@
+const { appLogger } = require('@app-core/logger');
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const maxAttempts = parseInt(process.env.STANDING_ORDER_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS;
+
+module.exports = {
+  concurrency: 1,
+  queue_options: {},
+  // a failed run is retried a few times before it is recorded and reported
+  scheduler_options: {
+    attempts: maxAttempts,
+    removeOnComplete: true,
+    backoff: { type: 'exponential', delay: 60_000 },
+  },
+  processor_name: 'execute-standing-order',
+  async processor(job) {
+    // required lazily: the payment processor service schedules jobs through this worker
+    // eslint-disable-next-line global-require
+    const executeStandingOrder = require('@app/services/payment-processor/execute-standing-order');
+
+    const result = await executeStandingOrder({
+      standing_order_id: job.data?.standing_order_id,
+      job_id: `${job.id}`,
+      attempt: job.attemptsMade + 1,
+      max_attempts: job.opts.attempts || 1,
+    });
+
+    appLogger.info(
+      { label: 'STANDING ORDER EXECUTED', jobId: job.id, status: result.last_run?.status },
+      'Standing order executed'
+    );
+
+    return { status: result.status, run_status: result.last_run?.status || null };
+  },
+};
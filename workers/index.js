@@ -1,6 +1,10 @@
 const { createWorker } = require('../core/queue');
 const echoLoginValidation = require('./echo-login-validation');
+const executePendingInstruction = require('./execute-pending-instruction');
+const executeStandingOrder = require('./execute-standing-order');
 
 module.exports = {
   echoLoginValidation: createWorker(echoLoginValidation),
+  executePendingInstruction: createWorker(executePendingInstruction),
+  executeStandingOrder: createWorker(executeStandingOrder),
 };